@@ -0,0 +1,488 @@
+// Mesh decimation for the level-of-detail pyramid served by server.js.
+// Reads VTK XML PolyData (.vtp: ascii, inline binary or appended data, optionally
+// zlib-compressed), simplifies it by vertex clustering and writes compressed .vtp
+// files the browser's vtkXMLPolyDataReader can load. server.js runs this file as a
+// worker thread so decimating a large dataset does not stall the relay.
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { isMainThread, parentPort, workerData } = require('worker_threads');
+
+const TYPED_ARRAYS = {
+  Int8: Int8Array,
+  UInt8: Uint8Array,
+  Int16: Int16Array,
+  UInt16: Uint16Array,
+  Int32: Int32Array,
+  UInt32: Uint32Array,
+  Float32: Float32Array,
+  Float64: Float64Array
+};
+const HEADER_BYTES = { UInt32: 4, UInt64: 8 };
+// Order in which VTK numbers the cells of a polydata (cell data follows it)
+const CELL_TYPES = ['Verts', 'Lines', 'Polys', 'Strips'];
+
+// ----------------------------------------------------------------------------
+// VTP Reading
+// ----------------------------------------------------------------------------
+
+function parseAttributes(text) {
+  const attributes = {};
+  for (const [, key, value] of text.matchAll(/([\w:-]+)="([^"]*)"/g)) {
+    attributes[key] = value;
+  }
+  return attributes;
+}
+
+function readHeaderWord(bytes, offset, headerType) {
+  return headerType === 'UInt64'
+    ? Number(bytes.readBigUInt64LE(offset))
+    : bytes.readUInt32LE(offset);
+}
+
+// Binary data is a length header followed by the values, or a block table followed by
+// zlib blocks when the file is compressed
+function readBinaryPayload(bytes, context) {
+  const wordSize = HEADER_BYTES[context.headerType];
+  if (!context.compressed) {
+    const length = readHeaderWord(bytes, 0, context.headerType);
+    return bytes.subarray(wordSize, wordSize + length);
+  }
+
+  const blockCount = readHeaderWord(bytes, 0, context.headerType);
+  let offset = (3 + blockCount) * wordSize;
+  const blocks = [];
+  for (let i = 0; i < blockCount; i++) {
+    const compressedSize = readHeaderWord(bytes, (3 + i) * wordSize, context.headerType);
+    blocks.push(zlib.inflateSync(bytes.subarray(offset, offset + compressedSize)));
+    offset += compressedSize;
+  }
+  return Buffer.concat(blocks);
+}
+
+// Writers encode the header either together with the values or as its own base64 run;
+// a padded first run gives the second case away
+function decodeBase64Payload(text, context) {
+  const encoded = text.replace(/\s+/g, '');
+  const wordSize = HEADER_BYTES[context.headerType];
+  let headerSize = wordSize;
+  if (context.compressed) {
+    const firstWord = Buffer.from(encoded.slice(0, 4 * Math.ceil(wordSize / 3)), 'base64');
+    headerSize = (3 + readHeaderWord(firstWord, 0, context.headerType)) * wordSize;
+  }
+  const headerLength = 4 * Math.ceil(headerSize / 3);
+  const bytes = encoded[headerLength - 1] === '='
+    ? Buffer.concat([
+      Buffer.from(encoded.slice(0, headerLength), 'base64').subarray(0, headerSize),
+      Buffer.from(encoded.slice(headerLength), 'base64')
+    ])
+    : Buffer.from(encoded, 'base64');
+  return readBinaryPayload(bytes, context);
+}
+
+function toTypedArray(type, bytes) {
+  // Copy so the values are aligned for the typed array
+  const aligned = new Uint8Array(bytes).buffer;
+  if (type === 'Int64') return Float64Array.from(new BigInt64Array(aligned), Number);
+  if (type === 'UInt64') return Float64Array.from(new BigUint64Array(aligned), Number);
+  if (!TYPED_ARRAYS[type]) throw new Error(`Unsupported data type ${type}`);
+  return new TYPED_ARRAYS[type](aligned);
+}
+
+function readDataArray(attributes, content, context) {
+  const type = attributes.type;
+  const format = attributes.format || 'ascii';
+  let values;
+  if (format === 'ascii') {
+    const tokens = content.trim() ? content.trim().split(/\s+/).map(Number) : [];
+    const ArrayType = TYPED_ARRAYS[type] || Float64Array;
+    values = ArrayType.from(tokens);
+  } else if (format === 'binary') {
+    values = toTypedArray(type, decodeBase64Payload(content, context));
+  } else if (format === 'appended') {
+    const offset = Number(attributes.offset);
+    if (context.appendedEncoding === 'base64') {
+      const next = context.appendedOffsets.find((candidate) => candidate > offset);
+      values = toTypedArray(type, decodeBase64Payload(context.appended.slice(offset, next), context));
+    } else {
+      values = toTypedArray(type, readBinaryPayload(context.appended.subarray(offset), context));
+    }
+  } else {
+    throw new Error(`Unsupported DataArray format ${format}`);
+  }
+
+  return {
+    name: attributes.Name || '',
+    // 64-bit integers are read into Float64Array and written back as Float64
+    type: type === 'Int64' || type === 'UInt64' ? 'Float64' : type,
+    components: Number(attributes.NumberOfComponents || 1),
+    values
+  };
+}
+
+function readDataArrays(sectionContent, context) {
+  const arrays = [];
+  const pattern = /<DataArray\b([^>]*?)(?:\/>|>([\s\S]*?)<\/DataArray>)/g;
+  for (const [, attributeText, content] of sectionContent.matchAll(pattern)) {
+    arrays.push(readDataArray(parseAttributes(attributeText), content || '', context));
+  }
+  return arrays;
+}
+
+function getSection(pieceContent, name) {
+  const match = new RegExp(`<${name}\\b[^>]*?(?:/>|>([\\s\\S]*?)</${name}>)`).exec(pieceContent);
+  return match ? match[1] || '' : null;
+}
+
+// Returns { points, pointData, cellData, Verts, Lines, Polys, Strips } for the first piece,
+// the one the browser displays. Cells are { offsets, connectivity } with end offsets.
+function parseVtp(buffer) {
+  // Raw appended data is binary, so only the part before it is treated as text
+  const appendedStart = buffer.indexOf('<AppendedData');
+  const text = buffer.toString('latin1', 0, appendedStart === -1 ? buffer.length : appendedStart);
+
+  const rootMatch = /<VTKFile\b([^>]*)>/.exec(text);
+  if (!rootMatch) throw new Error('Not a VTK XML file');
+  const root = parseAttributes(rootMatch[1]);
+  if (root.type !== 'PolyData') throw new Error(`Expected PolyData, found ${root.type || 'no type'}`);
+  if (root.byte_order && root.byte_order !== 'LittleEndian') {
+    throw new Error('Only little-endian files are supported');
+  }
+  if (root.compressor && root.compressor !== 'vtkZLibDataCompressor') {
+    throw new Error(`Unsupported compressor ${root.compressor}`);
+  }
+
+  const context = {
+    headerType: root.header_type || 'UInt32',
+    compressed: root.compressor === 'vtkZLibDataCompressor',
+    appended: null,
+    appendedEncoding: null,
+    appendedOffsets: []
+  };
+  if (appendedStart !== -1) {
+    const tagEnd = buffer.indexOf('>', appendedStart);
+    const tag = parseAttributes(buffer.toString('latin1', appendedStart, tagEnd));
+    const dataStart = buffer.indexOf('_', tagEnd) + 1;
+    const dataEnd = buffer.lastIndexOf('</AppendedData>');
+    context.appendedEncoding = tag.encoding || 'raw';
+    context.appended = context.appendedEncoding === 'base64'
+      ? buffer.toString('latin1', dataStart, dataEnd).trimEnd()
+      : buffer.subarray(dataStart, dataEnd);
+    context.appendedOffsets = Array.from(text.matchAll(/\boffset="(\d+)"/g), (match) => Number(match[1]))
+      .sort((a, b) => a - b);
+  }
+
+  const pieceMatch = /<Piece\b([^>]*)>([\s\S]*?)<\/Piece>/.exec(text);
+  if (!pieceMatch) throw new Error('PolyData has no Piece');
+  const pieceContent = pieceMatch[2];
+
+  const pointsSection = getSection(pieceContent, 'Points');
+  const points = pointsSection ? readDataArrays(pointsSection, context)[0] : null;
+  const polyData = {
+    points: points ? Float64Array.from(points.values) : new Float64Array(0),
+    pointData: readDataArrays(getSection(pieceContent, 'PointData') || '', context),
+    cellData: readDataArrays(getSection(pieceContent, 'CellData') || '', context)
+  };
+  CELL_TYPES.forEach((cellType) => {
+    const arrays = readDataArrays(getSection(pieceContent, cellType) || '', context);
+    const find = (name) => arrays.find((array) => array.name === name);
+    polyData[cellType] = {
+      connectivity: find('connectivity') ? find('connectivity').values : new Int32Array(0),
+      offsets: find('offsets') ? find('offsets').values : new Int32Array(0)
+    };
+  });
+  return polyData;
+}
+
+// ----------------------------------------------------------------------------
+// Vertex Clustering
+// ----------------------------------------------------------------------------
+
+function getBounds(points) {
+  const bounds = [Infinity, -Infinity, Infinity, -Infinity, Infinity, -Infinity];
+  for (let i = 0; i < points.length; i += 3) {
+    for (let axis = 0; axis < 3; axis++) {
+      const value = points[i + axis];
+      if (value < bounds[axis * 2]) bounds[axis * 2] = value;
+      if (value > bounds[axis * 2 + 1]) bounds[axis * 2 + 1] = value;
+    }
+  }
+  return bounds;
+}
+
+// Assigns every point to a cell of a uniform grid with `divisions` cells along the
+// longest axis; points sharing a grid cell become one output point
+function clusterPoints(points, bounds, divisions) {
+  const extents = [bounds[1] - bounds[0], bounds[3] - bounds[2], bounds[5] - bounds[4]];
+  const cellSize = Math.max(...extents) / divisions || 1;
+  const dims = extents.map((extent) => Math.max(1, Math.ceil(extent / cellSize)));
+
+  const clusterOf = new Int32Array(points.length / 3);
+  const ids = new Map();
+  const gridIndex = (value, axis) => Math.min(dims[axis] - 1, Math.floor((value - bounds[axis * 2]) / cellSize));
+  for (let p = 0; p < clusterOf.length; p++) {
+    const key = gridIndex(points[p * 3], 0) +
+      dims[0] * (gridIndex(points[p * 3 + 1], 1) + dims[1] * gridIndex(points[p * 3 + 2], 2));
+    let id = ids.get(key);
+    if (id === undefined) {
+      id = ids.size;
+      ids.set(key, id);
+    }
+    clusterOf[p] = id;
+  }
+  return { clusterOf, count: ids.size };
+}
+
+// Finds the grid resolution whose cluster count is closest to the target
+function clusterToTarget(points, targetCount) {
+  const bounds = getBounds(points);
+  // Keeps grid keys below 2^53
+  const maxDivisions = 1 << 17;
+  let low = 1;
+  let high = 16;
+  let best = clusterPoints(points, bounds, high);
+  while (best.count < targetCount && high < maxDivisions) {
+    low = high;
+    high *= 2;
+    best = clusterPoints(points, bounds, high);
+  }
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2);
+    const result = clusterPoints(points, bounds, middle);
+    if (Math.abs(result.count - targetCount) < Math.abs(best.count - targetCount)) best = result;
+    if (result.count < targetCount) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return best;
+}
+
+function forEachCell(cells, callback) {
+  let start = 0;
+  for (let c = 0; c < cells.offsets.length; c++) {
+    const end = cells.offsets[c];
+    callback(cells.connectivity.subarray(start, end), c);
+    start = end;
+  }
+}
+
+// Averages floating point attributes over each cluster; integer ones (labels, ids) keep
+// the value of the cluster's first point
+function clusterPointArray(array, clusterOf, count, clusterSizes) {
+  const { components } = array;
+  const ArrayType = TYPED_ARRAYS[array.type] || Float64Array;
+  const output = new ArrayType(count * components);
+  const average = array.type === 'Float32' || array.type === 'Float64';
+  const seen = new Uint8Array(count);
+  for (let p = 0; p < clusterOf.length; p++) {
+    const c = clusterOf[p];
+    for (let k = 0; k < components; k++) {
+      const value = array.values[p * components + k];
+      if (average) {
+        output[c * components + k] += value / clusterSizes[c];
+      } else if (!seen[c]) {
+        output[c * components + k] = value;
+      }
+    }
+    seen[c] = 1;
+  }
+  return { ...array, values: output };
+}
+
+// Simplifies polydata to about `ratio` of its points. Polygons and strips become
+// triangles; cells that collapse or duplicate another cell are dropped.
+function decimatePolyData(polyData, ratio) {
+  const pointCount = polyData.points.length / 3;
+  const { clusterOf, count } = clusterToTarget(polyData.points, Math.max(1, Math.round(pointCount * ratio)));
+
+  const clusterSizes = new Uint32Array(count);
+  const points = new Float32Array(count * 3);
+  for (let p = 0; p < pointCount; p++) clusterSizes[clusterOf[p]]++;
+  for (let p = 0; p < pointCount; p++) {
+    const c = clusterOf[p];
+    for (let axis = 0; axis < 3; axis++) {
+      points[c * 3 + axis] += polyData.points[p * 3 + axis] / clusterSizes[c];
+    }
+  }
+
+  // Cell data rows follow the VTK cell order: verts, lines, polys, strips
+  const cellBase = {};
+  let cellTotal = 0;
+  CELL_TYPES.forEach((cellType) => {
+    cellBase[cellType] = cellTotal;
+    cellTotal += polyData[cellType].offsets.length;
+  });
+
+  const output = { Verts: [], Lines: [], Polys: [] };
+  const sourceCells = [];
+  const seen = new Set();
+  const emit = (cellType, ids, sourceCell) => {
+    const key = `${cellType[0]}${Array.from(ids).sort((a, b) => a - b).join(',')}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    output[cellType].push(ids);
+    sourceCells.push(sourceCell);
+  };
+
+  forEachCell(polyData.Verts, (ids, c) => {
+    ids.forEach((id) => emit('Verts', [clusterOf[id]], cellBase.Verts + c));
+  });
+  forEachCell(polyData.Lines, (ids, c) => {
+    for (let i = 1; i < ids.length; i++) {
+      const a = clusterOf[ids[i - 1]];
+      const b = clusterOf[ids[i]];
+      if (a !== b) emit('Lines', [a, b], cellBase.Lines + c);
+    }
+  });
+  const emitTriangle = (a, b, c, sourceCell) => {
+    if (a !== b && b !== c && a !== c) emit('Polys', [a, b, c], sourceCell);
+  };
+  forEachCell(polyData.Polys, (ids, c) => {
+    for (let i = 2; i < ids.length; i++) {
+      emitTriangle(clusterOf[ids[0]], clusterOf[ids[i - 1]], clusterOf[ids[i]], cellBase.Polys + c);
+    }
+  });
+  forEachCell(polyData.Strips, (ids, c) => {
+    for (let i = 2; i < ids.length; i++) {
+      // Every other triangle of a strip is wound the other way
+      const [a, b] = i % 2 === 0 ? [ids[i - 2], ids[i - 1]] : [ids[i - 1], ids[i - 2]];
+      emitTriangle(clusterOf[a], clusterOf[b], clusterOf[ids[i]], cellBase.Strips + c);
+    }
+  });
+
+  // Cells were emitted verts first, then lines, then polys, which is also their output order
+  const order = ['Verts', 'Lines', 'Polys'];
+  const cellData = polyData.cellData
+    .filter((array) => array.values.length === cellTotal * array.components)
+    .map((array) => {
+      const ArrayType = TYPED_ARRAYS[array.type] || Float64Array;
+      const values = new ArrayType(sourceCells.length * array.components);
+      sourceCells.forEach((sourceCell, i) => {
+        for (let k = 0; k < array.components; k++) {
+          values[i * array.components + k] = array.values[sourceCell * array.components + k];
+        }
+      });
+      return { ...array, values };
+    });
+
+  const result = {
+    points,
+    pointData: polyData.pointData
+      .filter((array) => array.values.length === pointCount * array.components)
+      .map((array) => clusterPointArray(array, clusterOf, count, clusterSizes)),
+    cellData,
+    Strips: { connectivity: new Int32Array(0), offsets: new Int32Array(0) }
+  };
+  order.forEach((cellType) => {
+    const cells = output[cellType];
+    const offsets = new Int32Array(cells.length);
+    const connectivity = new Int32Array(cells.reduce((sum, ids) => sum + ids.length, 0));
+    let end = 0;
+    cells.forEach((ids, i) => {
+      connectivity.set(ids, end);
+      end += ids.length;
+      offsets[i] = end;
+    });
+    result[cellType] = { connectivity, offsets };
+  });
+  return result;
+}
+
+// ----------------------------------------------------------------------------
+// VTP Writing
+// ----------------------------------------------------------------------------
+
+// One zlib block per array: header [blocks, block size, last block size, compressed size]
+function encodeCompressed(values) {
+  const bytes = Buffer.from(values.buffer, values.byteOffset, values.byteLength);
+  const compressed = zlib.deflateSync(bytes);
+  const header = Buffer.from(new Uint32Array([1, bytes.length, bytes.length, compressed.length]).buffer);
+  return header.toString('base64') + compressed.toString('base64');
+}
+
+function writeDataArray(array, indent) {
+  const name = array.name ? ` Name="${array.name.replace(/[<>&"]/g, '_')}"` : '';
+  const components = array.components > 1 ? ` NumberOfComponents="${array.components}"` : '';
+  return `${indent}<DataArray type="${array.type}"${name}${components} format="binary">` +
+    `${encodeCompressed(array.values)}</DataArray>\n`;
+}
+
+function writeVtp(polyData) {
+  const cellCount = (cellType) => polyData[cellType].offsets.length;
+  const lines = [
+    '<?xml version="1.0"?>\n',
+    '<VTKFile type="PolyData" version="1.0" byte_order="LittleEndian" header_type="UInt32" compressor="vtkZLibDataCompressor">\n',
+    '  <PolyData>\n',
+    `    <Piece NumberOfPoints="${polyData.points.length / 3}" NumberOfVerts="${cellCount('Verts')}" ` +
+      `NumberOfLines="${cellCount('Lines')}" NumberOfStrips="${cellCount('Strips')}" NumberOfPolys="${cellCount('Polys')}">\n`
+  ];
+
+  ['PointData', 'CellData'].forEach((section) => {
+    const arrays = section === 'PointData' ? polyData.pointData : polyData.cellData;
+    lines.push(`      <${section}>\n`);
+    arrays.forEach((array) => lines.push(writeDataArray(array, '        ')));
+    lines.push(`      </${section}>\n`);
+  });
+
+  lines.push('      <Points>\n');
+  lines.push(writeDataArray({ name: 'Points', type: 'Float32', components: 3, values: polyData.points }, '        '));
+  lines.push('      </Points>\n');
+
+  CELL_TYPES.forEach((cellType) => {
+    if (cellCount(cellType) === 0) return;
+    lines.push(`      <${cellType}>\n`);
+    lines.push(writeDataArray({ name: 'connectivity', type: 'Int32', components: 1, values: polyData[cellType].connectivity }, '        '));
+    lines.push(writeDataArray({ name: 'offsets', type: 'Int32', components: 1, values: polyData[cellType].offsets }, '        '));
+    lines.push(`      </${cellType}>\n`);
+  });
+
+  lines.push('    </Piece>\n', '  </PolyData>\n', '</VTKFile>\n');
+  return Buffer.from(lines.join(''), 'utf8');
+}
+
+// ----------------------------------------------------------------------------
+// Pyramid
+// ----------------------------------------------------------------------------
+
+function countCells(polyData) {
+  return CELL_TYPES.reduce((sum, cellType) => sum + polyData[cellType].offsets.length, 0);
+}
+
+// Decimates the file once per requested percentage of points
+function buildPyramid(buffer, percents) {
+  const source = parseVtp(buffer);
+  const levels = percents.map((percent) => {
+    const decimated = decimatePolyData(source, percent / 100);
+    return {
+      percent,
+      points: decimated.points.length / 3,
+      cells: countCells(decimated),
+      data: writeVtp(decimated)
+    };
+  });
+  return { points: source.points.length / 3, cells: countCells(source), levels };
+}
+
+// Only when this file is the worker's entry point; tiling.js requires it too
+if (!isMainThread && require.main === module) {
+  try {
+    const result = buildPyramid(fs.readFileSync(workerData.file), workerData.percents);
+    parentPort.postMessage(result);
+  } catch (err) {
+    parentPort.postMessage({ error: err.message });
+  }
+}
+
+module.exports = {
+  TYPED_ARRAYS,
+  CELL_TYPES,
+  parseVtp,
+  writeVtp,
+  getBounds,
+  forEachCell,
+  countCells,
+  decimatePolyData,
+  buildPyramid
+};
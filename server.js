@@ -1,76 +1,2081 @@
-// Import the WebSocket library
+// Yjs document server for the collaborative vtk.js viewer.
+// Speaks the y-websocket protocol (sync step 1/2, updates and awareness) so
+// the browser's WebsocketProvider can keep yFile, yActor and yReduction in sync.
+// Writes are checked against the sender's room role (viewer, editor, owner), and
+// connections must present a signed token when config/auth.json exists.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { Worker } = require('worker_threads');
 const WebSocket = require('ws');
+const Y = require('yjs');
+const syncProtocol = require('y-protocols/sync');
+const awarenessProtocol = require('y-protocols/awareness');
+const encoding = require('lib0/encoding');
+const decoding = require('lib0/decoding');
 
-// Create a new WebSocket server
-const wss = new WebSocket.Server({ port: 9001 });
+const PORT = Number(process.env.PORT) || 9001;
+const PING_INTERVAL_MS = 30000;
+// How long an empty room is kept in memory before it is garbage-collected
+const ROOM_GC_TIMEOUT_MS = Number(process.env.ROOM_GC_TIMEOUT_MS) || 5 * 60 * 1000;
+const ROOM_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
 
-// Handle new connections
-wss.on('connection', (ws) => {
-  console.log('New client connected.');
+// Room documents are persisted under DATA_DIR so they survive restarts
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const ROOMS_DIR = path.join(DATA_DIR, 'rooms');
+// The update log is rewritten as a single snapshot once it grows past either limit
+const COMPACT_AFTER_UPDATES = 500;
+const COMPACT_AFTER_BYTES = 8 * 1024 * 1024;
 
-  // Handle incoming messages from clients (browser tabs)
-  ws.on('message', (message) => {
-    // Try to parse as JSON string first
-    try {
-      const str = message.toString('utf8');
-      const parsed = JSON.parse(str);
-  
-      console.log('Received JSON message:', parsed);
-  
-      // Broadcast to other clients
-      wss.clients.forEach((client) => {
-        if (client !== ws && client.readyState === WebSocket.OPEN) {
-          client.send(JSON.stringify(parsed));
+// Datasets travel over HTTP as content-addressed chunks instead of through the Yjs doc
+const CHUNKS_DIR = path.join(DATA_DIR, 'chunks');
+const DATASETS_DIR = path.join(DATA_DIR, 'datasets');
+const MAX_CHUNK_BYTES = 4 * 1024 * 1024;
+const MAX_MANIFEST_BYTES = 1024 * 1024;
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+// Decimated copies of each dataset, one directory per dataset under lod/. The percents
+// match lodSystem.levels in src/index.js; 100 is the original file
+const LOD_DIR = path.join(DATA_DIR, 'lod');
+const LOD_PERCENTS = [100, 60, 30, 10, 5];
+// Datasets with more cells than a tile may hold are split into an octree of tiles under
+// tiles/<id>/, each also stored as a coarse copy for the parts of the scene out of view
+const TILES_DIR = path.join(DATA_DIR, 'tiles');
+const TILE_MAX_CELLS = Number(process.env.TILE_MAX_CELLS) || 20000;
+const TILE_MAX_DEPTH = 4;
+const TILE_COARSE_PERCENT = 10;
+
+// Sample datasets shipped with the repository, listed in the client's dataset browser
+const SAMPLES_DIR = process.env.SAMPLES_DIR || path.join(__dirname, 'vtp_files');
+const SAMPLE_EXTENSIONS = ['.vtp', '.vtu', '.vti', '.stl', '.obj', '.ply'];
+const SAMPLE_NAME_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9_.-]{0,127}$/;
+const MAX_DATASET_URL_LENGTH = 2048;
+
+// Session recordings: one JSON-lines file per recording under recordings/<room>/
+const RECORDINGS_DIR = path.join(DATA_DIR, 'recordings');
+
+// Room roles, from least to most privileged. The first user in a room becomes its
+// owner; everyone after that gets DEFAULT_ROLE until an owner changes it.
+const ROLE_LEVELS = { viewer: 0, editor: 1, owner: 2 };
+const DEFAULT_ROLE = process.env.DEFAULT_ROLE in ROLE_LEVELS ? process.env.DEFAULT_ROLE : 'editor';
+// Minimum role needed to write each shared map; any other root type needs an owner
+const ROOT_PERMISSIONS = {
+  actor: 'editor',
+  reduction: 'editor',
+  annotations: 'editor',
+  layerProps: 'editor',
+  clip: 'editor',
+  fileData: 'owner',
+  layers: 'owner',
+  roles: 'owner'
+};
+const USER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// Without authentication a browser proves its identity with a secret key it never shares;
+// its user id is derived from the key, so knowing someone's id is not enough to be them
+const USER_KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+// Signing keys and users live in a local config file; without it the server runs open
+const AUTH_CONFIG_PATH = process.env.AUTH_CONFIG || path.join(__dirname, 'config', 'auth.json');
+const DEFAULT_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+// How long a connection without a token in the URL may take to send one
+const AUTH_TIMEOUT_MS = 5000;
+
+// Close codes sent to clients (4000-4999 are reserved for applications)
+const CLOSE_INVALID_ROOM = 4400;
+const CLOSE_AUTH_FAILED = 4401;
+const CLOSE_KICKED = 4403;
+const CLOSE_RATE_LIMITED = 4429;
+const CLOSE_TOKEN_EXPIRED = 4440;
+
+// Message types used by y-websocket
+const messageSync = 0;
+const messageAwareness = 1;
+// Server -> client error report (JSON { code, message }), not part of y-protocols
+const messageError = 4;
+// Client -> server token (varString), accepted as the first message instead of ?token=
+const messageAuthToken = 5;
+
+// Largest accepted message per type; bigger ones get an error reply. Datasets never
+// travel over the socket, so document updates stay small.
+const MAX_MESSAGE_BYTES = {
+  [messageSync]: 1024 * 1024,
+  [messageAwareness]: 64 * 1024,
+  [messageAuthToken]: 8 * 1024
+};
+// Hard cap enforced by ws itself (close code 1009). It sits well above the per-type
+// limits because a closed client reconnects and would resend the same message.
+const MAX_WS_PAYLOAD = 16 * 1024 * 1024;
+// Token buckets per connection and message type (dragging the actor sends ~60 updates/s)
+const RATE_LIMITS = {
+  [messageSync]: { perSecond: 100, burst: 300 },
+  [messageAwareness]: { perSecond: 30, burst: 60 }
+};
+
+// Message and byte counters are sampled this often; rates cover the sampled window
+const METRICS_SAMPLE_INTERVAL_MS = 5000;
+const METRICS_WINDOW_MS = 60 * 1000;
+
+// ----------------------------------------------------------------------------
+// Rooms (one Yjs document per room)
+// ----------------------------------------------------------------------------
+
+const rooms = new Map();
+
+function getRoom(name) {
+  let room = rooms.get(name);
+  if (room) return room;
+
+  const doc = new Y.Doc({ gc: true });
+  const awareness = new awarenessProtocol.Awareness(doc);
+  awareness.setLocalState(null);
+
+  room = {
+    name,
+    doc,
+    awareness,
+    // Map from connection to the set of awareness client ids it controls
+    conns: new Map(),
+    // Map from connection to the user id it joined as
+    users: new Map(),
+    // Map from connection to its rate limiter
+    limiters: new Map(),
+    // Map from connection to { id, address, connectedAt } for the admin API
+    connectionInfo: new Map(),
+    // While set, document updates are collected here instead of being broadcast
+    heldUpdates: null,
+    createdAt: Date.now(),
+    lastActivity: Date.now(),
+    gcTimer: null,
+    // Set while the room is being recorded, see Session Recording
+    recording: null,
+    persistence: {
+      queue: Promise.resolve(),
+      updateCount: 0,
+      logBytes: 0
+    }
+  };
+
+  // Restore the last persisted state before anyone can sync against the doc
+  loadRoomState(room);
+
+  // Forward every document update to all connections in the room
+  doc.on('update', (update) => {
+    room.lastActivity = Date.now();
+    persistUpdate(room, update);
+    if (room.heldUpdates) {
+      room.heldUpdates.push(update);
+    } else {
+      broadcastUpdate(room, update);
+      recordUpdate(room, update);
+    }
+  });
+
+  // Track which awareness states belong to which connection and relay them
+  awareness.on('update', ({ added, updated, removed }, conn) => {
+    const changedClients = added.concat(updated, removed);
+    if (conn !== null) {
+      const controlledIds = room.conns.get(conn);
+      if (controlledIds !== undefined) {
+        added.forEach((clientId) => controlledIds.add(clientId));
+        removed.forEach((clientId) => controlledIds.delete(clientId));
+      }
+    }
+
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, messageAwareness);
+    encoding.writeVarUint8Array(
+      encoder,
+      awarenessProtocol.encodeAwarenessUpdate(awareness, changedClients)
+    );
+    const message = encoding.toUint8Array(encoder);
+    room.conns.forEach((_, c) => send(room, c, message));
+  });
+
+  // 'change' skips the periodic keep-alive renewals that 'update' also reports
+  awareness.on('change', ({ added, updated, removed }) => {
+    recordAwareness(room, added.concat(updated, removed));
+  });
+
+  // A server that stopped mid-recording leaves the marker behind in the persisted state
+  if (doc.getMap('recording').has('active')) {
+    doc.getMap('recording').delete('active');
+  }
+
+  rooms.set(name, room);
+  console.log(`Room created: ${name}`);
+  return room;
+}
+
+function broadcastUpdate(room, update) {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, messageSync);
+  syncProtocol.writeUpdate(encoder, update);
+  const message = encoding.toUint8Array(encoder);
+  room.conns.forEach((_, conn) => send(room, conn, message));
+}
+
+function scheduleRoomCleanup(room) {
+  clearTimeout(room.gcTimer);
+  room.gcTimer = setTimeout(() => {
+    if (room.conns.size > 0) return;
+    // Keep the room reachable until its snapshot is on disk, a client may rejoin meanwhile
+    stopRecording(room);
+    compactRoom(room).then(() => {
+      if (room.conns.size > 0) return;
+      rooms.delete(room.name);
+      room.awareness.destroy();
+      room.doc.destroy();
+      console.log(`Room garbage-collected after ${ROOM_GC_TIMEOUT_MS / 1000}s without clients: ${room.name}`);
+    });
+  }, ROOM_GC_TIMEOUT_MS);
+}
+
+function cancelRoomCleanup(room) {
+  clearTimeout(room.gcTimer);
+  room.gcTimer = null;
+}
+
+function listRooms() {
+  return Array.from(rooms.values()).map((room) => {
+    const dataset = room.doc.getMap('fileData').get('dataset');
+    return {
+      name: room.name,
+      clients: room.conns.size,
+      dataset: dataset ? dataset.id : null,
+      recording: room.recording ? room.recording.id : null,
+      createdAt: new Date(room.createdAt).toISOString(),
+      lastActivity: new Date(room.lastActivity).toISOString()
+    };
+  });
+}
+
+function send(room, conn, message) {
+  if (conn.readyState !== WebSocket.CONNECTING && conn.readyState !== WebSocket.OPEN) {
+    closeConnection(room, conn);
+    return;
+  }
+  metrics.messagesRelayed++;
+  metrics.bytesRelayed += message.byteLength;
+  conn.send(message, (err) => {
+    if (err) closeConnection(room, conn);
+  });
+}
+
+function closeConnection(room, conn) {
+  if (room.conns.has(conn)) {
+    const controlledIds = room.conns.get(conn);
+    room.conns.delete(conn);
+    room.users.delete(conn);
+    room.limiters.delete(conn);
+    room.connectionInfo.delete(conn);
+    awarenessProtocol.removeAwarenessStates(room.awareness, Array.from(controlledIds), null);
+    console.log(`Client left room ${room.name} (${room.conns.size} remaining)`);
+    if (room.conns.size === 0) {
+      scheduleRoomCleanup(room);
+    }
+  }
+  conn.close();
+}
+
+// ----------------------------------------------------------------------------
+// Persistence (append-only update log per room, compacted into snapshots)
+// ----------------------------------------------------------------------------
+
+// Log records are a UInt32LE byte length followed by one encoded Yjs update
+
+function roomLogPath(name) {
+  return path.join(ROOMS_DIR, `${name}.ylog`);
+}
+
+function encodeLogRecord(update) {
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(update.byteLength, 0);
+  return Buffer.concat([header, Buffer.from(update.buffer, update.byteOffset, update.byteLength)]);
+}
+
+function loadRoomState(room) {
+  const file = roomLogPath(room.name);
+  if (!fs.existsSync(file)) return;
+
+  const buffer = fs.readFileSync(file);
+  let offset = 0;
+  let count = 0;
+
+  room.doc.transact(() => {
+    while (offset + 4 <= buffer.length) {
+      const length = buffer.readUInt32LE(offset);
+      if (offset + 4 + length > buffer.length) break;
+      Y.applyUpdate(room.doc, buffer.subarray(offset + 4, offset + 4 + length));
+      offset += 4 + length;
+      count++;
+    }
+  });
+
+  room.persistence.updateCount = count;
+  room.persistence.logBytes = buffer.length;
+  console.log(`Restored room ${room.name} from ${count} logged updates (${(buffer.length / 1024).toFixed(1)} KB)`);
+
+  if (offset < buffer.length) {
+    // A crash in the middle of an append leaves a partial record behind
+    console.warn(`Ignoring ${buffer.length - offset} trailing bytes of a truncated record in ${file}`);
+    compactRoom(room);
+  }
+}
+
+// Runs persistence tasks for a room one after another so the log stays ordered
+function enqueuePersistence(room, task) {
+  room.persistence.queue = room.persistence.queue
+    .then(task)
+    .catch((err) => console.error(`Persistence failed for room ${room.name}:`, err));
+  return room.persistence.queue;
+}
+
+function persistUpdate(room, update) {
+  const record = encodeLogRecord(update);
+  room.persistence.updateCount++;
+  room.persistence.logBytes += record.length;
+  enqueuePersistence(room, () => fs.promises.appendFile(roomLogPath(room.name), record));
+
+  if (
+    room.persistence.updateCount > COMPACT_AFTER_UPDATES ||
+    room.persistence.logBytes > COMPACT_AFTER_BYTES
+  ) {
+    compactRoom(room);
+  }
+}
+
+function compactRoom(room) {
+  // The snapshot is taken now; appends queued later land after the rewritten log
+  const record = encodeLogRecord(Y.encodeStateAsUpdate(room.doc));
+  const previousCount = room.persistence.updateCount;
+  room.persistence.updateCount = 1;
+  room.persistence.logBytes = record.length;
+
+  return enqueuePersistence(room, async () => {
+    await writeFileAtomic(roomLogPath(room.name), record);
+    console.log(`Compacted room ${room.name}: ${previousCount} updates -> snapshot (${(record.length / 1024).toFixed(1)} KB)`);
+  });
+}
+
+// ----------------------------------------------------------------------------
+// Session Recording (timestamped document updates and presence)
+// ----------------------------------------------------------------------------
+
+// A recording is a JSON-lines file. It starts with a snapshot of the room document,
+// followed by every document update and every change of a collaborator's user info,
+// camera and presenter flag. Each line carries t, the milliseconds since the start:
+//   { t, type: 'start', room, startedBy, startedAt }
+//   { t, type: 'snapshot', update }           base64 Yjs update
+//   { t, type: 'update', update }             base64 Yjs update
+//   { t, type: 'awareness', clientId, state } state is null when the client left
+//   { t, type: 'stop' }
+// Dataset loads, orientation, representation, reduction and annotations are all
+// document updates, so replaying them goes through the same observers as live edits.
+
+function recordingPath(roomName, id) {
+  return path.join(RECORDINGS_DIR, roomName, `${id}.jsonl`);
+}
+
+function recordEvent(room, event) {
+  const { recording } = room;
+  if (!recording) return;
+  recording.stream.write(`${JSON.stringify({ t: Date.now() - recording.startedAt, ...event })}\n`);
+  recording.events++;
+}
+
+function recordUpdate(room, update) {
+  if (!room.recording) return;
+  recordEvent(room, { type: 'update', update: Buffer.from(update).toString('base64') });
+}
+
+function recordAwareness(room, clientIds) {
+  if (!room.recording) return;
+  const states = room.awareness.getStates();
+  clientIds.forEach((clientId) => {
+    const state = states.get(clientId);
+    recordEvent(room, {
+      type: 'awareness',
+      clientId,
+      state: state ? { user: state.user, camera: state.camera, presenting: state.presenting } : null
+    });
+  });
+}
+
+function startRecording(room, startedBy) {
+  if (room.recording) throw httpError(409, `Room ${room.name} is already being recorded`);
+
+  const startedAt = Date.now();
+  const stamp = new Date(startedAt).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const id = `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+  fs.mkdirSync(path.join(RECORDINGS_DIR, room.name), { recursive: true });
+  const stream = fs.createWriteStream(recordingPath(room.name, id), { flags: 'wx' });
+  stream.on('error', (err) => console.error(`Recording ${id} of room ${room.name} failed:`, err));
+
+  room.recording = { id, stream, startedAt, startedBy, events: 0 };
+  recordEvent(room, { type: 'start', room: room.name, startedBy, startedAt: new Date(startedAt).toISOString() });
+  recordEvent(room, { type: 'snapshot', update: Buffer.from(Y.encodeStateAsUpdate(room.doc)).toString('base64') });
+  recordAwareness(room, Array.from(room.awareness.getStates().keys()));
+
+  // Clients show a recording indicator while this is set; only the server writes it
+  room.doc.getMap('recording').set('active', { id, startedAt, startedBy });
+  console.log(`Started recording ${id} of room ${room.name} for ${startedBy}`);
+  return { id, startedAt, startedBy };
+}
+
+function stopRecording(room) {
+  const { recording } = room;
+  if (!recording) return Promise.resolve(null);
+
+  recordEvent(room, { type: 'stop' });
+  room.recording = null;
+  room.doc.getMap('recording').delete('active');
+
+  const summary = {
+    id: recording.id,
+    startedAt: recording.startedAt,
+    startedBy: recording.startedBy,
+    duration: Date.now() - recording.startedAt,
+    events: recording.events
+  };
+  console.log(`Stopped recording ${recording.id} of room ${room.name} (${summary.events} events, ${(summary.duration / 1000).toFixed(0)}s)`);
+  return new Promise((resolve) => recording.stream.end(() => resolve(summary)));
+}
+
+function getLiveRoom(name) {
+  const room = rooms.get(name);
+  if (!room) throw httpError(404, `Room ${name} has no connected clients`);
+  return room;
+}
+
+async function postRecording(req, res, roomName) {
+  const room = getLiveRoom(roomName);
+  requireRoomOwner(req, room, 'Recording');
+  // The token's subject, or without authentication the id derived from X-User-Key
+  sendJSON(res, 201, startRecording(room, req.user));
+}
+
+async function deleteRecording(req, res, roomName) {
+  const room = getLiveRoom(roomName);
+  requireRoomOwner(req, room, 'Recording');
+  const summary = await stopRecording(room);
+  if (!summary) throw httpError(409, `Room ${room.name} is not being recorded`);
+  sendJSON(res, 200, summary);
+}
+
+// A recording holds the room's whole history (annotations, roles, presence), so only
+// users who hold a role in the room, as everyone who joined it over the WebSocket does,
+// and server admins may read it
+function requireRoomMember(req, roomName) {
+  if (isServerAdmin(req)) return;
+  if (!req.user) throw httpError(401, `Reading the recordings of room ${roomName} requires X-User-Key`);
+  const room = openRoom(roomName);
+  if (!room.doc.getMap('roles').has(req.user)) {
+    throw httpError(403, `Reading the recordings of room ${roomName} requires a role in it`);
+  }
+}
+
+async function listRecordings(req, res, roomName) {
+  requireRoomMember(req, roomName);
+  const dir = path.join(RECORDINGS_DIR, roomName);
+  const files = await fs.promises.readdir(dir).catch(() => []);
+  const room = rooms.get(roomName);
+  const recordings = await Promise.all(files
+    .filter((file) => file.endsWith('.jsonl'))
+    .map(async (file) => {
+      const id = file.slice(0, -'.jsonl'.length);
+      const stats = await fs.promises.stat(path.join(dir, file));
+      return {
+        id,
+        size: stats.size,
+        modified: stats.mtime.toISOString(),
+        active: Boolean(room && room.recording && room.recording.id === id)
+      };
+    }));
+  // Ids start with the UTC start time, so this is newest first
+  recordings.sort((a, b) => (a.id < b.id ? 1 : -1));
+  sendJSON(res, 200, { room: roomName, recordings });
+}
+
+async function getRecording(req, res, roomName, id) {
+  requireRoomMember(req, roomName);
+  const file = recordingPath(roomName, id);
+  if (!fs.existsSync(file)) throw httpError(404, `No recording ${id} for room ${roomName}`);
+  res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/x-ndjson' });
+  fs.createReadStream(file).pipe(res);
+}
+
+// ----------------------------------------------------------------------------
+// Authentication (HMAC-signed tokens)
+// ----------------------------------------------------------------------------
+
+// Tokens are compact JWTs (HS256). The header's kid names the signing key, so keys
+// can be rotated by adding a new one to the config and switching signingKey.
+let authConfig = null;
+
+// Anyone who knows a key can sign tokens for any user, so the placeholder from
+// config/auth.example.json and short keys are refused
+const EXAMPLE_SIGNING_KEY = 'replace-with-a-long-random-secret';
+const MIN_SIGNING_KEY_BYTES = 32;
+// scrypt$<salt hex>$<hash hex>, as printed by `npm run hash-password`
+const PASSWORD_HASH_PATTERN = /^scrypt\$((?:[0-9a-f]{2})+)\$([0-9a-f]{64})$/;
+const PASSWORD_HASH_BYTES = 32;
+
+function isValidSigningKey(key) {
+  return typeof key === 'string' && key !== EXAMPLE_SIGNING_KEY &&
+    Buffer.byteLength(key, 'utf8') >= MIN_SIGNING_KEY_BYTES;
+}
+
+function loadAuthConfig() {
+  if (!fs.existsSync(AUTH_CONFIG_PATH)) {
+    console.warn(`No auth config at ${AUTH_CONFIG_PATH}; authentication is DISABLED`);
+    return null;
+  }
+  const config = JSON.parse(fs.readFileSync(AUTH_CONFIG_PATH, 'utf8'));
+  if (!config.keys || !config.keys[config.signingKey]) {
+    throw new Error(`${AUTH_CONFIG_PATH}: signingKey must name an entry of keys`);
+  }
+  // Every key still verifies tokens, not only the one that signs new ones
+  Object.entries(config.keys).forEach(([kid, key]) => {
+    if (!isValidSigningKey(key)) {
+      throw new Error(`${AUTH_CONFIG_PATH}: key ${kid} must be a random secret of at least ${MIN_SIGNING_KEY_BYTES} bytes, not the example value`);
+    }
+  });
+  Object.entries(config.users || {}).forEach(([userId, user]) => {
+    if (!USER_ID_PATTERN.test(userId) || !user || !parsePasswordHash(user.passwordHash)) {
+      throw new Error(`${AUTH_CONFIG_PATH}: user ${userId} needs a passwordHash from npm run hash-password`);
+    }
+  });
+  console.log(`Authentication enabled (${Object.keys(config.users || {}).length} users, signing key ${config.signingKey})`);
+  return {
+    keys: config.keys,
+    signingKey: config.signingKey,
+    tokenTtlSeconds: config.tokenTtlSeconds || DEFAULT_TOKEN_TTL_SECONDS,
+    users: config.users || {},
+    // Users who may administer every room through the HTTP API
+    admins: config.admins || []
+  };
+}
+
+// Also called by the tests, after pointing AUTH_CONFIG at their own config
+function configureAuth() {
+  authConfig = loadAuthConfig();
+}
+
+function base64url(data) {
+  return Buffer.from(data).toString('base64url');
+}
+
+function hmac(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest();
+}
+
+function signToken(userId) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: authConfig.signingKey }));
+  const payload = base64url(JSON.stringify({ sub: userId, iat: now, exp: now + authConfig.tokenTtlSeconds }));
+  const signature = base64url(hmac(authConfig.keys[authConfig.signingKey], `${header}.${payload}`));
+  return `${header}.${payload}.${signature}`;
+}
+
+// Returns { userId, expiresAt } or throws an Error whose code is 'invalid' or 'expired'
+function verifyToken(token) {
+  const fail = (code, message) => Object.assign(new Error(message), { code });
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) throw fail('invalid', 'Malformed token');
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (err) {
+    throw fail('invalid', 'Malformed token');
+  }
+
+  const secret = header.alg === 'HS256' && authConfig.keys[header.kid];
+  if (!secret) throw fail('invalid', 'Unknown signing key');
+  const expected = hmac(secret, `${parts[0]}.${parts[1]}`);
+  const actual = Buffer.from(parts[2], 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw fail('invalid', 'Bad token signature');
+  }
+  if (!USER_ID_PATTERN.test(payload.sub || '')) throw fail('invalid', 'Token has no valid subject');
+  if (typeof payload.exp !== 'number' || payload.exp * 1000 <= Date.now()) {
+    throw fail('expired', 'Token expired');
+  }
+  return { userId: payload.sub, expiresAt: payload.exp * 1000 };
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return `scrypt$${salt.toString('hex')}$${crypto.scryptSync(password, salt, PASSWORD_HASH_BYTES).toString('hex')}`;
+}
+
+// Returns { salt, hash } as buffers, or null unless both are hex and the hash has the right size
+function parsePasswordHash(stored) {
+  const match = PASSWORD_HASH_PATTERN.exec(typeof stored === 'string' ? stored : '');
+  if (!match) return null;
+  return { salt: Buffer.from(match[1], 'hex'), hash: Buffer.from(match[2], 'hex') };
+}
+
+function checkPassword(password, stored) {
+  const parsed = parsePasswordHash(stored);
+  // A malformed hash would decode to an empty buffer that any empty digest matches
+  if (!parsed || parsed.hash.length !== PASSWORD_HASH_BYTES) return false;
+  const actual = crypto.scryptSync(String(password), parsed.salt, PASSWORD_HASH_BYTES);
+  return crypto.timingSafeEqual(actual, parsed.hash);
+}
+
+// Reads a bearer token from HTTP requests; only called when authentication is enabled
+function authenticateRequest(req) {
+  const match = /^Bearer (\S+)$/.exec(req.headers.authorization || '');
+  if (!match) throw httpError(401, 'Authentication required');
+  try {
+    return verifyToken(match[1]);
+  } catch (err) {
+    throw httpError(401, err.message);
+  }
+}
+
+async function issueToken(req, res) {
+  if (!authConfig) throw httpError(404, 'Authentication is disabled on this server');
+  const { username, password } = await readJSONBody(req, 16 * 1024);
+  const user = USER_ID_PATTERN.test(username || '') && authConfig.users[username];
+  if (!user || !checkPassword(password, user.passwordHash)) {
+    throw httpError(401, 'Invalid username or password');
+  }
+  const token = signToken(username);
+  console.log(`Issued token for ${username}`);
+  sendJSON(res, 200, { token, user: username, expiresAt: verifyToken(token).expiresAt });
+}
+
+// ----------------------------------------------------------------------------
+// Roles and Write Authorization
+// ----------------------------------------------------------------------------
+
+function getRole(room, userId) {
+  return room.doc.getMap('roles').get(userId) || 'viewer';
+}
+
+function hasRole(role, required) {
+  return ROLE_LEVELS[role] >= ROLE_LEVELS[required];
+}
+
+function assignInitialRole(room, userId) {
+  const roles = room.doc.getMap('roles');
+  if (roles.has(userId)) return;
+  const hasOwner = Array.from(roles.values()).includes('owner');
+  roles.set(userId, hasOwner ? DEFAULT_ROLE : 'owner');
+  console.log(`Assigned role ${roles.get(userId)} to ${userId} in room ${room.name}`);
+}
+
+// HTTP requests that change a room for everyone need its owner or a server admin. Admins
+// only exist with authentication; without it callers identify with the same secret key
+// as on the WebSocket (X-User-Key) and are held to their role in the room.
+function isServerAdmin(req) {
+  return Boolean(authConfig) && authConfig.admins.includes(req.user);
+}
+
+function requireRoomOwner(req, room, action) {
+  if (isServerAdmin(req)) return;
+  if (!req.user) throw httpError(401, `${action} in room ${room.name} requires X-User-Key`);
+  if (!hasRole(getRole(room, req.user), 'owner')) {
+    throw httpError(403, `${action} in room ${room.name} requires the owner role`);
+  }
+}
+
+function rootNameOf(type) {
+  while (type._item !== null) {
+    type = type._item.parent;
+  }
+  return Y.findRootTypeKey(type);
+}
+
+// Lists the root types (and map keys) an update writes to. Structs the room already
+// has are skipped, so a client re-sending known state is not mistaken for a write.
+function describeUpdateWrites(doc, update) {
+  const { structs, ds } = Y.decodeUpdate(update);
+  const writes = [];
+  const incoming = new Map();
+  structs.forEach((struct) => {
+    const known = Y.getState(doc.store, struct.id.client);
+    if (struct instanceof Y.Item && struct.id.clock + struct.length > known) {
+      incoming.set(`${struct.id.client}:${struct.id.clock}`, struct);
+    }
+  });
+
+  const findIncoming = (id) => {
+    for (const struct of incoming.values()) {
+      if (struct.id.client === id.client && id.clock >= struct.id.clock &&
+          id.clock < struct.id.clock + struct.length) {
+        return struct;
+      }
+    }
+    return null;
+  };
+
+  const findStored = (id) => (
+    id.clock < Y.getState(doc.store, id.client) ? Y.getItem(doc.store, id) : null
+  );
+
+  // Items only encode their parent when they have no neighbours; otherwise it is
+  // inherited from the left or right origin
+  const locate = (item, depth = 0) => {
+    if (depth > incoming.size) return { root: null, key: null };
+    if (typeof item.parent === 'string') {
+      return { root: item.parent, key: item.parentSub };
+    }
+    if (item.parent instanceof Y.ID) {
+      const stored = findStored(item.parent);
+      if (stored) return { root: rootNameOf(stored.content.type), key: null };
+      const parentItem = findIncoming(item.parent);
+      return parentItem ? { root: locate(parentItem, depth + 1).root, key: null } : { root: null, key: null };
+    }
+    if (item.parent !== null && item.parent !== undefined) {
+      return { root: rootNameOf(item.parent), key: item.parentSub };
+    }
+    const neighbourId = item.origin || item.rightOrigin;
+    if (!neighbourId) return { root: null, key: null };
+    const stored = findStored(neighbourId);
+    if (stored) return { root: rootNameOf(stored.parent), key: stored.parentSub };
+    const neighbour = findIncoming(neighbourId);
+    return neighbour ? locate(neighbour, depth + 1) : { root: null, key: null };
+  };
+
+  incoming.forEach((item) => {
+    const { root, key } = locate(item);
+    const value = item.content instanceof Y.ContentAny ? item.content.arr[0] : undefined;
+    writes.push({ root, key, value, deleted: item.content instanceof Y.ContentDeleted });
+  });
+
+  // Deletions of items the room still has alive
+  ds.clients.forEach((deleteItems, client) => {
+    const storedStructs = doc.store.clients.get(client);
+    if (!storedStructs) return;
+    const known = Y.getState(doc.store, client);
+    deleteItems.forEach(({ clock, len }) => {
+      if (clock >= known) return;
+      for (let i = Y.findIndexSS(storedStructs, clock); i < storedStructs.length; i++) {
+        const struct = storedStructs[i];
+        if (struct.id.clock >= clock + len) break;
+        if (struct instanceof Y.Item && !struct.deleted) {
+          writes.push({ root: rootNameOf(struct.parent), key: struct.parentSub, value: undefined, deleted: true });
         }
+      }
+    });
+  });
+
+  return writes;
+}
+
+// Applies a client update, undoing any write the sender's role does not allow or that
+// does not match its schema. Returns { code, reason } for the first refused write, or
+// null when everything was applied.
+function applyClientUpdate(room, conn, update) {
+  const { doc } = room;
+  const role = getRole(room, room.users.get(conn));
+
+  let writes;
+  try {
+    writes = describeUpdateWrites(doc, update);
+  } catch (err) {
+    return { code: 'invalid', reason: `Malformed update: ${err.message}` };
+  }
+
+  const refused = [];
+  for (const { root, key, value, deleted } of writes) {
+    const required = ROOT_PERMISSIONS[root];
+    // Writes outside the known maps cannot be reverted key by key; drop the whole update
+    if (!required) {
+      return { code: 'invalid', reason: `Unknown shared type ${root || '(unresolved)'}` };
+    }
+    if (!hasRole(role, required)) {
+      refused.push({
+        root,
+        key,
+        code: 'forbidden',
+        reason: `Your role (${role}) cannot modify ${root}; ${required} required`
       });
-  
-    } catch (err) {
-      // If not JSON, then treat it as binary (assume it's a VTK file)
-      console.log('Received binary VTK file:', message);
-  
-      wss.clients.forEach((client) => {
-        if (client !== ws && client.readyState === WebSocket.OPEN) {
-          client.send(message);
+    } else if (!deleted) {
+      const problem = validateValue(root, key, value);
+      if (problem) refused.push({ root, key, code: 'invalid', reason: problem });
+    }
+  }
+
+  if (refused.length === 0) {
+    Y.applyUpdate(doc, update, conn);
+    return null;
+  }
+
+  // Integrating the update and then restoring the previous values keeps the sender's
+  // history consistent with ours (its later updates can build on it). Both are sent
+  // out as one merged update, so nobody observes the refused values.
+  const previous = refused.map(({ root, key }) => {
+    const map = doc.getMap(root);
+    return { map, key, existed: map.has(key), value: map.get(key) };
+  });
+  room.heldUpdates = [];
+  try {
+    Y.applyUpdate(doc, update, conn);
+    doc.transact(() => {
+      previous.forEach(({ map, key, existed, value }) => {
+        if (existed) {
+          map.set(key, value);
+        } else {
+          map.delete(key);
         }
       });
+    });
+  } finally {
+    const held = room.heldUpdates;
+    room.heldUpdates = null;
+    if (held.length > 0) {
+      const merged = Y.mergeUpdates(held);
+      broadcastUpdate(room, merged);
+      recordUpdate(room, merged);
+    }
+  }
+  return { code: refused[0].code, reason: refused[0].reason };
+}
+
+// ----------------------------------------------------------------------------
+// Message Validation and Rate Limiting
+// ----------------------------------------------------------------------------
+
+const REDUCTION_METHODS = ['pca', 'tsne', 'umap'];
+const CLIP_MODES = ['clip', 'slice'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isVector3(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+function isShortString(value, maxLength) {
+  return typeof value === 'string' && value.length <= maxLength;
+}
+
+// A sample on this server (/samples/<name>) or an absolute http(s) URL
+function isDatasetUrl(value) {
+  if (!isShortString(value, MAX_DATASET_URL_LENGTH)) return false;
+  if (value.startsWith('/samples/')) return SAMPLE_NAME_PATTERN.test(value.slice('/samples/'.length));
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+}
+
+// A shared dataset reference: uploaded (chunkCount) or fetched from its url
+function isDatasetRef(value) {
+  return isPlainObject(value) &&
+    HASH_PATTERN.test(value.id) &&
+    isShortString(value.name, 255) &&
+    Number.isInteger(value.size) && value.size >= 0 &&
+    // Uploaded datasets have chunks on this server; URL references are fetched from their url
+    (value.url === undefined
+      ? Number.isInteger(value.chunkCount) && value.chunkCount >= 0
+      : isDatasetUrl(value.url));
+}
+
+// Array coloring of a scene outline entry: a point or cell array ('point:<name>'), the
+// vector component (-1 for magnitude), a colormap preset and a fixed range or null for auto
+function isColoring(value) {
+  return isPlainObject(value) &&
+    (value.array === null || (isShortString(value.array, 300) && /^(point|cell):./.test(value.array))) &&
+    Number.isInteger(value.component) && value.component >= -1 && value.component < 16 &&
+    isShortString(value.preset, 64) &&
+    (value.range === null || (Array.isArray(value.range) && value.range.length === 2 &&
+      value.range.every(Number.isFinite) && value.range[0] < value.range[1])) &&
+    typeof value.scalarBar === 'boolean';
+}
+
+// Every property of a scene outline entry is optional; the primary dataset's orientation
+// and representation are stored in actor instead
+const LAYER_PROPS = {
+  visible: (value) => typeof value === 'boolean',
+  representation: (value) => Number.isInteger(value) && value >= 0 && value <= 2,
+  color: (value) => typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value),
+  opacity: (value) => Number.isFinite(value) && value >= 0 && value <= 1,
+  position: isVector3,
+  orientation: isVector3,
+  scale: (value) => Number.isFinite(value) && value > 0,
+  coloring: isColoring
+};
+
+// Shape of every value clients may write, by shared map and key ('*' matches any key)
+const VALUE_SCHEMAS = {
+  actor: {
+    orientation: isVector3,
+    representation: (value) => Number.isInteger(value) && value >= 0 && value <= 2
+  },
+  reduction: {
+    state: (value) => isPlainObject(value) &&
+      typeof value.applied === 'boolean' &&
+      REDUCTION_METHODS.includes(value.method) &&
+      (value.components === 2 || value.components === 3)
+  },
+  fileData: {
+    dataset: isDatasetRef
+  },
+  // Datasets shown next to the primary one, keyed by a client-chosen layer id
+  layers: {
+    '*': (value, key) => isPlainObject(value) &&
+      value.id === key && USER_ID_PATTERN.test(key) &&
+      isDatasetRef(value.dataset) &&
+      Number.isFinite(value.addedAt)
+  },
+  // Outline entry properties by layer id, or 'primary' for the primary dataset
+  layerProps: {
+    '*': (value, key) => isPlainObject(value) && USER_ID_PATTERN.test(key) &&
+      Object.entries(value).every(([name, prop]) =>
+        Object.prototype.hasOwnProperty.call(LAYER_PROPS, name) && LAYER_PROPS[name](prop))
+  },
+  clip: {
+    plane: (value) => isPlainObject(value) &&
+      typeof value.enabled === 'boolean' &&
+      CLIP_MODES.includes(value.mode) &&
+      typeof value.capping === 'boolean' &&
+      isVector3(value.origin) &&
+      isVector3(value.normal) && value.normal.some(component => component !== 0)
+  },
+  annotations: {
+    '*': (value, key) => isPlainObject(value) &&
+      value.id === key && isShortString(key, 64) &&
+      HASH_PATTERN.test(value.datasetId) &&
+      isVector3(value.position) &&
+      isShortString(value.text, 1000) &&
+      isShortString(value.author, 64) &&
+      /^#[0-9a-fA-F]{6}$/.test(value.color) &&
+      Number.isFinite(value.createdAt)
+  },
+  roles: {
+    '*': (value, key) => USER_ID_PATTERN.test(key) && value in ROLE_LEVELS
+  }
+};
+
+// Returns a description of what is wrong with the value, or null when it is valid
+function validateValue(root, key, value) {
+  const schemas = VALUE_SCHEMAS[root] || {};
+  const validate = schemas[key] || schemas['*'];
+  if (!validate) return `Unknown key ${root}.${key}`;
+  if (value === undefined || !validate(value, key)) return `Invalid value for ${root}.${key}`;
+  return null;
+}
+
+const ACTIVITY_LEVELS = ['active', 'moderate', 'idle'];
+
+// Fields of a client's presence (awareness) state. Peers paint the color into the page
+// and apply the camera to their own view when following, so both are checked strictly.
+const AWARENESS_SCHEMA = {
+  user: (value) => isPlainObject(value) &&
+    Object.keys(value).every((name) => ['id', 'name', 'color'].includes(name)) &&
+    (value.id === undefined || USER_ID_PATTERN.test(value.id)) &&
+    isShortString(value.name, 64) &&
+    /^#[0-9a-fA-F]{6}$/.test(value.color),
+  camera: (value) => isPlainObject(value) &&
+    Object.keys(value).every((name) => ['position', 'focalPoint', 'viewUp', 'viewAngle'].includes(name)) &&
+    isVector3(value.position) &&
+    isVector3(value.focalPoint) &&
+    isVector3(value.viewUp) &&
+    Number.isFinite(value.viewAngle) && value.viewAngle > 0 && value.viewAngle < 180,
+  activity: (value) => ACTIVITY_LEVELS.includes(value),
+  following: (value) => value === null || Number.isInteger(value),
+  presenting: (value) => value === null || Number.isFinite(value)
+};
+
+// Returns a description of what is wrong with an encoded awareness update, or null
+// when every state in it is valid. A null state means the client left.
+function validateAwarenessUpdate(update) {
+  let states;
+  try {
+    const decoder = decoding.createDecoder(update);
+    states = Array.from({ length: decoding.readVarUint(decoder) }, () => {
+      decoding.readVarUint(decoder);
+      decoding.readVarUint(decoder);
+      return JSON.parse(decoding.readVarString(decoder));
+    });
+  } catch (err) {
+    return 'Malformed awareness update';
+  }
+
+  for (const state of states) {
+    if (state === null) continue;
+    if (!isPlainObject(state)) return 'Awareness state must be an object';
+    for (const [field, value] of Object.entries(state)) {
+      if (!Object.prototype.hasOwnProperty.call(AWARENESS_SCHEMA, field)) return `Unknown awareness field ${field}`;
+      if (!AWARENESS_SCHEMA[field](value)) return `Invalid awareness field ${field}`;
+    }
+  }
+  return null;
+}
+
+function createRateLimiter() {
+  const now = Date.now();
+  const buckets = {};
+  Object.entries(RATE_LIMITS).forEach(([type, { burst }]) => {
+    buckets[type] = { tokens: burst, updatedAt: now };
+  });
+  return { buckets, lastNotice: 0 };
+}
+
+// Takes one token from the connection's bucket for this message type
+function consumeRateLimit(limiter, messageType) {
+  const limit = RATE_LIMITS[messageType];
+  if (!limit) return true;
+  const bucket = limiter.buckets[messageType];
+  const now = Date.now();
+  bucket.tokens = Math.min(limit.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit.perSecond);
+  bucket.updatedAt = now;
+  if (bucket.tokens < 1) return false;
+  bucket.tokens -= 1;
+  return true;
+}
+
+function sendError(room, conn, code, message) {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, messageError);
+  encoding.writeVarString(encoder, JSON.stringify({ code, message }));
+  send(room, conn, encoding.toUint8Array(encoder));
+}
+
+// ----------------------------------------------------------------------------
+// Message Handling
+// ----------------------------------------------------------------------------
+
+function handleMessage(room, conn, message) {
+  // Messages still queued after we closed the connection (e.g. rate limiting)
+  if (conn.readyState !== WebSocket.OPEN) return;
+  metrics.messagesReceived++;
+  metrics.bytesReceived += message.byteLength;
+  try {
+    const decoder = decoding.createDecoder(message);
+    const encoder = encoding.createEncoder();
+    const messageType = decoding.readVarUint(decoder);
+
+    if (!(messageType in MAX_MESSAGE_BYTES) || messageType === messageAuthToken) {
+      sendError(room, conn, 'invalid', `Unknown message type ${messageType}`);
+      return;
+    }
+    if (message.length > MAX_MESSAGE_BYTES[messageType]) {
+      console.warn(`Dropped ${message.length} byte message of type ${messageType} from ${room.users.get(conn)}`);
+      sendError(room, conn, 'too-large', `Message of ${message.length} bytes exceeds the ${MAX_MESSAGE_BYTES[messageType]} byte limit`);
+      return;
+    }
+
+    const limiter = room.limiters.get(conn);
+    if (!consumeRateLimit(limiter, messageType)) {
+      if (messageType === messageSync) {
+        // Dropping a document update would leave the client out of sync; reconnecting
+        // makes it resend whatever we are missing
+        console.warn(`Closing ${room.users.get(conn)} in room ${room.name}: update rate limit exceeded`);
+        conn.close(CLOSE_RATE_LIMITED, 'Rate limit exceeded');
+      } else if (Date.now() - limiter.lastNotice > 1000) {
+        // Awareness is ephemeral, the next state supersedes the dropped one
+        limiter.lastNotice = Date.now();
+        sendError(room, conn, 'rate-limited', 'Too many presence updates; some were dropped');
+      }
+      return;
     }
+
+    switch (messageType) {
+      case messageSync: {
+        // Writes (sync step 2 and updates) are checked against the sender's role first
+        const syncType = decoding.peekVarUint(decoder);
+        if (syncType === syncProtocol.messageYjsSyncStep2 || syncType === syncProtocol.messageYjsUpdate) {
+          decoding.readVarUint(decoder);
+          const update = decoding.readVarUint8Array(decoder);
+          const denied = applyClientUpdate(room, conn, update);
+          if (denied) {
+            metrics.rejectedUpdates++;
+            console.warn(`Rejected update from ${room.users.get(conn)} in room ${room.name}: ${denied.reason}`);
+            sendError(room, conn, denied.code, denied.reason);
+          }
+          break;
+        }
+
+        encoding.writeVarUint(encoder, messageSync);
+        // Answers sync step 1 with step 2, applies step 2 and updates to the room doc
+        syncProtocol.readSyncMessage(decoder, encoder, room.doc, conn);
+        // Only reply when there is something beyond the message type
+        if (encoding.length(encoder) > 1) {
+          send(room, conn, encoding.toUint8Array(encoder));
+        }
+        break;
+      }
+
+      case messageAwareness: {
+        const update = decoding.readVarUint8Array(decoder);
+        const problem = validateAwarenessUpdate(update);
+        if (problem) {
+          sendError(room, conn, 'invalid', problem);
+          break;
+        }
+        awarenessProtocol.applyAwarenessUpdate(room.awareness, update, conn);
+        break;
+      }
+    }
+  } catch (err) {
+    console.error('Failed to handle message:', err);
+    sendError(room, conn, 'invalid', 'Malformed message');
+  }
+}
+
+// decodeURIComponent throws on malformed escapes such as %E0; those yield null instead
+function decodeURIComponentOrNull(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Must match getUserIdForKey in src/index.js
+function getUserIdForKey(userKey) {
+  return `guest-${sha256Hex(userKey).slice(0, 40)}`;
+}
+
+function setupConnection(conn, req) {
+  // y-websocket appends the room name to the server url: ws://host:9001/<room>?user=<id>&token=<jwt>
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  const roomName = decodeURIComponentOrNull(pathname.slice(1));
+  if (roomName === null || !ROOM_NAME_PATTERN.test(roomName)) {
+    console.warn(`Rejected connection to invalid room name: ${roomName}`);
+    conn.close(CLOSE_INVALID_ROOM, 'Invalid room name');
+    return;
+  }
+  conn.binaryType = 'arraybuffer';
+  const address = req.socket.remoteAddress;
+
+  if (!authConfig) {
+    const userKey = searchParams.get('key');
+    // Clients without a (valid) key can watch but never own anything
+    const valid = USER_KEY_PATTERN.test(userKey || '');
+    joinRoom(conn, roomName, valid ? getUserIdForKey(userKey) : `anonymous-${crypto.randomBytes(6).toString('hex')}`, valid, address);
+    return;
+  }
+
+  const authenticate = (token) => {
+    try {
+      const { userId, expiresAt } = verifyToken(token);
+      const room = joinRoom(conn, roomName, userId, true, address);
+      // Tokens are only checked on connect, so end the session when this one runs out
+      const expiryTimer = setTimeout(() => {
+        conn.close(CLOSE_TOKEN_EXPIRED, 'Token expired');
+      }, Math.min(expiresAt - Date.now(), 2 ** 31 - 1));
+      conn.on('close', () => clearTimeout(expiryTimer));
+      return room;
+    } catch (err) {
+      console.warn(`Rejected connection to room ${roomName}: ${err.message}`);
+      conn.close(err.code === 'expired' ? CLOSE_TOKEN_EXPIRED : CLOSE_AUTH_FAILED, err.message);
+      return null;
+    }
+  };
+
+  if (searchParams.has('token')) {
+    authenticate(searchParams.get('token'));
+    return;
+  }
+
+  // No token in the URL: the first message has to carry it
+  const authTimer = setTimeout(() => {
+    conn.close(CLOSE_AUTH_FAILED, 'Authentication required');
+  }, AUTH_TIMEOUT_MS);
+  conn.once('message', (message) => {
+    clearTimeout(authTimer);
+    try {
+      const decoder = decoding.createDecoder(new Uint8Array(message));
+      if (decoding.readVarUint(decoder) !== messageAuthToken) {
+        throw new Error('first message is not a token');
+      }
+      authenticate(decoding.readVarString(decoder));
+    } catch (err) {
+      conn.close(CLOSE_AUTH_FAILED, 'Authentication required');
+    }
+  });
+}
+
+function joinRoom(conn, roomName, userId, assignRole, address) {
+  const room = getRoom(roomName);
+  cancelRoomCleanup(room);
+
+  room.conns.set(conn, new Set());
+  room.users.set(conn, userId);
+  room.limiters.set(conn, createRateLimiter());
+  room.connectionInfo.set(conn, {
+    id: crypto.randomBytes(6).toString('hex'),
+    address,
+    connectedAt: Date.now()
+  });
+  if (assignRole) {
+    assignInitialRole(room, userId);
+  }
+  console.log(`${userId} joined room ${roomName} as ${getRole(room, userId)} (${room.conns.size} connected)`);
+
+  conn.on('message', (message) => handleMessage(room, conn, new Uint8Array(message)));
+
+  // Drop connections that stop answering pings
+  let pongReceived = true;
+  const pingInterval = setInterval(() => {
+    if (!pongReceived) {
+      closeConnection(room, conn);
+      clearInterval(pingInterval);
+      return;
+    }
+    if (room.conns.has(conn)) {
+      pongReceived = false;
+      try {
+        conn.ping();
+      } catch (err) {
+        closeConnection(room, conn);
+        clearInterval(pingInterval);
+      }
+    }
+  }, PING_INTERVAL_MS);
+
+  conn.on('pong', () => {
+    pongReceived = true;
+  });
+
+  conn.on('close', () => {
+    closeConnection(room, conn);
+    clearInterval(pingInterval);
+  });
+
+  conn.on('error', (error) => {
+    console.error(`WebSocket error from ${userId}: ${error.message}`);
+  });
+
+  // Start the sync: send our state vector (step 1) ...
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, messageSync);
+  syncProtocol.writeSyncStep1(encoder, room.doc);
+  send(room, conn, encoding.toUint8Array(encoder));
+
+  // ... and the current awareness states of everyone else in the room
+  const awarenessStates = room.awareness.getStates();
+  if (awarenessStates.size > 0) {
+    const awarenessEncoder = encoding.createEncoder();
+    encoding.writeVarUint(awarenessEncoder, messageAwareness);
+    encoding.writeVarUint8Array(
+      awarenessEncoder,
+      awarenessProtocol.encodeAwarenessUpdate(room.awareness, Array.from(awarenessStates.keys()))
+    );
+    send(room, conn, encoding.toUint8Array(awarenessEncoder));
+  }
+  return room;
+}
+
+// ----------------------------------------------------------------------------
+// HTTP Helpers
+// ----------------------------------------------------------------------------
+
+// The browser app is served by the webpack dev server on another port
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-None-Match, X-User-Key',
+  'Access-Control-Expose-Headers': 'ETag'
+};
+
+function sendJSON(res, statusCode, body) {
+  res.writeHead(statusCode, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Errors carrying a statusCode are reported to the client as-is by handleHttpRequest
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => httpError(413, `Request body exceeds ${maxBytes} bytes`);
+    if (Number(req.headers['content-length']) > maxBytes) {
+      reject(tooLarge());
+      return;
+    }
+
+    const parts = [];
+    let received = 0;
+    req.on('data', (part) => {
+      received += part.length;
+      if (received > maxBytes) {
+        // Stop buffering; the connection is closed once the 413 reply is sent
+        req.pause();
+        reject(tooLarge());
+        return;
+      }
+      parts.push(part);
+    });
+    req.on('end', () => resolve(Buffer.concat(parts)));
+    req.on('error', reject);
+  });
+}
+
+async function readJSONBody(req, maxBytes) {
+  const body = await readBody(req, maxBytes);
+  try {
+    return JSON.parse(body.toString('utf8'));
+  } catch (err) {
+    throw httpError(400, 'Request body is not valid JSON');
+  }
+}
+
+// Unique per write, so concurrent writes of the same file never share a temporary file
+function getTmpPath(file) {
+  return `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+}
+
+// Writes through a temporary file so readers never see a partially written file
+async function writeFileAtomic(file, data) {
+  const tmpFile = getTmpPath(file);
+  await fs.promises.writeFile(tmpFile, data);
+  await fs.promises.rename(tmpFile, file);
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// ----------------------------------------------------------------------------
+// Dataset Transfer (content-addressed chunks)
+// ----------------------------------------------------------------------------
+
+// A dataset is identified by the SHA-256 of its bytes. Its manifest lists the
+// SHA-256 and size of each chunk; chunks are shared between datasets. A manifest is
+// only a claim until its chunks have been assembled and found to hash to the id
+// (verified: true); an unverified one may be replaced, and one that fails is dropped.
+
+function chunkPath(hash) {
+  return path.join(CHUNKS_DIR, hash);
+}
+
+function manifestPath(id) {
+  return path.join(DATASETS_DIR, `${id}.json`);
+}
+
+function datasetPath(id) {
+  return path.join(DATASETS_DIR, `${id}.bin`);
+}
+
+async function readManifest(id) {
+  const file = manifestPath(id);
+  if (!fs.existsSync(file)) throw httpError(404, `Unknown dataset ${id}`);
+  return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+}
+
+function validateManifest(id, manifest) {
+  if (!manifest || typeof manifest.name !== 'string' || !Number.isInteger(manifest.size)) {
+    throw httpError(400, 'Manifest needs a name and an integer size');
+  }
+  if (!Array.isArray(manifest.chunks) || manifest.chunks.length === 0) {
+    throw httpError(400, 'Manifest needs a non-empty chunk list');
+  }
+
+  let total = 0;
+  for (const chunk of manifest.chunks) {
+    if (!chunk || !HASH_PATTERN.test(chunk.hash) || !Number.isInteger(chunk.size)) {
+      throw httpError(400, 'Each chunk needs a SHA-256 hash and an integer size');
+    }
+    if (chunk.size <= 0 || chunk.size > MAX_CHUNK_BYTES) {
+      throw httpError(400, `Chunk sizes must be between 1 and ${MAX_CHUNK_BYTES} bytes`);
+    }
+    total += chunk.size;
+  }
+  if (total !== manifest.size) {
+    throw httpError(400, `Chunk sizes add up to ${total} bytes, manifest says ${manifest.size}`);
+  }
+
+  return {
+    id,
+    name: manifest.name.slice(0, 255),
+    size: manifest.size,
+    chunks: manifest.chunks.map(({ hash, size }) => ({ hash, size })),
+    createdAt: new Date().toISOString(),
+    verified: false
+  };
+}
+
+// Manifests written before verification existed count as verified once their file is assembled
+function isManifestVerified(manifest) {
+  return manifest.verified === true || fs.existsSync(datasetPath(manifest.id));
+}
+
+function missingChunks(manifest) {
+  const seen = new Set();
+  return manifest.chunks
+    .map((chunk) => chunk.hash)
+    .filter((hash) => {
+      if (seen.has(hash)) return false;
+      seen.add(hash);
+      return !fs.existsSync(chunkPath(hash));
+    });
+}
+
+async function putManifest(req, res, id) {
+  const file = manifestPath(id);
+  let manifest = fs.existsSync(file) ? await readManifest(id) : null;
+  // A complete claim is settled now; a wrong one is dropped by the assembly
+  if (manifest && !isManifestVerified(manifest) && missingChunks(manifest).length === 0) {
+    try {
+      await ensureDatasetFile(id);
+      manifest = await readManifest(id);
+    } catch (err) {
+      if (err.statusCode !== 409) throw err;
+      manifest = null;
+    }
+  }
+
+  if (manifest && isManifestVerified(manifest)) {
+    req.resume();
+    console.log(`Dataset already known, deduplicated upload: ${manifest.name} (${id.slice(0, 12)})`);
+  } else {
+    manifest = validateManifest(id, await readJSONBody(req, MAX_MANIFEST_BYTES));
+    await writeFileAtomic(file, JSON.stringify(manifest));
+    console.log(`Dataset registered: ${manifest.name} (${id.slice(0, 12)}, ${manifest.chunks.length} chunks)`);
+  }
+
+  // The uploader only needs to send what the server does not have yet
+  sendJSON(res, 200, { id, missing: missingChunks(manifest) });
+}
+
+async function getManifest(req, res, id) {
+  const manifest = await readManifest(id);
+  sendJSON(res, 200, { ...manifest, missing: missingChunks(manifest) });
+}
+
+async function putChunk(req, res, hash) {
+  const file = chunkPath(hash);
+  if (fs.existsSync(file)) {
+    req.resume();
+    sendJSON(res, 200, { hash, stored: false });
+    return;
+  }
+
+  const body = await readBody(req, MAX_CHUNK_BYTES);
+  const actual = sha256Hex(body);
+  if (actual !== hash) {
+    throw httpError(400, `Chunk content hashes to ${actual}, not ${hash}`);
+  }
+  await writeFileAtomic(file, body);
+  sendJSON(res, 201, { hash, stored: true });
+}
+
+// Content-addressed files never change, so their hash doubles as a strong ETag
+function sendContentAddressedFile(req, res, file, hash) {
+  const etag = `"${hash}"`;
+  const headers = {
+    ...CORS_HEADERS,
+    ETag: etag,
+    'Cache-Control': 'public, max-age=31536000, immutable'
+  };
+
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch && ifNoneMatch.split(',').map((tag) => tag.trim()).includes(etag)) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+
+  res.writeHead(200, {
+    ...headers,
+    'Content-Type': 'application/octet-stream',
+    'Content-Length': fs.statSync(file).size
+  });
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  fs.createReadStream(file).pipe(res);
+}
+
+function getChunk(req, res, hash) {
+  const file = chunkPath(hash);
+  if (!fs.existsSync(file)) throw httpError(404, `Unknown chunk ${hash}`);
+  sendContentAddressedFile(req, res, file, hash);
+}
+
+// ----------------------------------------------------------------------------
+// Dataset Cache (whole files keyed by SHA-256)
+// ----------------------------------------------------------------------------
+
+// Datasets currently being assembled from their chunks, so concurrent requests share the work
+const assemblies = new Map();
+
+async function assembleDataset(manifest) {
+  const file = datasetPath(manifest.id);
+  const tmpFile = getTmpPath(file);
+  const hash = crypto.createHash('sha256');
+  const out = fs.createWriteStream(tmpFile);
+
+  try {
+    for (const chunk of manifest.chunks) {
+      const bytes = await fs.promises.readFile(chunkPath(chunk.hash));
+      hash.update(bytes);
+      if (!out.write(bytes)) {
+        await new Promise((resolve) => out.once('drain', resolve));
+      }
+    }
+    await new Promise((resolve, reject) => out.end((err) => (err ? reject(err) : resolve())));
+
+    const actual = hash.digest('hex');
+    if (actual !== manifest.id) {
+      // The manifest lied about the dataset; let the next upload register the real one
+      await fs.promises.rm(manifestPath(manifest.id), { force: true });
+      console.warn(`Dropped manifest of ${manifest.id.slice(0, 12)}: its chunks hash to ${actual.slice(0, 12)}`);
+      throw httpError(409, `Chunks of ${manifest.name} hash to ${actual}, not the dataset id`);
+    }
+    await fs.promises.rename(tmpFile, file);
+    await writeFileAtomic(manifestPath(manifest.id), JSON.stringify({ ...manifest, verified: true }));
+    console.log(`Dataset cached: ${manifest.name} (${manifest.id.slice(0, 12)}, ${(manifest.size / 1024).toFixed(1)} KB)`);
+  } catch (err) {
+    out.destroy();
+    await fs.promises.rm(tmpFile, { force: true });
+    throw err;
+  }
+}
+
+async function ensureDatasetFile(id) {
+  const file = datasetPath(id);
+  if (fs.existsSync(file)) return file;
+
+  const manifest = await readManifest(id);
+  const missing = missingChunks(manifest);
+  if (missing.length > 0) {
+    throw httpError(409, `Dataset ${id} is still missing ${missing.length} chunk(s)`);
+  }
+
+  if (!assemblies.has(id)) {
+    assemblies.set(id, assembleDataset(manifest).finally(() => assemblies.delete(id)));
+  }
+  await assemblies.get(id);
+  return file;
+}
+
+async function getDataset(req, res, id) {
+  const file = await ensureDatasetFile(id);
+  sendContentAddressedFile(req, res, file, id);
+}
+
+// ----------------------------------------------------------------------------
+// Decimation Pyramid (LOD levels)
+// ----------------------------------------------------------------------------
+
+// lod/<id>/<percent>.vtp holds each level and lod/<id>/index.json describes them.
+// The index is written last, so its presence means the whole pyramid is on disk.
+
+// Pyramids currently being built, so concurrent requests share the work
+const pyramidBuilds = new Map();
+
+function lodIndexPath(id) {
+  return path.join(LOD_DIR, id, 'index.json');
+}
+
+function lodLevelPath(id, percent) {
+  return path.join(LOD_DIR, id, `${percent}.vtp`);
+}
+
+// Parsing and clustering a large mesh takes seconds, so it runs off the main thread.
+// `script` is decimation.js or tiling.js; `action` only words the error.
+function runMeshWorker(script, workerData, action) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, script), { workerData });
+    worker.once('message', (result) => {
+      if (result.error) {
+        reject(httpError(415, `Dataset cannot be ${action}: ${result.error}`));
+      } else {
+        resolve(result);
+      }
+    });
+    worker.once('error', reject);
+    worker.once('exit', (code) => {
+      if (code !== 0) reject(new Error(`Decimation worker exited with code ${code}`));
+    });
   });
-    // if (Buffer.isBuffer(message)) {
-    //   console.log('Received a binary file (VTK file):', message);
-      
-    //   // Broadcast the binary data to all connected clients (except the sender)
-    //   wss.clients.forEach(client => {
-    //     if (client !== ws && client.readyState === WebSocket.OPEN) {
-    //       client.send(message);  // Send binary data to other clients
-    //     }
-    //   });
-    // }
-    // else{
-    //   try {
-    //   console.log('Received non-binary message:', message);
-    //   const parsedMessage = JSON.parse(message); // Parse the message
-
-    //   // Broadcast the received message to all clients (except sender)
-    //   wss.clients.forEach((client) => {
-    //     if (client !== ws && client.readyState === WebSocket.OPEN) {
-    //       client.send(JSON.stringify(parsedMessage));  // Send the message to other clients
-    //     }
-    //   });
-    //   } catch (e) {
-    //     console.error('Error parsing message:', e);
-    //   }
-    // }
-
-  // Handle client disconnect
-  ws.on('close', () => {
-    console.log('Client disconnected');
-  });
-
-  // Handle WebSocket errors
-  ws.on('error', (error) => {
-    console.error('WebSocket error:', error);
-  });
-});
-
-// Print a message when the server starts
-console.log('WebSocket server running at ws://localhost:9001');
+}
+
+async function buildPyramid(id) {
+  const file = await ensureDatasetFile(id);
+  const startedAt = Date.now();
+  const percents = LOD_PERCENTS.filter((percent) => percent < 100);
+  const result = await runMeshWorker('decimation.js', { file, percents }, 'decimated');
+
+  await fs.promises.mkdir(path.join(LOD_DIR, id), { recursive: true });
+  const levels = [{ percent: 100, points: result.points, cells: result.cells, size: fs.statSync(file).size }];
+  for (const level of result.levels) {
+    await writeFileAtomic(lodLevelPath(id, level.percent), Buffer.from(level.data));
+    levels.push({ percent: level.percent, points: level.points, cells: level.cells, size: level.data.byteLength });
+  }
+  const index = { id, levels };
+  await writeFileAtomic(lodIndexPath(id), JSON.stringify(index, null, 2));
+
+  console.log(`LOD pyramid built for ${id.slice(0, 12)} in ${Date.now() - startedAt}ms: ${levels.map((level) => `${level.percent}%=${level.points}`).join(' ')} points`);
+  return index;
+}
+
+async function ensurePyramid(id) {
+  try {
+    return JSON.parse(await fs.promises.readFile(lodIndexPath(id), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  if (!pyramidBuilds.has(id)) {
+    pyramidBuilds.set(id, buildPyramid(id).finally(() => pyramidBuilds.delete(id)));
+  }
+  return pyramidBuilds.get(id);
+}
+
+async function getLodIndex(req, res, id) {
+  sendJSON(res, 200, await ensurePyramid(id));
+}
+
+async function getLodLevel(req, res, id, percentText) {
+  const percent = Number(percentText);
+  if (!LOD_PERCENTS.includes(percent)) {
+    throw httpError(404, `No ${percent}% level; levels are ${LOD_PERCENTS.join(', ')}`);
+  }
+  if (percent === 100) {
+    await getDataset(req, res, id);
+    return;
+  }
+
+  await ensurePyramid(id);
+  // Levels are derived from the dataset, so they are as immutable as it is
+  sendContentAddressedFile(req, res, lodLevelPath(id, percent), `${id}-lod${percent}`);
+}
+
+// ----------------------------------------------------------------------------
+// Octree Tiles (frustum-dependent streaming)
+// ----------------------------------------------------------------------------
+
+// tiles/<id>/<tile>-full.vtp and <tile>-coarse.vtp hold the tiles, where <tile> is the
+// path of octant digits from the root. index.json is written last, as for the pyramid.
+
+// Tilings currently being built, so concurrent requests share the work
+const tileBuilds = new Map();
+
+function tileIndexPath(id) {
+  return path.join(TILES_DIR, id, 'index.json');
+}
+
+function tilePath(id, tile, resolution) {
+  return path.join(TILES_DIR, id, `${tile}-${resolution}.vtp`);
+}
+
+async function buildTiles(id) {
+  const file = await ensureDatasetFile(id);
+  const startedAt = Date.now();
+  const options = { maxCells: TILE_MAX_CELLS, maxDepth: TILE_MAX_DEPTH, coarsePercent: TILE_COARSE_PERCENT };
+  const result = await runMeshWorker('tiling.js', { file, options }, 'tiled');
+
+  await fs.promises.mkdir(path.join(TILES_DIR, id), { recursive: true });
+  const tiles = [];
+  for (const tile of result.tiles) {
+    await writeFileAtomic(tilePath(id, tile.id, 'full'), Buffer.from(tile.full));
+    await writeFileAtomic(tilePath(id, tile.id, 'coarse'), Buffer.from(tile.coarse));
+    tiles.push({
+      id: tile.id,
+      bounds: tile.bounds,
+      points: tile.points,
+      cells: tile.cells,
+      sizes: { full: tile.full.byteLength, coarse: tile.coarse.byteLength }
+    });
+  }
+  // An empty list means the dataset is small enough to be sent whole
+  const index = { id, cells: result.cells, maxCells: TILE_MAX_CELLS, tiles };
+  await writeFileAtomic(tileIndexPath(id), JSON.stringify(index, null, 2));
+
+  console.log(`Tiles built for ${id.slice(0, 12)} in ${Date.now() - startedAt}ms: ${tiles.length} tile(s) for ${result.cells} cells`);
+  return index;
+}
+
+async function ensureTiles(id) {
+  try {
+    return JSON.parse(await fs.promises.readFile(tileIndexPath(id), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  if (!tileBuilds.has(id)) {
+    tileBuilds.set(id, buildTiles(id).finally(() => tileBuilds.delete(id)));
+  }
+  return tileBuilds.get(id);
+}
+
+async function getTileIndex(req, res, id) {
+  sendJSON(res, 200, await ensureTiles(id));
+}
+
+async function getTile(req, res, id, tile, resolution) {
+  const index = await ensureTiles(id);
+  if (!index.tiles.some((candidate) => candidate.id === tile)) {
+    throw httpError(404, `Dataset ${id} has no tile ${tile}`);
+  }
+  const file = tilePath(id, tile, resolution);
+  if (!fs.existsSync(file)) throw httpError(404, `Tile ${tile} of dataset ${id} is missing`);
+  sendContentAddressedFile(req, res, file, `${id}-tile${tile}-${resolution}`);
+}
+
+// ----------------------------------------------------------------------------
+// Metrics
+// ----------------------------------------------------------------------------
+
+const metrics = {
+  startedAt: Date.now(),
+  messagesReceived: 0,
+  bytesReceived: 0,
+  // Everything sent to clients: relayed updates and awareness, sync replies, errors
+  messagesRelayed: 0,
+  bytesRelayed: 0,
+  rejectedUpdates: 0,
+  // Counter snapshots of the last METRICS_WINDOW_MS, oldest first
+  samples: []
+};
+
+function takeMetricsSample() {
+  const { messagesReceived, bytesReceived, messagesRelayed, bytesRelayed } = metrics;
+  return { time: Date.now(), messagesReceived, bytesReceived, messagesRelayed, bytesRelayed };
+}
+
+function recordMetricsSample() {
+  metrics.samples.push(takeMetricsSample());
+  while (metrics.samples.length > 0 && metrics.samples[0].time < Date.now() - METRICS_WINDOW_MS) {
+    metrics.samples.shift();
+  }
+}
+
+// Per-second averages since the oldest sample (or since startup, right after it)
+function getMetricsRates() {
+  const now = takeMetricsSample();
+  const since = metrics.samples[0] || { time: metrics.startedAt, messagesReceived: 0, bytesReceived: 0, messagesRelayed: 0, bytesRelayed: 0 };
+  const seconds = Math.max((now.time - since.time) / 1000, 1);
+  const rate = (key) => Math.round(((now[key] - since[key]) / seconds) * 10) / 10;
+  return {
+    windowSeconds: Math.round(seconds),
+    messagesReceived: rate('messagesReceived'),
+    bytesReceived: rate('bytesReceived'),
+    messagesRelayed: rate('messagesRelayed'),
+    bytesRelayed: rate('bytesRelayed')
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Room Administration and Health (HTTP API)
+// ----------------------------------------------------------------------------
+
+// Rooms without clients are loaded from their log for the request and collected again later
+function openRoom(name) {
+  let room = rooms.get(name);
+  if (room) return room;
+  if (!fs.existsSync(roomLogPath(name))) throw httpError(404, `Unknown room ${name}`);
+  room = getRoom(name);
+  scheduleRoomCleanup(room);
+  return room;
+}
+
+function describeClients(room) {
+  const states = room.awareness.getStates();
+  return Array.from(room.conns.entries()).map(([conn, clientIds]) => {
+    const info = room.connectionInfo.get(conn);
+    const userId = room.users.get(conn);
+    const state = Array.from(clientIds).map((clientId) => states.get(clientId)).find(Boolean);
+    return {
+      id: info.id,
+      userId,
+      role: getRole(room, userId),
+      name: state && state.user ? state.user.name : null,
+      awarenessClientIds: Array.from(clientIds),
+      address: info.address,
+      connectedAt: new Date(info.connectedAt).toISOString()
+    };
+  });
+}
+
+// Lists addresses, so it is for the room's owners and admins only
+function getRoomClients(req, res, roomName) {
+  const room = getLiveRoom(roomName);
+  requireRoomOwner(req, room, 'Listing clients');
+  sendJSON(res, 200, { room: roomName, clients: describeClients(room) });
+}
+
+function getRoomDataset(req, res, roomName) {
+  const room = openRoom(roomName);
+  sendJSON(res, 200, { room: roomName, dataset: room.doc.getMap('fileData').get('dataset') || null });
+}
+
+// Points the room at a dataset already uploaded to this server; clients download it as
+// if a user had shared it
+async function putRoomDataset(req, res, roomName) {
+  // Authorize before anything touches the disk. A room that does not exist yet has no
+  // owner, so only an admin may create it this way.
+  if (rooms.has(roomName) || fs.existsSync(roomLogPath(roomName))) {
+    requireRoomOwner(req, openRoom(roomName), 'Changing the dataset');
+  } else if (!isServerAdmin(req)) {
+    throw httpError(403, `Creating room ${roomName} requires a server admin`);
+  }
+
+  const { id } = await readJSONBody(req, 16 * 1024);
+  if (!HASH_PATTERN.test(id || '')) throw httpError(400, 'Body needs the dataset id (SHA-256 hex)');
+  // Only a dataset whose chunks were checked against its id goes to the room
+  await ensureDatasetFile(id);
+  const manifest = await readManifest(id);
+  const room = getRoom(roomName);
+  // Setting the dataset ahead of a review creates the room; it is collected if nobody joins
+  if (room.conns.size === 0) scheduleRoomCleanup(room);
+  const dataset = { id, name: manifest.name, size: manifest.size, chunkCount: manifest.chunks.length };
+  room.doc.getMap('fileData').set('dataset', dataset);
+  console.log(`Dataset of room ${roomName} set to ${manifest.name} (${id.slice(0, 12)}) by ${req.user || 'the HTTP API'}`);
+  sendJSON(res, 200, { room: roomName, dataset });
+}
+
+// Clients leave for good on this close code instead of reconnecting; a reload rejoins, so
+// lower the user's role (or remove the account) to keep someone out
+function kickClient(req, res, roomName, id) {
+  const room = getLiveRoom(roomName);
+  requireRoomOwner(req, room, 'Removing clients');
+  const entry = Array.from(room.connectionInfo.entries()).find(([, info]) => info.id === id);
+  if (!entry) throw httpError(404, `No client ${id} in room ${roomName}`);
+
+  const [conn] = entry;
+  const userId = room.users.get(conn);
+  conn.close(CLOSE_KICKED, 'Removed from the room');
+  console.log(`Removed ${userId} (${id}) from room ${roomName} on behalf of ${req.user || 'the HTTP API'}`);
+  sendJSON(res, 200, { room: roomName, kicked: { id, userId } });
+}
+
+function getHealth(req, res) {
+  const memory = process.memoryUsage();
+  const roomList = Array.from(rooms.values());
+  sendJSON(res, 200, {
+    status: 'ok',
+    startedAt: new Date(metrics.startedAt).toISOString(),
+    uptimeSeconds: Math.round((Date.now() - metrics.startedAt) / 1000),
+    rooms: roomList.length,
+    clients: roomList.reduce((sum, room) => sum + room.conns.size, 0),
+    recordings: roomList.filter((room) => room.recording).length,
+    totals: {
+      messagesReceived: metrics.messagesReceived,
+      bytesReceived: metrics.bytesReceived,
+      messagesRelayed: metrics.messagesRelayed,
+      bytesRelayed: metrics.bytesRelayed,
+      rejectedUpdates: metrics.rejectedUpdates
+    },
+    perSecond: getMetricsRates(),
+    memory: {
+      rss: memory.rss,
+      heapUsed: memory.heapUsed,
+      heapTotal: memory.heapTotal,
+      external: memory.external
+    }
+  });
+}
+
+// ----------------------------------------------------------------------------
+// Sample Datasets (vtp_files)
+// ----------------------------------------------------------------------------
+
+// The files in SAMPLES_DIR are served as they are; clients load them by URL and share
+// that URL with the room instead of uploading the bytes.
+function listSamples(req, res) {
+  const samples = fs.existsSync(SAMPLES_DIR) ? fs.readdirSync(SAMPLES_DIR) : [];
+  sendJSON(res, 200, {
+    samples: samples
+      .filter((name) => SAMPLE_NAME_PATTERN.test(name) && SAMPLE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+      .map((name) => ({ name, size: fs.statSync(path.join(SAMPLES_DIR, name)).size, url: `/samples/${name}` }))
+  });
+}
+
+function getSample(req, res, name) {
+  const file = path.join(SAMPLES_DIR, name);
+  if (!SAMPLE_NAME_PATTERN.test(name) || !SAMPLE_EXTENSIONS.includes(path.extname(name).toLowerCase()) ||
+      !fs.existsSync(file)) {
+    throw httpError(404, `Unknown sample ${name}`);
+  }
+
+  // Samples can be replaced on disk, so browsers revalidate instead of caching them for good
+  res.writeHead(200, {
+    ...CORS_HEADERS,
+    'Cache-Control': 'no-cache',
+    'Content-Type': 'application/octet-stream',
+    'Content-Length': fs.statSync(file).size
+  });
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  fs.createReadStream(file).pipe(res);
+}
+
+// ----------------------------------------------------------------------------
+// HTTP Routes
+// ----------------------------------------------------------------------------
+
+// Each route matches a method and a path pattern; capture groups become handler arguments
+// Routes require a bearer token when authentication is enabled, unless marked public
+const routes = [
+  { method: 'POST', pattern: /^\/auth\/token$/, handler: issueToken, public: true },
+  {
+    method: 'GET',
+    pattern: /^\/rooms$/,
+    handler: (req, res) => sendJSON(res, 200, { rooms: listRooms() })
+  },
+  // Health is public so monitoring does not need a user account
+  { method: 'GET', pattern: /^\/health$/, handler: getHealth, public: true },
+  { method: 'GET', pattern: /^\/rooms\/([A-Za-z0-9_-]{1,64})\/clients$/, handler: getRoomClients },
+  {
+    method: 'DELETE',
+    pattern: /^\/rooms\/([A-Za-z0-9_-]{1,64})\/clients\/([0-9a-f]{12})$/,
+    handler: kickClient
+  },
+  { method: 'GET', pattern: /^\/rooms\/([A-Za-z0-9_-]{1,64})\/dataset$/, handler: getRoomDataset },
+  { method: 'PUT', pattern: /^\/rooms\/([A-Za-z0-9_-]{1,64})\/dataset$/, handler: putRoomDataset },
+  { method: 'POST', pattern: /^\/rooms\/([A-Za-z0-9_-]{1,64})\/recording$/, handler: postRecording },
+  { method: 'DELETE', pattern: /^\/rooms\/([A-Za-z0-9_-]{1,64})\/recording$/, handler: deleteRecording },
+  { method: 'GET', pattern: /^\/rooms\/([A-Za-z0-9_-]{1,64})\/recordings$/, handler: listRecordings },
+  {
+    method: 'GET',
+    pattern: /^\/rooms\/([A-Za-z0-9_-]{1,64})\/recordings\/(\d{8}T\d{6}Z-[0-9a-f]{6})$/,
+    handler: getRecording
+  },
+  { method: 'GET', pattern: /^\/datasets\/([0-9a-f]{64})$/, handler: getDataset },
+  { method: 'HEAD', pattern: /^\/datasets\/([0-9a-f]{64})$/, handler: getDataset },
+  { method: 'GET', pattern: /^\/datasets\/([0-9a-f]{64})\/lod$/, handler: getLodIndex },
+  { method: 'GET', pattern: /^\/datasets\/([0-9a-f]{64})\/lod\/(\d{1,3})$/, handler: getLodLevel },
+  { method: 'HEAD', pattern: /^\/datasets\/([0-9a-f]{64})\/lod\/(\d{1,3})$/, handler: getLodLevel },
+  { method: 'GET', pattern: /^\/datasets\/([0-9a-f]{64})\/tiles$/, handler: getTileIndex },
+  { method: 'GET', pattern: /^\/datasets\/([0-9a-f]{64})\/tiles\/([0-7]{1,8})\/(full|coarse)$/, handler: getTile },
+  { method: 'HEAD', pattern: /^\/datasets\/([0-9a-f]{64})\/tiles\/([0-7]{1,8})\/(full|coarse)$/, handler: getTile },
+  { method: 'PUT', pattern: /^\/datasets\/([0-9a-f]{64})\/manifest$/, handler: putManifest },
+  { method: 'GET', pattern: /^\/datasets\/([0-9a-f]{64})\/manifest$/, handler: getManifest },
+  // Samples ship with the repository and are fetched without credentials, like any URL
+  { method: 'GET', pattern: /^\/samples$/, handler: listSamples, public: true },
+  { method: 'GET', pattern: /^\/samples\/([^/]+)$/, handler: getSample, public: true },
+  { method: 'HEAD', pattern: /^\/samples\/([^/]+)$/, handler: getSample, public: true },
+  { method: 'PUT', pattern: /^\/chunks\/([0-9a-f]{64})$/, handler: putChunk },
+  { method: 'GET', pattern: /^\/chunks\/([0-9a-f]{64})$/, handler: getChunk },
+  { method: 'HEAD', pattern: /^\/chunks\/([0-9a-f]{64})$/, handler: getChunk }
+];
+
+function handleHttpRequest(req, res) {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  const { pathname } = new URL(req.url, 'http://localhost');
+  for (const route of routes) {
+    const match = route.method === req.method && route.pattern.exec(pathname);
+    if (match) {
+      const params = match.slice(1).map(decodeURIComponentOrNull);
+      if (params.includes(null)) {
+        sendJSON(res, 400, { error: 'Malformed escape in the request path' });
+        return;
+      }
+      Promise.resolve()
+        .then(() => {
+          if (authConfig && !route.public) {
+            req.user = authenticateRequest(req).userId;
+          } else if (!authConfig && USER_KEY_PATTERN.test(req.headers['x-user-key'] || '')) {
+            req.user = getUserIdForKey(req.headers['x-user-key']);
+          }
+          return route.handler(req, res, ...params);
+        })
+        .catch((err) => {
+          if (res.headersSent) return;
+          if (err.statusCode) {
+            // Do not keep reading an oversized upload on a kept-alive connection
+            if (err.statusCode === 413) res.setHeader('Connection', 'close');
+            sendJSON(res, err.statusCode, { error: err.message });
+            return;
+          }
+          console.error(`${req.method} ${pathname} failed:`, err);
+          sendJSON(res, 500, { error: 'Internal server error' });
+        });
+      return;
+    }
+  }
+
+  sendJSON(res, 404, { error: `No route for ${req.method} ${pathname}` });
+}
+
+// ----------------------------------------------------------------------------
+// Server Startup
+// ----------------------------------------------------------------------------
+
+// Write a compact snapshot of every room before exiting
+function shutdown(signal) {
+  console.log(`${signal} received, saving rooms...`);
+  const openRooms = Array.from(rooms.values());
+  Promise.all(openRooms.map(stopRecording))
+    .then(() => Promise.all(openRooms.map(compactRoom)))
+    .then(() => process.exit(0));
+}
+
+function createDataDirs() {
+  [ROOMS_DIR, RECORDINGS_DIR, CHUNKS_DIR, DATASETS_DIR, LOD_DIR, TILES_DIR].forEach(dir => {
+    fs.mkdirSync(dir, { recursive: true });
+  });
+}
+
+// Everything that touches the disk or the network happens here, so the
+// hash-password command below and the tests leave no trace
+function startServer() {
+  configureAuth();
+  createDataDirs();
+  setInterval(recordMetricsSample, METRICS_SAMPLE_INTERVAL_MS).unref();
+
+  const server = http.createServer(handleHttpRequest);
+
+  const wss = new WebSocket.Server({ server, maxPayload: MAX_WS_PAYLOAD });
+  wss.on('connection', setupConnection);
+
+  server.listen(PORT, () => {
+    console.log(`Yjs WebSocket server running at ws://localhost:${PORT}`);
+    console.log(`Persisting room documents to ${ROOMS_DIR}`);
+  });
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+// `node server.js hash-password <password>` prints a passwordHash for config/auth.json
+if (require.main === module && process.argv[2] === 'hash-password') {
+  if (!process.argv[3]) {
+    console.error('Usage: npm run hash-password -- <password>');
+    process.exit(1);
+  }
+  console.log(hashPassword(process.argv[3]));
+  process.exit(0);
+} else if (require.main === module) {
+  startServer();
+}
+
+// For the tests; requiring this file does not start the server
+module.exports = {
+  ROOT_PERMISSIONS,
+  VALUE_SCHEMAS,
+  rooms,
+  createDataDirs,
+  handleHttpRequest,
+  setupConnection,
+  getRoom,
+  configureAuth,
+  signToken,
+  verifyToken,
+  hashPassword,
+  checkPassword,
+  getUserIdForKey,
+  describeUpdateWrites,
+  applyClientUpdate,
+  validateValue,
+  validateAwarenessUpdate
+};
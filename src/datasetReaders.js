@@ -0,0 +1,395 @@
+// Dataset readers shared by the page and the parsing worker (datasetWorker.js). Nothing
+// here touches the DOM or the scene, so it runs the same on either side.
+
+import vtkXMLPolyDataReader from '@kitware/vtk.js/IO/XML/XMLPolyDataReader';
+import vtkXMLImageDataReader from '@kitware/vtk.js/IO/XML/XMLImageDataReader';
+import vtkXMLReader from '@kitware/vtk.js/IO/XML/XMLReader';
+import vtkSTLReader from '@kitware/vtk.js/IO/Geometry/STLReader';
+import vtkPLYReader from '@kitware/vtk.js/IO/Geometry/PLYReader';
+import vtkOBJReader from '@kitware/vtk.js/IO/Misc/OBJReader';
+import vtkPolyData from '@kitware/vtk.js/Common/DataModel/PolyData';
+import vtkImageData from '@kitware/vtk.js/Common/DataModel/ImageData';
+import vtkDataArray from '@kitware/vtk.js/Common/Core/DataArray';
+import macro from '@kitware/vtk.js/macros';
+
+// ----------------------------------------------------------------------------
+// Unstructured Grid Reader (VTU)
+// ----------------------------------------------------------------------------
+
+// vtk.js has no reader for XML unstructured grids. This one is built like
+// vtkXMLPolyDataReader on top of vtkXMLReader, and outputs the grid's outer surface
+// as polydata: the faces of 3D cells that no other cell shares, plus every 2D, 1D and
+// 0D cell. All points and point data are kept, so interior points still reach the
+// reduction tools.
+
+// Faces of the linear 3D cells by VTK cell type, wound outwards as in VTK
+const VTU_CELL_FACES = {
+  // Tetra
+  10: [[0, 1, 3], [1, 2, 3], [2, 0, 3], [0, 2, 1]],
+  // Voxel
+  11: [[0, 2, 6, 4], [1, 5, 7, 3], [0, 4, 5, 1], [2, 3, 7, 6], [0, 1, 3, 2], [4, 6, 7, 5]],
+  // Hexahedron
+  12: [[0, 4, 7, 3], [1, 2, 6, 5], [0, 1, 5, 4], [3, 7, 6, 2], [0, 3, 2, 1], [4, 5, 6, 7]],
+  // Wedge
+  13: [[0, 1, 2], [3, 5, 4], [0, 3, 4, 1], [1, 4, 5, 2], [2, 5, 3, 0]],
+  // Pyramid
+  14: [[0, 3, 2, 1], [0, 1, 4], [1, 2, 4], [2, 3, 4], [3, 0, 4]]
+};
+
+// Higher-order cells list their corner points first, so they are drawn as the linear cell
+const VTU_LINEAR_CELL_TYPES = {
+  21: 3, 35: 3, // quadratic and cubic edge
+  22: 5, 34: 5, // quadratic and biquadratic triangle
+  23: 9, 28: 9, 30: 9, // quadratic, biquadratic and quadratic-linear quad
+  24: 10, // quadratic tetra
+  25: 12, 29: 12, 33: 12, // quadratic, triquadratic and biquadratic-quadratic hexahedron
+  26: 13, 31: 13, 32: 13, // quadratic, quadratic-linear and biquadratic-quadratic wedge
+  27: 14 // quadratic pyramid
+};
+
+// Returns { verts, lines, polys } as lists of point id lists, with the source cell of
+// each output cell in the same order, and the number of cells that could not be drawn
+function extractGridSurface(connectivity, offsets, types) {
+  const surface = { verts: [], lines: [], polys: [] };
+  const sourceCells = { verts: [], lines: [], polys: [] };
+  const add = (kind, ids, cell) => {
+    surface[kind].push(ids);
+    sourceCells[kind].push(cell);
+  };
+  // Faces seen once so far, keyed by their sorted point ids; a second sighting means
+  // the face lies between two cells and is not part of the surface
+  const openFaces = new Map();
+  let skipped = 0;
+
+  let start = 0;
+  for (let cell = 0; cell < offsets.length; cell++) {
+    const end = offsets[cell];
+    const ids = Array.from(connectivity.subarray(start, end));
+    start = end;
+    const type = VTU_LINEAR_CELL_TYPES[types[cell]] || types[cell];
+
+    if (VTU_CELL_FACES[type]) {
+      VTU_CELL_FACES[type].forEach(face => {
+        const faceIds = face.map(corner => ids[corner]);
+        const key = [...faceIds].sort((a, b) => a - b).join(',');
+        if (openFaces.has(key)) {
+          openFaces.delete(key);
+        } else {
+          openFaces.set(key, { ids: faceIds, cell });
+        }
+      });
+      continue;
+    }
+
+    switch (type) {
+      case 1: // Vertex
+      case 2: // Poly-vertex
+        ids.forEach(id => add('verts', [id], cell));
+        break;
+      case 3: // Line
+        add('lines', ids.slice(0, 2), cell);
+        break;
+      case 4: // Poly-line
+        add('lines', ids, cell);
+        break;
+      case 5: // Triangle
+        add('polys', ids.slice(0, 3), cell);
+        break;
+      case 6: // Triangle strip; every other triangle is wound the other way
+        for (let i = 2; i < ids.length; i++) {
+          add('polys', i % 2 === 0 ? [ids[i - 2], ids[i - 1], ids[i]] : [ids[i - 1], ids[i - 2], ids[i]], cell);
+        }
+        break;
+      case 7: // Polygon
+        add('polys', ids, cell);
+        break;
+      case 8: // Pixel
+        add('polys', [ids[0], ids[1], ids[3], ids[2]], cell);
+        break;
+      case 9: // Quad
+        add('polys', ids.slice(0, 4), cell);
+        break;
+      default:
+        // Polyhedra and anything newer than the types above
+        skipped++;
+    }
+  }
+
+  openFaces.forEach(({ ids, cell }) => add('polys', ids, cell));
+  return { surface, sourceCells, skipped };
+}
+
+// Legacy vtkCellArray layout: [n, id 1, ..., id n, n, ...]
+function toCellArrayValues(cells) {
+  const values = new Uint32Array(cells.reduce((sum, ids) => sum + ids.length + 1, 0));
+  let offset = 0;
+  cells.forEach(ids => {
+    values[offset++] = ids.length;
+    values.set(ids, offset);
+    offset += ids.length;
+  });
+  return values;
+}
+
+function xmlUnstructuredGridReader(publicAPI, model) {
+  model.classHierarchy.push('vtkXMLUnstructuredGridReader');
+
+  publicAPI.parseXML = (rootElem, type, compressor, byteOrder, headerType) => {
+    const datasetElem = rootElem.getElementsByTagName(model.dataType)[0];
+    const pieces = datasetElem.getElementsByTagName('Piece');
+    const readArray = (size, dataArrayElem) =>
+      vtkXMLReader.processDataArray(size, dataArrayElem, compressor, byteOrder, headerType, model.binaryBuffer).values;
+
+    for (let outputIndex = 0; outputIndex < pieces.length; outputIndex++) {
+      const piece = pieces[outputIndex];
+      const nbPoints = Number(piece.getAttribute('NumberOfPoints'));
+      const nbCells = Number(piece.getAttribute('NumberOfCells'));
+      const polydata = vtkPolyData.newInstance();
+
+      if (nbPoints > 0) {
+        const pointsElem = piece.getElementsByTagName('Points')[0].getElementsByTagName('DataArray')[0];
+        polydata.getPoints().setData(readArray(nbPoints, pointsElem), 3);
+      }
+
+      let extracted = { surface: { verts: [], lines: [], polys: [] }, sourceCells: { verts: [], lines: [], polys: [] }, skipped: 0 };
+      if (nbCells > 0) {
+        const cellArrays = {};
+        const dataArrayElems = piece.getElementsByTagName('Cells')[0].getElementsByTagName('DataArray');
+        for (let i = 0; i < dataArrayElems.length; i++) {
+          cellArrays[dataArrayElems[i].getAttribute('Name')] = dataArrayElems[i];
+        }
+        const offsets = readArray(nbCells, cellArrays.offsets);
+        const connectivity = readArray(offsets[offsets.length - 1], cellArrays.connectivity);
+        const types = readArray(nbCells, cellArrays.types);
+        extracted = extractGridSurface(connectivity, offsets, types);
+      }
+      if (extracted.skipped > 0) {
+        console.warn(`vtkXMLUnstructuredGridReader: ${extracted.skipped} cell(s) of unsupported types were not drawn`);
+      }
+
+      polydata.getVerts().setData(toCellArrayValues(extracted.surface.verts));
+      polydata.getLines().setData(toCellArrayValues(extracted.surface.lines));
+      polydata.getPolys().setData(toCellArrayValues(extracted.surface.polys));
+
+      vtkXMLReader.processFieldData(nbPoints, piece.getElementsByTagName('PointData')[0], polydata.getPointData(), compressor, byteOrder, headerType, model.binaryBuffer);
+
+      // Cell data is read per grid cell, then copied to the surface cells made from it
+      const gridCellData = vtkPolyData.newInstance().getCellData();
+      vtkXMLReader.processFieldData(nbCells, piece.getElementsByTagName('CellData')[0], gridCellData, compressor, byteOrder, headerType, model.binaryBuffer);
+      const rows = [...extracted.sourceCells.verts, ...extracted.sourceCells.lines, ...extracted.sourceCells.polys];
+      gridCellData.getArrays().forEach(array => {
+        const components = array.getNumberOfComponents();
+        const source = array.getData();
+        const values = new source.constructor(rows.length * components);
+        rows.forEach((row, i) => {
+          for (let k = 0; k < components; k++) values[i * components + k] = source[row * components + k];
+        });
+        const surfaceArray = vtkDataArray.newInstance({ name: array.getName(), numberOfComponents: components, values });
+        if (array === gridCellData.getScalars()) {
+          polydata.getCellData().setScalars(surfaceArray);
+        } else {
+          polydata.getCellData().addArray(surfaceArray);
+        }
+      });
+
+      model.output[outputIndex] = polydata;
+    }
+  };
+}
+
+const vtkXMLUnstructuredGridReader = {
+  newInstance: macro.newInstance((publicAPI, model, initialValues = {}) => {
+    Object.assign(model, { dataType: 'UnstructuredGrid' }, initialValues);
+    vtkXMLReader.extend(publicAPI, model, initialValues);
+    xmlUnstructuredGridReader(publicAPI, model);
+  }, 'vtkXMLUnstructuredGridReader')
+};
+
+// ----------------------------------------------------------------------------
+// Dataset Formats (VTP, VTU, VTI, STL, OBJ, PLY)
+// ----------------------------------------------------------------------------
+
+// Every format is read into a vtkPolyData, or a vtkImageData for VTI, which index.js
+// turns into props and sample points. File content is checked before the extension,
+// so renamed files and the .vtp levels the server derives from a dataset are still read
+// with the right reader.
+const DATASET_FORMATS = {
+  vtp: { label: 'VTP (VTK XML PolyData)', extension: '.vtp' },
+  vtu: { label: 'VTU (VTK XML UnstructuredGrid)', extension: '.vtu' },
+  vti: { label: 'VTI (VTK XML ImageData)', extension: '.vti' },
+  stl: { label: 'STL', extension: '.stl' },
+  obj: { label: 'OBJ (Wavefront)', extension: '.obj' },
+  ply: { label: 'PLY (Stanford)', extension: '.ply' }
+};
+// STL repeats the corners of every triangle; corners equal to this many decimals are merged
+const STL_MERGE_DECIMALS = 5;
+
+function getSupportedFormatsLabel() {
+  return Object.values(DATASET_FORMATS).map(format => format.label).join(', ');
+}
+
+function getFormatFromName(name) {
+  const lowerName = (name || '').toLowerCase();
+  return Object.keys(DATASET_FORMATS).find(format => lowerName.endsWith(DATASET_FORMATS[format].extension)) || null;
+}
+
+// VTK XML dataset types this app reads
+const VTK_XML_FORMATS = { PolyData: 'vtp', UnstructuredGrid: 'vtu', ImageData: 'vti' };
+
+// Returns a key of DATASET_FORMATS or null
+function detectDatasetFormat(fileData, name) {
+  const head = new TextDecoder('latin1').decode(new Uint8Array(fileData, 0, Math.min(fileData.byteLength, 512)));
+  const text = head.trimStart();
+  if (text.startsWith('<?xml') || text.startsWith('<VTKFile')) {
+    const type = /<VTKFile\b[^>]*\btype="(\w+)"/.exec(head);
+    return type ? VTK_XML_FORMATS[type[1]] || null : getFormatFromName(name);
+  }
+  if (/^ply\r?\n/.test(head)) return 'ply';
+  // Binary STL: 80-byte header, triangle count, then 50 bytes per triangle
+  if (fileData.byteLength >= 84 && 84 + new DataView(fileData).getUint32(80, true) * 50 === fileData.byteLength) {
+    return 'stl';
+  }
+  if (/^solid\b/.test(text) && /\bfacet\b/.test(head)) return 'stl';
+
+  const formatByName = getFormatFromName(name);
+  if (formatByName) return formatByName;
+  // OBJ has no signature, only lines of vertices, faces and groups
+  if (/^(v|vn|vt|f|o|g|mtllib|usemtl)\s/m.test(head)) return 'obj';
+  return null;
+}
+
+// Returns a vtkPolyData, or a vtkImageData for VTI
+function readDataset(fileData, format) {
+  switch (format) {
+    case 'vtp': {
+      const reader = vtkXMLPolyDataReader.newInstance();
+      if (!reader.parseAsArrayBuffer(fileData)) throw new Error('Invalid VTK XML PolyData file');
+      return reader.getOutputData(0);
+    }
+    case 'vtu': {
+      const reader = vtkXMLUnstructuredGridReader.newInstance();
+      if (!reader.parseAsArrayBuffer(fileData)) throw new Error('Invalid VTK XML UnstructuredGrid file');
+      return reader.getOutputData(0);
+    }
+    case 'vti': {
+      const reader = vtkXMLImageDataReader.newInstance();
+      if (!reader.parseAsArrayBuffer(fileData)) throw new Error('Invalid VTK XML ImageData file');
+      return reader.getOutputData(0);
+    }
+    case 'stl': {
+      const reader = vtkSTLReader.newInstance({ removeDuplicateVertices: STL_MERGE_DECIMALS });
+      reader.parseAsArrayBuffer(fileData);
+      return reader.getOutputData(0);
+    }
+    case 'obj': {
+      const reader = vtkOBJReader.newInstance();
+      reader.parseAsText(new TextDecoder().decode(fileData));
+      return reader.getOutputData(0);
+    }
+    case 'ply': {
+      const reader = vtkPLYReader.newInstance();
+      reader.parseAsArrayBuffer(fileData);
+      return reader.getOutputData(0);
+    }
+    default:
+      throw new Error(`Unrecognized file format; supported formats are ${getSupportedFormatsLabel()}`);
+  }
+}
+
+// ----------------------------------------------------------------------------
+// Worker Transfer
+// ----------------------------------------------------------------------------
+
+// Datasets cross the worker boundary as plain objects of typed arrays, so their buffers
+// can be transferred instead of copied. Only numeric arrays are kept.
+const POLYDATA_CELL_KINDS = ['verts', 'lines', 'polys', 'strips'];
+
+function packArrays(fields) {
+  return fields.getArrays()
+    .filter(array => array.isA('vtkDataArray'))
+    .map(array => ({
+      name: array.getName(),
+      numberOfComponents: array.getNumberOfComponents(),
+      values: array.getData(),
+      scalars: array === fields.getScalars()
+    }));
+}
+
+function unpackArrays(packed, fields) {
+  packed.forEach(({ name, numberOfComponents, values, scalars }) => {
+    const array = vtkDataArray.newInstance({ name, numberOfComponents, values });
+    if (scalars) {
+      fields.setScalars(array);
+    } else {
+      fields.addArray(array);
+    }
+  });
+}
+
+function packDataset(data) {
+  const packed = {
+    pointData: packArrays(data.getPointData()),
+    cellData: packArrays(data.getCellData())
+  };
+  if (data.isA('vtkImageData')) {
+    return Object.assign(packed, {
+      type: 'vtkImageData',
+      extent: data.getExtent(),
+      spacing: data.getSpacing(),
+      origin: data.getOrigin(),
+      direction: Array.from(data.getDirection())
+    });
+  }
+  packed.type = 'vtkPolyData';
+  packed.points = data.getPoints().getData();
+  POLYDATA_CELL_KINDS.forEach(kind => {
+    packed[kind] = data[`get${kind[0].toUpperCase()}${kind.slice(1)}`]().getData();
+  });
+  return packed;
+}
+
+function unpackDataset(packed) {
+  let data;
+  if (packed.type === 'vtkImageData') {
+    data = vtkImageData.newInstance();
+    data.setExtent(packed.extent);
+    data.setSpacing(packed.spacing);
+    data.setOrigin(packed.origin);
+    data.setDirection(packed.direction);
+  } else {
+    data = vtkPolyData.newInstance();
+    data.getPoints().setData(packed.points, 3);
+    POLYDATA_CELL_KINDS.forEach(kind => {
+      data[`get${kind[0].toUpperCase()}${kind.slice(1)}`]().setData(packed[kind]);
+    });
+  }
+  unpackArrays(packed.pointData, data.getPointData());
+  unpackArrays(packed.cellData, data.getCellData());
+  return data;
+}
+
+// Buffers behind the given typed arrays, each listed once as postMessage requires
+function getTransferables(typedArrays) {
+  return [...new Set(typedArrays.filter(Boolean).map(array => array.buffer))];
+}
+
+function getPackedArrays(packed) {
+  return [
+    packed.points,
+    ...POLYDATA_CELL_KINDS.map(kind => packed[kind]),
+    ...packed.pointData.map(array => array.values),
+    ...packed.cellData.map(array => array.values)
+  ];
+}
+
+export {
+  DATASET_FORMATS,
+  getSupportedFormatsLabel,
+  getFormatFromName,
+  detectDatasetFormat,
+  readDataset,
+  packDataset,
+  unpackDataset,
+  getTransferables,
+  getPackedArrays
+};
@@ -0,0 +1,76 @@
+// Parses datasets off the main thread (see Dataset Parsing Worker in index.js). A request
+// is { id, name, file } for a picked file or { id, name, fileData } for downloaded bytes;
+// the worker answers with progress messages, then one result or error message.
+
+import {
+  DATASET_FORMATS,
+  getSupportedFormatsLabel,
+  detectDatasetFormat,
+  readDataset,
+  packDataset,
+  getTransferables,
+  getPackedArrays
+} from './datasetReaders';
+
+// Reading progress is reported in steps of this fraction of the file
+const READ_PROGRESS_STEP = 0.02;
+
+function postProgress(id, stage, fraction, detail) {
+  self.postMessage({ id, type: 'progress', stage, fraction, detail });
+}
+
+// Reads a picked file piece by piece, so the page can show how far along it is
+async function readFile(id, file) {
+  const bytes = new Uint8Array(file.size);
+  const reader = file.stream().getReader();
+  let offset = 0;
+  let reported = 0;
+  postProgress(id, 'reading', 0);
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    bytes.set(value, offset);
+    offset += value.byteLength;
+    if (offset / file.size - reported >= READ_PROGRESS_STEP) {
+      reported = offset / file.size;
+      postProgress(id, 'reading', reported);
+    }
+  }
+  return bytes.buffer;
+}
+
+async function parseRequest({ id, name, file, fileData: downloaded }) {
+  const fileData = file ? await readFile(id, file) : downloaded;
+  const format = detectDatasetFormat(fileData, name);
+  if (!format) {
+    throw new Error(`${name} is not a supported dataset; supported formats are ${getSupportedFormatsLabel()}`);
+  }
+
+  // vtk.js readers parse in one synchronous call, so this stage has no fraction
+  postProgress(id, 'parsing', null, DATASET_FORMATS[format].label);
+  const startTime = performance.now();
+  const data = readDataset(fileData, format);
+  postProgress(id, 'packing', null);
+  const dataset = packDataset(data);
+  const result = { id, type: 'result', format, dataset, parseTime: performance.now() - startTime };
+  const arrays = getPackedArrays(dataset);
+
+  if (dataset.type === 'vtkPolyData') {
+    // The page keeps the loaded points apart from the ones a reduction puts in the mapper
+    result.originalPoints = new Float32Array(dataset.points);
+    result.bounds = data.getBounds();
+    arrays.push(result.originalPoints);
+  }
+  // A picked file is shared with the room once it is shown, which needs its bytes
+  if (file) {
+    result.fileData = fileData;
+    arrays.push(new Uint8Array(fileData));
+  }
+  self.postMessage(result, getTransferables(arrays));
+}
+
+self.onmessage = (event) => {
+  parseRequest(event.data).catch(error => {
+    self.postMessage({ id: event.data.id, type: 'error', message: error.message });
+  });
+};
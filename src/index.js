@@ -5,6 +5,7 @@ import '@kitware/vtk.js/favicon';
 
 // Load the rendering pieces we want to use (for both WebGL and WebGPU)
 import '@kitware/vtk.js/Rendering/Profiles/Geometry';
+import '@kitware/vtk.js/Rendering/Profiles/Volume';
 
 import vtkActor from '@kitware/vtk.js/Rendering/Core/Actor';
 import vtkCalculator from '@kitware/vtk.js/Filters/General/Calculator';
@@ -17,6 +18,12 @@ import vtkRemoteView from '@kitware/vtk.js/Rendering/Misc/RemoteView';
 import vtkOrientationMarkerWidget from '@kitware/vtk.js/Interaction/Widgets/OrientationMarkerWidget';
 import vtkAnnotatedCubeActor from '@kitware/vtk.js/Rendering/Core/AnnotatedCubeActor';
 import vtkInteractorStyleTrackballCamera from '@kitware/vtk.js/Interaction/Style/InteractorStyleTrackballCamera';
+import vtkConeSource from '@kitware/vtk.js/Filters/Sources/ConeSource';
+import vtkSphereSource from '@kitware/vtk.js/Filters/Sources/SphereSource';
+import vtkCellPicker from '@kitware/vtk.js/Rendering/Core/CellPicker';
+import vtkPixelSpaceCallbackMapper from '@kitware/vtk.js/Rendering/Core/PixelSpaceCallbackMapper';
+import vtkPoints from '@kitware/vtk.js/Common/Core/Points';
+import macro from '@kitware/vtk.js/macros';
 
 import { AttributeTypes } from '@kitware/vtk.js/Common/DataModel/DataSetAttributes/Constants';
 import { FieldDataTypes } from '@kitware/vtk.js/Common/DataModel/DataSet/Constants';
@@ -32,12 +39,28 @@ import vtkResourceLoader from '@kitware/vtk.js/IO/Core/ResourceLoader';
 //Yjs setup
 import * as Y from 'yjs';
 import { WebsocketProvider } from 'y-websocket';
+import { digest as sha256Digest } from 'lib0/hash/sha256';
+import * as decoding from 'lib0/decoding';
+import { mat3, mat4, vec3 } from 'gl-matrix';
 
 // Custom UI controls, including button to start XR session
 import controlPanel from './controller.html';
+import { getSupportedFormatsLabel, getFormatFromName, unpackDataset } from './datasetReaders';
 import vtkColorTransferFunction from '@kitware/vtk.js/Rendering/Core/ColorTransferFunction';
+import vtkColorMaps from '@kitware/vtk.js/Rendering/Core/ColorTransferFunction/ColorMaps';
+import vtkScalarBarActor from '@kitware/vtk.js/Rendering/Core/ScalarBarActor';
+import vtkPlane from '@kitware/vtk.js/Common/DataModel/Plane';
+import vtkContourTriangulator from '@kitware/vtk.js/Filters/General/ContourTriangulator';
+import vtkWidgetManager from '@kitware/vtk.js/Widgets/Core/WidgetManager';
+import vtkImplicitPlaneWidget from '@kitware/vtk.js/Widgets/Widgets3D/ImplicitPlaneWidget';
 import { colorSpaceToWorking } from 'three/tsl';
 import vtkPolyData from '@kitware/vtk.js/Common/DataModel/PolyData';
+import vtkDataArray from '@kitware/vtk.js/Common/Core/DataArray';
+import vtkPiecewiseFunction from '@kitware/vtk.js/Common/DataModel/PiecewiseFunction';
+import vtkVolume from '@kitware/vtk.js/Rendering/Core/Volume';
+import vtkVolumeMapper from '@kitware/vtk.js/Rendering/Core/VolumeMapper';
+import vtkImageMapper from '@kitware/vtk.js/Rendering/Core/ImageMapper';
+import vtkImageSlice from '@kitware/vtk.js/Rendering/Core/ImageSlice';
 import { P } from '@kitware/vtk.js/Common/Core/Math/index';
 // TensorFlow.js for PCA operations
 import * as tf from '@tensorflow/tfjs';
@@ -642,7 +665,7 @@ function isObjectInFrustum(objectBounds) {
 function performViewportCulling() {
   if (!viewportCuller.enabled) return;
   
-  const actors = renderer.getActors();
+  const actors = getDataActors();
   let visibleCount = 0;
   let totalCount = actors.length;
   
@@ -682,7 +705,7 @@ function toggleViewportCulling() {
     performViewportCulling();
   } else {
     // Show all objects
-    const actors = renderer.getActors();
+    const actors = getDataActors();
     actors.forEach(actor => actor.setVisibility(true));
     renderWindow.render();
   }
@@ -744,7 +767,7 @@ function getLODLevel(distance) {
 function updateLODForAllObjects() {
   if (!lodSystem.enabled) return;
   
-  const actors = renderer.getActors();
+  const actors = getDataActors();
   const stats = {
     totalObjects: actors.length,
     ultraCount: 0,
@@ -797,8 +820,11 @@ function applyLODToActor(actor, lodLevel) {
     property.setLineWidth(property.getLineWidth() * lodLevel.resolution);
   }
   
-  // For surface rendering, we could adjust tessellation level
-  // This would require more complex geometry processing
+  // The data actor's geometry itself comes from the server's decimation pyramid
+  if (actor === currentActor) {
+    lodStreaming.lodResolution = lodLevel.resolution;
+    scheduleLodSwitch();
+  }
   
   // Store current LOD level
   lodSystem.currentLOD[actor] = lodLevel;
@@ -807,12 +833,13 @@ function applyLODToActor(actor, lodLevel) {
 function toggleLODSystem() {
   lodSystem.enabled = !lodSystem.enabled;
   logInfo(`LOD system ${lodSystem.enabled ? 'enabled' : 'disabled'}`);
+  scheduleLodSwitch();
   
   if (lodSystem.enabled) {
     updateLODForAllObjects();
   } else {
     // Reset all actors to full quality
-    const actors = renderer.getActors();
+    const actors = getDataActors();
     actors.forEach(actor => {
       const property = actor.getProperty();
       property.setPointSize(property.getPointSize() / lodSystem.currentLOD[actor]?.resolution || 1);
@@ -822,6 +849,226 @@ function toggleLODSystem() {
   }
 }
 
+// ----------------------------------------------------------------------------
+// LOD Streaming (server-side decimation pyramid)
+// ----------------------------------------------------------------------------
+
+// The server keeps decimated copies of every shared dataset at the resolutions of
+// lodSystem.levels (see decimation.js). The level the LOD system picks for the data
+// actor, capped by the adaptive controller's quality and the measured network speed,
+// is what gets downloaded, so bandwidth follows those decisions.
+
+// Wait this long for the camera and the controllers to settle before switching levels
+const LOD_SWITCH_DELAY_MS = 1000;
+const QUALITY_RESOLUTION_CAPS = { auto: 1.0, high: 1.0, medium: 0.6, low: 0.3 };
+const NETWORK_RESOLUTION_CAPS = { high: 1.0, medium: 0.6, low: 0.3, 'very-low': 0.1 };
+
+const lodStreaming = {
+  enabled: true,
+  // Shared dataset the levels belong to
+  dataset: null,
+  // Level shown in the mapper and the one the controllers currently ask for (percent)
+  loadedPercent: null,
+  wantedPercent: null,
+  // LOD system's choice for the data actor
+  lodResolution: 1.0,
+  // Decimated levels already downloaded, percent -> ArrayBuffer
+  levels: new Map(),
+  switchTimer: null
+};
+
+function getLevelPercent(resolution) {
+  return Math.round(resolution * 100);
+}
+
+// The server derives LOD levels and tiles from uploaded VTP datasets only
+function hasServerLevels(dataset) {
+  return !dataset.url && (getFormatFromName(dataset.name) || 'vtp') === 'vtp';
+}
+
+// How much of the dataset the LOD system and the adaptive controller allow right now
+function chooseStreamingPercent(quality = adaptiveStreaming.qualityLevel) {
+  const lodResolution = lodSystem.enabled ? lodStreaming.lodResolution : 1.0;
+  const qualityCap = QUALITY_RESOLUTION_CAPS[quality] ?? 1.0;
+  // Until the speed test has run there is nothing to cap by
+  const networkCap = networkMonitor.actualSpeed > 0 ? NETWORK_RESOLUTION_CAPS[getNetworkQuality()] ?? 1.0 : 1.0;
+  const resolution = Math.min(lodResolution, qualityCap, networkCap);
+
+  const level = lodSystem.levels.find(candidate => candidate.resolution <= resolution + 1e-6) ||
+    lodSystem.levels[lodSystem.levels.length - 1];
+  return getLevelPercent(level.resolution);
+}
+
+function resetLodStreaming(dataset, loadedPercent = null) {
+  clearTimeout(lodStreaming.switchTimer);
+  lodStreaming.dataset = dataset;
+  lodStreaming.loadedPercent = loadedPercent;
+  lodStreaming.wantedPercent = loadedPercent;
+  // A new dataset is framed by resetCamera, which the LOD system treats as full detail
+  lodStreaming.lodResolution = 1.0;
+  lodStreaming.levels = new Map();
+}
+
+async function fetchLodLevel(dataset, percent) {
+  if (percent === 100) return downloadDataset(dataset);
+  if (lodStreaming.levels.has(percent)) return lodStreaming.levels.get(percent);
+
+  const startTime = performance.now();
+  const response = await fetchOrThrow(`${YJS_HTTP_URL}/datasets/${dataset.id}/lod/${percent}`);
+  const fileData = await response.arrayBuffer();
+  logProgress(`Streamed ${percent}% level of ${dataset.name}: ${(fileData.byteLength / 1024).toFixed(1)} KB in ${(performance.now() - startTime).toFixed(0)}ms`);
+  if (lodStreaming.dataset && lodStreaming.dataset.id === dataset.id) {
+    lodStreaming.levels.set(percent, fileData);
+  }
+  return fileData;
+}
+
+// Downloads a newly shared dataset at the level the controllers allow. A full copy in
+// the local cache costs no bandwidth, so it is used whenever it exists.
+async function downloadDatasetForStreaming(dataset) {
+  resetLodStreaming(hasServerLevels(dataset) ? dataset : null);
+  const percent = lodStreaming.enabled && lodStreaming.dataset ? chooseStreamingPercent() : 100;
+  if (percent < 100 && !(await getCachedDataset(dataset.id))) {
+    try {
+      logInfo(`Streaming ${dataset.name} at ${percent}% detail`);
+      const fileData = await fetchLodLevel(dataset, percent);
+      lodStreaming.loadedPercent = percent;
+      lodStreaming.wantedPercent = percent;
+      return fileData;
+    } catch (error) {
+      logWarning(`No ${percent}% level of ${dataset.name} (${error.message}); downloading it in full`);
+    }
+  }
+  const fileData = await downloadDataset(dataset);
+  lodStreaming.loadedPercent = 100;
+  lodStreaming.wantedPercent = 100;
+  return fileData;
+}
+
+// Swaps the geometry in the mapper for another level; the camera stays where it is
+function applyLodGeometry({ data: polyData, originalPoints }, percent) {
+  if (originalPoints) {
+    originalPointsData = originalPoints;
+  }
+  mapper.setInputData(polyData);
+  // The new level brings its own arrays, and with them the automatic range
+  applyLayerColoring(PRIMARY_LAYER_ID);
+  applyClipToEntry(PRIMARY_LAYER_ID);
+  lodStreaming.loadedPercent = percent;
+  renderer.resetCameraClippingRange();
+  renderWindow.render();
+  logInfo(`Level of detail: ${percent}% (${polyData.getNumberOfPoints().toLocaleString()} points)`);
+}
+
+async function switchLodLevel(percent) {
+  const { dataset } = lodStreaming;
+  if (!dataset || dataset.id !== currentDatasetId || percent === lodStreaming.loadedPercent) return;
+  // The reduction replaced the points on screen; its result belongs to the loaded level
+  if (reductionApplied) return;
+
+  try {
+    const fileData = await fetchLodLevel(dataset, percent);
+    const parsed = await parseDataset(fileData, dataset.name, { quiet: true });
+    if (lodStreaming.dataset !== dataset || lodStreaming.wantedPercent !== percent || reductionApplied) return;
+    applyLodGeometry(parsed, percent);
+  } catch (error) {
+    if (!isParseCancelled(error)) {
+      logWarning(`Could not stream the ${percent}% level of ${dataset.name}: ${error.message}`);
+    }
+  }
+}
+
+// Called whenever the LOD system or the adaptive controller may have changed its mind
+function scheduleLodSwitch(quality) {
+  if (!lodStreaming.enabled || !lodStreaming.dataset || !networkMonitor.isOnline) return;
+  const percent = chooseStreamingPercent(quality);
+  if (percent === lodStreaming.wantedPercent) return;
+
+  lodStreaming.wantedPercent = percent;
+  clearTimeout(lodStreaming.switchTimer);
+  lodStreaming.switchTimer = setTimeout(() => switchLodLevel(percent), LOD_SWITCH_DELAY_MS);
+}
+
+// ----------------------------------------------------------------------------
+// Progressive Loading (coarse level first, refined in place)
+// ----------------------------------------------------------------------------
+
+// Instead of waiting for the full file, collaborators render the coarsest level of a
+// newly shared dataset and then swap in the level the LOD streaming controls allow.
+// Only the first stage resets the camera.
+//
+// Every level is a complete, independent VTP rather than a delta, so each stage is a
+// full download. Intermediate levels are skipped: the extra cost over a plain download
+// is then just the coarsest level (about 5% of the target), and the target level is
+// usually smaller than the full file anyway.
+const progressiveLoading = {
+  enabled: true
+};
+
+function getProgressiveStages(targetPercent) {
+  const percents = lodSystem.levels
+    .map(level => getLevelPercent(level.resolution))
+    .filter(percent => percent <= targetPercent);
+  if (percents.length === 0) return [];
+  const coarsest = Math.min(...percents);
+  const target = Math.max(...percents);
+  return coarsest === target ? [target] : [coarsest, target];
+}
+
+// Returns false when nothing could be shown, so the caller falls back to a plain download
+async function loadDatasetProgressively(dataset) {
+  resetLodStreaming(dataset);
+  const targetPercent = lodStreaming.enabled ? chooseStreamingPercent() : 100;
+  const stages = getProgressiveStages(targetPercent);
+  lodStreaming.wantedPercent = targetPercent;
+  logInfo(`Progressive loading of ${dataset.name}: ${stages.map(percent => `${percent}%`).join(' → ')}`);
+
+  for (let stage = 0; stage < stages.length; stage++) {
+    const percent = stages[stage];
+    const label = `Stage ${stage + 1}/${stages.length} (${percent}%)`;
+    showTransferProgress(`Loading ${dataset.name}: ${label}`, stage / stages.length);
+
+    let parsed;
+    try {
+      parsed = await parseDataset(await fetchLodLevel(dataset, percent), dataset.name);
+    } catch (error) {
+      hideTransferProgress();
+      if (stage === 0) {
+        if (isParseCancelled(error)) throw error;
+        logWarning(`${dataset.name} has no coarse level (${error.message}); loading it in full`);
+        return false;
+      }
+      if (!isParseCancelled(error)) {
+        logWarning(`Refinement of ${dataset.name} stopped at ${lodStreaming.loadedPercent}%: ${error.message}`);
+      }
+      return true;
+    }
+
+    // A newer dataset was shared, or the LOD controls picked another level meanwhile
+    if (currentDatasetId !== dataset.id) return true;
+    if (stage > 0 && (lodStreaming.wantedPercent !== targetPercent || reductionApplied)) {
+      hideTransferProgress();
+      logInfo(`Refinement of ${dataset.name} handed over to LOD streaming at ${lodStreaming.loadedPercent}%`);
+      return true;
+    }
+
+    const startTime = performance.now();
+    if (stage === 0) {
+      updateScene(parsed, dataset.name);
+      lodStreaming.loadedPercent = percent;
+      // The pose and representation were synced before there was an actor to apply them to
+      onActorChange(createSyncEvent(getSceneMap('actor'), ['orientation', 'representation']));
+    } else {
+      applyLodGeometry(parsed, percent);
+    }
+    logProgress(`${label} of ${dataset.name} rendered in ${(performance.now() - startTime).toFixed(0)}ms`);
+  }
+
+  hideTransferProgress();
+  logSuccess(`${dataset.name} fully refined at ${targetPercent}% detail`);
+  return true;
+}
+
 // ----------------------------------------------------------------------------
 // Adaptive Streaming Controller
 // ----------------------------------------------------------------------------
@@ -1090,6 +1337,9 @@ function adjustWeightsBasedOnContext() {
 }
 
 function adjustStreamingQuality() {
+  // The network may have changed since the last check even if the quality did not
+  scheduleLodSwitch();
+
   // Use smart adaptive streaming if enabled
   if (adaptiveStreaming.smartMode) {
     smartAdaptiveStreaming();
@@ -1177,6 +1427,9 @@ function applyStreamingQuality(quality) {
     updateLODForAllObjects();
   }
   
+  // qualityLevel is updated by the caller once this returns
+  scheduleLodSwitch(quality);
+
   // Show visual quality change notification
   showQualityChange(quality);
   
@@ -1405,7 +1658,7 @@ async function maybePredictNextFocal() {
 function preFetchHighResolutionData(worldPoint, confidence) {
   if (!lodSystem.enabled) return;
 
-  const actors = renderer.getActors();
+  const actors = getDataActors();
   if (!actors || actors.length === 0) return;
 
   // Snap focal to nearest actor center so we always target something
@@ -2500,6 +2753,13 @@ const XRHelper = vtkWebXRRenderWindowHelper.newInstance({
 const interactor = renderWindow.getInteractor();
 const camera = renderer.getActiveCamera();
 
+// Overlay actors (collaborator cameras, ...) that culling, LOD and prefetching leave alone
+const sceneHelperActors = new Set();
+
+function getDataActors() {
+  return renderer.getActors().filter(a => !sceneHelperActors.has(a));
+}
+
 // ----------------------------------------------------------------------------
 // Data Variables
 // ----------------------------------------------------------------------------
@@ -2530,40 +2790,174 @@ function preventDefaults(e) {
 //  Set up Yjs doc + provider
 // ----------------------------------------------------------------------------
 
+// The Yjs document server (server.js) listens on its own port, separate from the webpack dev server
+const YJS_SERVER_URL = `ws://${window.location.hostname || 'localhost'}:9001`;
+// The same server answers plain HTTP requests (room list, ...) on that port
+const YJS_HTTP_URL = `http://${window.location.hostname || 'localhost'}:9001`;
+
+const DEFAULT_ROOM = 'vtk-room';
+const ROOM_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const AUTH_TOKEN_KEY = 'vtk-auth-token';
+// Close codes used by the server for authentication failures
+const CLOSE_AUTH_FAILED = 4401;
+const CLOSE_KICKED = 4403;
+const CLOSE_RATE_LIMITED = 4429;
+const CLOSE_TOKEN_EXPIRED = 4440;
+
+function getRoomFromURL() {
+  const requested = new URLSearchParams(window.location.search).get('room');
+  if (requested && ROOM_NAME_PATTERN.test(requested)) {
+    return requested;
+  }
+  if (requested) {
+    logWarning(`Invalid room name "${requested}", joining ${DEFAULT_ROOM} instead`);
+  }
+  return DEFAULT_ROOM;
+}
+
+const roomName = getRoomFromURL();
+
+// Stable per-browser secret the server derives our user id from when it runs without
+// authentication. Only the id is ever shown to others, so they cannot pose as us.
+function loadLocalUserKey() {
+  let userKey = localStorage.getItem('vtk-user-key');
+  if (!/^[0-9a-f]{64}$/.test(userKey || '')) {
+    userKey = toHex(window.crypto.getRandomValues(new Uint8Array(32)));
+    localStorage.setItem('vtk-user-key', userKey);
+  }
+  return userKey;
+}
+
+// Must match getUserIdForKey in server.js
+function getUserIdForKey(userKey) {
+  return `guest-${toHex(sha256Digest(new TextEncoder().encode(userKey))).slice(0, 40)}`;
+}
+
+// With authentication enabled the server identifies us by the token's subject instead
+let authToken = localStorage.getItem(AUTH_TOKEN_KEY);
+const localUserKey = loadLocalUserKey();
+let localUserId = getTokenSubject(authToken) || getUserIdForKey(localUserKey);
+
 const ydoc = new Y.Doc();
-const provider = new WebsocketProvider('ws://localhost:8080', 'vtk-room', ydoc);
+const provider = new WebsocketProvider(YJS_SERVER_URL, roomName, ydoc, {
+  params: getConnectionParams(),
+  // Tabs would otherwise sync over BroadcastChannel and bypass the server's role checks
+  disableBc: true
+});
 const yActor = ydoc.getMap('actor');
 const yFile = ydoc.getMap('fileData');
 const yReduction = ydoc.getMap('reduction');
+const yAnnotations = ydoc.getMap('annotations');
+// Datasets shown next to the primary one and the properties of every outline entry
+const yLayers = ydoc.getMap('layers');
+const yLayerProps = ydoc.getMap('layerProps');
+// Clip plane (or slice) through the whole scene
+const yClip = ydoc.getMap('clip');
+// User id -> 'viewer' | 'editor' | 'owner', written by the server and by owners
+const yRoles = ydoc.getMap('roles');
+// Set by the server while the room is being recorded
+const yRecording = ydoc.getMap('recording');
+
+// Server -> client error report, see messageError in server.js
+const messageError = 4;
+provider.messageHandlers[messageError] = handleServerError;
+
+// Only transactions without an origin are tracked, i.e. this tab's own edits; remote
+// updates carry the provider as origin and are never undone here
+const undoManager = new Y.UndoManager([yActor, yReduction, yAnnotations, yLayerProps, yClip], {
+  captureTimeout: 500
+});
+
+// Dataset id (SHA-256) of what is currently displayed, shared or loaded locally
+let currentDatasetId = null;
+
+provider.on('status', ({ status }) => {
+  if (status === 'connected') {
+    logSuccess(`Connected to collaboration room "${roomName}" on ${YJS_SERVER_URL}`);
+  } else if (status === 'disconnected') {
+    logWarning('Disconnected from collaboration server, retrying...');
+  }
+});
+
+// 4401: missing or invalid token, 4403: removed by an owner, 4440: token expired (see server.js)
+provider.on('connection-close', (event) => {
+  if (event && event.code === CLOSE_RATE_LIMITED) {
+    // The provider reconnects on its own and resends what the server is missing
+    logWarning('Too many updates sent too quickly; the server reset the connection');
+    return;
+  }
+  if (event && event.code === CLOSE_KICKED) {
+    // Reconnecting right away would undo the removal; reloading the page rejoins
+    provider.disconnect();
+    logWarning('You were removed from this room; reload the page to rejoin');
+    showErrorNotice('You were removed from this room');
+    return;
+  }
+  if (!event || (event.code !== CLOSE_AUTH_FAILED && event.code !== CLOSE_TOKEN_EXPIRED)) return;
+  // Stop the automatic reconnects until we have a new token
+  provider.disconnect();
+  const reason = event.code === CLOSE_TOKEN_EXPIRED ? 'Your session has expired' : 'This server requires you to log in';
+  logWarning(`${reason} (close code ${event.code}: ${event.reason || 'no reason given'})`);
+  showLoginPrompt(reason);
+});
 
-let isLocalFileLoad = false;
+provider.on('sync', (isSynced) => {
+  if (isSynced) {
+    logInfo('Shared scene state synchronized with room');
+  }
+});
 
 
 // ----------------------------------------------------------------------------
 // Yjs Observer: File Data
 // ----------------------------------------------------------------------------
 
-yFile.observe(event => {
-  if(isLocalFileLoad){
-    isLocalFileLoad = false;
-    return;
-  }
+// yFile only holds the dataset reference; the bytes come over the chunked transfer channel.
+// The observers below read from event.target so they also drive the scene from a replayed
+// recording (see Session Recording and Replay); events of the doc not on screen are ignored.
+async function onFileChange(event) {
+  if (event.transaction.local || event.target.doc !== getSceneDoc()) return;
+
+  const dataset = event.target.get('dataset');
+  if (!dataset || dataset.id === currentDatasetId) return;
 
-  const b64 = yFile.get('polydata');
-  if (b64) {
-    const binary = Uint8Array.from(atob(b64), c => c.charCodeAt(0)).buffer;
-    updateScene(binary);
+  currentDatasetId = dataset.id;
+  try {
+    // A full copy in the local cache renders faster than any coarse level downloads
+    const streamable = !(await getCachedDataset(dataset.id)) && hasServerLevels(dataset);
+    if (datasetTiles.enabled && streamable && await loadDatasetTiles(dataset)) return;
+    if (currentDatasetId !== dataset.id) return;
+    if (progressiveLoading.enabled && streamable && await loadDatasetProgressively(dataset)) return;
+    if (currentDatasetId !== dataset.id) return;
+
+    const fileData = await downloadDatasetForStreaming(dataset);
+    if (currentDatasetId !== dataset.id) return;
+    const parsed = await parseDataset(fileData, dataset.name);
+    // A newer dataset may have been shared while this one was downloading
+    if (currentDatasetId !== dataset.id) return;
+    updateScene(parsed, dataset.name);
+    // The pose and representation were synced before there was an actor to apply them to
+    onActorChange(createSyncEvent(getSceneMap('actor'), ['orientation', 'representation']));
+  } catch (error) {
+    // A cancelled load was already reported by cancelDatasetParsing
+    if (!isParseCancelled(error)) {
+      logError(`Failed to load ${dataset.name}: ${error.message}`);
+    }
+    if (currentDatasetId === dataset.id) currentDatasetId = null;
   }
-});
+}
+
+yFile.observe(onFileChange);
 
 // ----------------------------------------------------------------------------
 // Yjs Observer: Actor Orientation and Representation
 // ----------------------------------------------------------------------------
 
-yActor.observe(event => {
-  if (!currentActor) return;
+function onActorChange(event) {
+  if (!currentActor || event.target.doc !== getSceneDoc()) return;
 
-  const orient = yActor.get('orientation');
+  // A deleted key (undo of the first change) falls back to the default pose and representation
+  const orient = event.target.get('orientation') || (event.keysChanged.has('orientation') ? [0, 0, 0] : null);
   if (orient) {
     currentActor.setOrientation(...orient);
 
@@ -2571,25 +2965,25 @@ yActor.observe(event => {
       axes.setOrientation(...orient);
       axes.setPosition(...axesPosition);
     }
-    const cameraPos = yActor.get('cameraPosition');
-    if(cameraPos){
-      camera.setPosition(...cameraPos);
-    }
-    const cameraFocal = yActor.get('cameraFocalPoint');
-    if(cameraFocal){
-      camera.setFocalPoint(...cameraFocal);
-    }
+    // Cameras are not part of the shared scene; see Camera Sharing Modes
+    updateAnnotationMarkers();
+    applyClipToEntry(PRIMARY_LAYER_ID);
     renderer.resetCameraClippingRange();
     renderWindow.render();
   }
 
-  const rep = yActor.get('representation');
+  let rep = event.target.get('representation');
+  if (rep === undefined && event.keysChanged.has('representation')) rep = 2;
   if(rep !== undefined){
     currentActor.getProperty().setRepresentation(rep);
+    representationSelector.value = String(rep);
     renderer.resetCameraClippingRange();
     renderWindow.render();
   }
-});
+  renderSceneOutline();
+}
+
+yActor.observe(onActorChange);
 
 // ----------------------------------------------------------------------------
 // Tracking/Sending Mouse Interaction
@@ -2616,15 +3010,18 @@ interactor.onMouseMove((callData) => {
       axes.setPosition(...axesPosition);
     }
 
+    updateAnnotationMarkers();
     renderWindow.render();
 
+    trackCameraMovement();
     sendActorPosition();
   }
 });
 
 
 interactor.onLeftButtonPress((callData) => {
-  if (!currentActor)return;
+  // Viewers keep their private camera but cannot rotate the shared actor
+  if (!currentActor || !canPerform('editor'))return;
     isDraggingActor = true;
     actorStartOrient = [...currentActor.getOrientation()];
     mouseStartPos = callData.position;  // Store the starting mouse position
@@ -2640,411 +3037,3253 @@ function sendActorPosition(){
   if (currentActor) {
     const orient = currentActor.getOrientation();
     yActor.set('orientation', orient);
-    const cameraPos = camera.getPosition();
-    const cameraFocal = camera.getFocalPoint();
-    yActor.set('cameraPosition', cameraPos);
-    yActor.set('cameraFocalPoint', cameraFocal);
   }
 }
 
 // ----------------------------------------------------------------------------
-// Point Processing Functions
+// Collaborator Presence (Yjs awareness)
 // ----------------------------------------------------------------------------
 
-async function extractPointsFromPolyData(polyData) {
-  const points = polyData.getPoints();
-  if (!points) return null;
-  
-  const pointsArray = points.getData();
-  const numPoints = points.getNumberOfPoints();
-  
-  logProgress(`Extracting ${numPoints.toLocaleString()} points...`);
-  
-  const pointsMatrix = [];
-  for (let i = 0; i < numPoints; i++) {
-    const point = [
-      pointsArray[i * 3],
-      pointsArray[i * 3 + 1],
-      pointsArray[i * 3 + 2]
-    ];
-    pointsMatrix.push(point);
+const PRESENCE_COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#bfef45'];
+const CAMERA_BROADCAST_INTERVAL_MS = 100;
+// Remote camera glyph length as a fraction of that user's distance to their focal point
+const CAMERA_GLYPH_SCALE = 0.15;
+
+const awareness = provider.awareness;
+const remoteCameraGlyphs = new Map();
+let lastCameraBroadcast = 0;
+let cameraBroadcastTimer = null;
+
+function loadLocalUser() {
+  let name = localStorage.getItem('vtk-user-name');
+  if (!name) {
+    name = `User-${Math.floor(1000 + Math.random() * 9000)}`;
+    localStorage.setItem('vtk-user-name', name);
   }
-  
-  return pointsMatrix;
+  return {
+    id: localUserId,
+    name,
+    color: PRESENCE_COLORS[ydoc.clientID % PRESENCE_COLORS.length]
+  };
 }
 
-function applyReductionToPolyData(polyData, reducedPoints) {
-  logProgress('Applying transformed points to visualization...');
-  
-  const points = polyData.getPoints();
-  const pointsArray = points.getData();
-  const numPoints = points.getNumberOfPoints();
-  
-  // Check if this is a 2D result (all Z coordinates are 0)
-  const is2D = reducedPoints.every(point => point.length >= 3 && point[2] === 0);
-  
-  for (let i = 0; i < numPoints; i++) {
-    pointsArray[i * 3] = reducedPoints[i][0];
-    pointsArray[i * 3 + 1] = reducedPoints[i][1];
-    pointsArray[i * 3 + 2] = reducedPoints[i].length > 2 ? reducedPoints[i][2] : 0;
+const HEX_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Peers pick their own color; anything but #rrggbb is shown grey instead of reaching a style
+function getPeerColor(state) {
+  const color = state && state.user ? state.user.color : null;
+  return typeof color === 'string' && HEX_COLOR_PATTERN.test(color) ? color : '#999999';
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) / 255, ((value >> 8) & 0xff) / 255, (value & 0xff) / 255];
+}
+
+function getCameraState() {
+  return {
+    position: Array.from(camera.getPosition()),
+    focalPoint: Array.from(camera.getFocalPoint()),
+    viewUp: Array.from(camera.getViewUp()),
+    viewAngle: camera.getViewAngle()
+  };
+}
+
+// Throttled so dragging the camera does not flood the room with awareness updates
+function broadcastLocalCamera() {
+  const now = performance.now();
+  if (now - lastCameraBroadcast < CAMERA_BROADCAST_INTERVAL_MS) {
+    if (!cameraBroadcastTimer) {
+      cameraBroadcastTimer = setTimeout(() => {
+        cameraBroadcastTimer = null;
+        broadcastLocalCamera();
+      }, CAMERA_BROADCAST_INTERVAL_MS);
+    }
+    return;
   }
-  
-  points.setData(pointsArray);
-  points.modified();
-  polyData.modified();
-  polyData.getBounds();
-  
-  if (is2D) {
-    logSuccess('Applied 2D visualization - all points in XY plane (Z=0)');
-    // Set up 2D viewing - position camera to look down at XY plane
-    setup2DView();
-  } else {
-    logSuccess('Applied 3D visualization with transformed points');
+  lastCameraBroadcast = now;
+  awareness.setLocalStateField('camera', getCameraState());
+}
+
+function updateCameraGlyph(clientId, state) {
+  let glyph = remoteCameraGlyphs.get(clientId);
+  if (!glyph) {
+    // A four-sided cone reads as a view frustum: apex at the eye, base towards the focal point
+    const glyphSource = vtkConeSource.newInstance({ resolution: 4, capping: true });
+    const glyphMapper = vtkMapper.newInstance();
+    glyphMapper.setInputConnection(glyphSource.getOutputPort());
+    const glyphActor = vtkActor.newInstance();
+    glyphActor.setMapper(glyphMapper);
+    glyphActor.getProperty().setOpacity(0.5);
+    glyphActor.setPickable(false);
+    // Keep resetCamera() framing the data, not the collaborators
+    glyphActor.setUseBounds(false);
+
+    sceneHelperActors.add(glyphActor);
+    renderer.addActor(glyphActor);
+    glyph = { source: glyphSource, actor: glyphActor };
+    remoteCameraGlyphs.set(clientId, glyph);
   }
+
+  // The followed camera coincides with ours; its glyph would only block the view
+  glyph.actor.setVisibility(clientId !== getFollowTargetId());
+
+  const { position, focalPoint, viewAngle } = state.camera;
+  const direction = [
+    focalPoint[0] - position[0],
+    focalPoint[1] - position[1],
+    focalPoint[2] - position[2]
+  ];
+  const distance = Math.sqrt(direction[0] ** 2 + direction[1] ** 2 + direction[2] ** 2) || 1;
+  const unit = direction.map(v => v / distance);
+  const height = distance * CAMERA_GLYPH_SCALE;
+
+  glyph.source.set({
+    height,
+    radius: height * Math.tan((viewAngle * Math.PI) / 360),
+    center: position.map((p, i) => p + unit[i] * height / 2),
+    direction: unit.map(v => -v)
+  });
+  glyph.actor.getProperty().setColor(...hexToRgb(getPeerColor(state)));
 }
 
-function setup2DView() {
-  // Position camera to look down at the XY plane for 2D visualization
-  // const camera = renderer.getActiveCamera();
-  
-  // Get the bounds of the current data
-  const bounds = renderer.computeVisiblePropBounds();
-  const centerX = (bounds[0] + bounds[1]) / 2;
-  const centerY = (bounds[2] + bounds[3]) / 2;
-  const centerZ = 0; // Since all Z coordinates are 0
-  
-  const rangeX = bounds[1] - bounds[0];
-  const rangeY = bounds[3] - bounds[2];
-  const maxRange = Math.max(rangeX, rangeY);
-  
-  // Position camera directly above looking straight down
-  camera.setPosition(centerX, centerY, maxRange * 2);
-  camera.setFocalPoint(centerX, centerY, centerZ);
-  camera.setViewUp(0, 1, 0); // Y axis points up
-  
-  // Force orthographic (parallel) projection for true 2D
-  camera.setParallelProjection(true);
-  camera.setParallelScale(maxRange * 0.55);
+function removeCameraGlyph(clientId) {
+  const glyph = remoteCameraGlyphs.get(clientId);
+  if (!glyph) return;
+  renderer.removeActor(glyph.actor);
+  sceneHelperActors.delete(glyph.actor);
+  remoteCameraGlyphs.delete(clientId);
+}
 
-  // ----------------
-  // DO NOT TOUCH INTERACTOR CODE BELOW: it doesn't work
-  // ----------------
-  
-  // Disable 3D interactions to keep it 2D
-  // const interactor = renderWindow.getInteractor();
-  // const interactorStyle = interactor.getInteractorStyle();
-  
-  // // Store original interaction state
-  // if (!window.original3DInteractionState) {
-  //   window.original3DInteractionState = {
-  //     leftButtonAction: interactorStyle.getLeftButtonAction(),
-  //     middleButtonAction: interactorStyle.getMiddleButtonAction(),
-  //     rightButtonAction: interactorStyle.getRightButtonAction()
-  //   };
-  // }
-  
-  // // Set 2D interaction style - only allow pan and zoom, no rotation
-  // interactorStyle.setLeftButtonAction('Pan');
-  // interactorStyle.setMiddleButtonAction('Zoom');
-  // interactorStyle.setRightButtonAction('Pan');
-  
-  // Force render
+function updateRemoteCameraGlyphs() {
+  const states = awareness.getStates();
+  states.forEach((state, clientId) => {
+    if (clientId !== awareness.clientID && state.camera) {
+      updateCameraGlyph(clientId, state);
+    }
+  });
+  Array.from(remoteCameraGlyphs.keys())
+    .filter(clientId => !states.has(clientId))
+    .forEach(removeCameraGlyph);
   renderWindow.render();
-  
-  logProgress('Locked to 2D viewing mode (no rotation, orthographic projection)');
 }
 
-function restore3DView() {
-  // const camera = renderer.getActiveCamera();
-  // const interactor = renderWindow.getInteractor();
-  const interactorStyle = interactor.getInteractorStyle();
-  
-  // Restore perspective projection
-  camera.setParallelProjection(false);
+function renderPresenceList() {
+  const list = document.getElementById('presence-list');
+  // Camera updates re-render often; do not pull a role picker away from under the cursor
+  if (!list || list.contains(document.activeElement)) return;
+
+  const activityColors = { active: '#4CAF50', moderate: '#FF9800', idle: '#9E9E9E' };
+  list.innerHTML = '';
+  awareness.getStates().forEach((state, clientId) => {
+    if (!state.user) return;
+    const isLocal = clientId === awareness.clientID;
+    const activity = state.activity || 'idle';
+
+    const entry = document.createElement('div');
+    entry.style.cssText = 'display: flex; align-items: center; gap: 6px; padding: 2px 0;';
+
+    const swatch = document.createElement('span');
+    swatch.style.cssText = 'width: 10px; height: 10px; border-radius: 2px;';
+    swatch.style.background = getPeerColor(state);
+
+    const name = document.createElement('span');
+    name.style.cssText = 'flex: 1;';
+    name.textContent = isLocal ? `${state.user.name} (you)` : state.user.name;
+    if (clientId === getPresenterId()) {
+      name.textContent += ' - presenting';
+    }
 
-  // ----------------
-  // DO NOT TOUCH INTERACTOR CODE BELOW: it doesn't work
-  // ----------------
-  
-  // // Restore 3D interactions
-  // if (window.original3DInteractionState) {
-  //   interactorStyle.setLeftButtonAction(window.original3DInteractionState.leftButtonAction);
-  //   interactorStyle.setMiddleButtonAction(window.original3DInteractionState.middleButtonAction);
-  //   interactorStyle.setRightButtonAction(window.original3DInteractionState.rightButtonAction);
-  // } else {
-  //   // Default 3D interaction
-  //   interactorStyle.setLeftButtonAction('Rotate');
-  //   interactorStyle.setMiddleButtonAction('Zoom');
-  //   interactorStyle.setRightButtonAction('Pan');
-  // }
-  
-  logProgress('Restored 3D viewing mode (rotation enabled, perspective projection)');
+    const status = document.createElement('span');
+    status.style.cssText = `color: ${activityColors[activity] || activityColors.idle}; font-weight: bold;`;
+    status.textContent = activity;
+
+    entry.appendChild(swatch);
+    entry.appendChild(name);
+    entry.appendChild(createRoleControl(state.user.id));
+    entry.appendChild(status);
+    list.appendChild(entry);
+  });
 }
 
-// ----------------------------------------------------------------------------
-// Main Dimensionality Reduction Function
-// ----------------------------------------------------------------------------
+function setupPresencePanel() {
+  const controlTable = document.querySelector('table');
+
+  const presenceRow = document.createElement('tr');
+  const presenceCell = document.createElement('td');
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.value = awareness.getLocalState().user.name;
+  nameInput.placeholder = 'Your name';
+  nameInput.style.cssText = 'width: 100%; box-sizing: border-box; margin-bottom: 4px;';
+  nameInput.addEventListener('change', () => {
+    const name = nameInput.value.trim().slice(0, 40);
+    if (!name) return;
+    localStorage.setItem('vtk-user-name', name);
+    awareness.setLocalStateField('user', { ...awareness.getLocalState().user, name });
+    logInfo(`Display name changed to ${name}`);
+  });
+
+  const presenceList = document.createElement('div');
+  presenceList.id = 'presence-list';
+  presenceList.style.cssText = 'font-size: 11px; padding: 5px; background: #f5f5f5; border-radius: 3px;';
+
+  presenceCell.appendChild(nameInput);
+  presenceCell.appendChild(presenceList);
+  presenceRow.appendChild(presenceCell);
+  controlTable.appendChild(presenceRow);
+
+  renderPresenceList();
+}
+
+function initializePresence() {
+  // Start the idle clock at page load rather than reporting 'active' until the first move
+  trackCameraMovement();
+  awareness.setLocalStateField('user', loadLocalUser());
+  awareness.setLocalStateField('activity', getUserActivityLevel());
+  awareness.setLocalStateField('camera', getCameraState());
+
+  awareness.on('change', () => {
+    renderPresenceList();
+    updateRemoteCameraGlyphs();
+  });
+
+  camera.onModified(broadcastLocalCamera);
+  interactor.getInteractorStyle().onInteractionEvent(trackCameraMovement);
+
+  // Publish idle/active transitions computed by getUserActivityLevel()
+  setInterval(() => {
+    const activity = getUserActivityLevel();
+    if (awareness.getLocalState().activity !== activity) {
+      awareness.setLocalStateField('activity', activity);
+    }
+  }, 1000);
+
+  logSuccess(`Presence initialized as ${awareness.getLocalState().user.name}`);
+}
+
+// ----------------------------------------------------------------------------
+// Camera Sharing Modes (free / follow presenter / follow user)
+// ----------------------------------------------------------------------------
+
+// Cameras travel over awareness (see Collaborator Presence); only orientation is shared
+// scene state. 'free' keeps the camera private, 'presenter' tracks whoever is presenting
+// and 'user' tracks one chosen collaborator.
+let cameraSharing = {
+  mode: 'presenter',
+  targetId: null,
+  presenting: false,
+  // Time constant of the exponential smoothing towards the followed camera
+  smoothingMs: 150,
+  animationFrame: null,
+  lastFrameTime: 0
+};
+
+// The most recent client to start presenting wins; awareness drops it when they leave
+function getPresenterId() {
+  let presenterId = null;
+  let startedAt = -Infinity;
+  awareness.getStates().forEach((state, clientId) => {
+    if (state.presenting && state.presenting > startedAt) {
+      presenterId = clientId;
+      startedAt = state.presenting;
+    }
+  });
+  return presenterId;
+}
+
+function getFollowTargetId() {
+  // The replay drives the camera while a recording is shown
+  if (replay.active) return null;
+  const targetId = cameraSharing.mode === 'presenter' ? getPresenterId() : cameraSharing.targetId;
+  return cameraSharing.mode === 'free' || targetId === awareness.clientID ? null : targetId;
+}
+
+function getUserName(clientId) {
+  const state = awareness.getStates().get(clientId);
+  return state && state.user ? state.user.name : `client ${clientId}`;
+}
+
+function lerpVector(from, to, t) {
+  return from.map((v, i) => v + (to[i] - v) * t);
+}
+
+function stepCameraFollow(timestamp) {
+  cameraSharing.animationFrame = null;
+
+  const targetId = getFollowTargetId();
+  const state = targetId !== null ? awareness.getStates().get(targetId) : null;
+  if (!state || !state.camera) return;
+
+  const elapsed = cameraSharing.lastFrameTime ? timestamp - cameraSharing.lastFrameTime : 16;
+  cameraSharing.lastFrameTime = timestamp;
+  const t = 1 - Math.exp(-elapsed / cameraSharing.smoothingMs);
+
+  const target = state.camera;
+  const position = lerpVector(camera.getPosition(), target.position, t);
+  const focalPoint = lerpVector(camera.getFocalPoint(), target.focalPoint, t);
+  const viewUp = lerpVector(camera.getViewUp(), target.viewUp, t);
+  const viewAngle = camera.getViewAngle() + (target.viewAngle - camera.getViewAngle()) * t;
+
+  camera.setPosition(...position);
+  camera.setFocalPoint(...focalPoint);
+  camera.setViewUp(...viewUp);
+  camera.setViewAngle(viewAngle);
+  camera.orthogonalizeViewUp();
+
+  renderer.resetCameraClippingRange();
+  renderWindow.render();
+
+  const remaining = position.reduce((sum, v, i) => sum + Math.abs(target.position[i] - v), 0) +
+    focalPoint.reduce((sum, v, i) => sum + Math.abs(target.focalPoint[i] - v), 0);
+  const scale = Math.max(camera.getDistance(), 1e-6);
+  if (remaining / scale > 1e-4) {
+    cameraSharing.animationFrame = requestAnimationFrame(stepCameraFollow);
+  } else {
+    cameraSharing.lastFrameTime = 0;
+  }
+}
+
+function scheduleCameraFollow() {
+  if (cameraSharing.animationFrame === null && getFollowTargetId() !== null) {
+    cameraSharing.lastFrameTime = 0;
+    cameraSharing.animationFrame = requestAnimationFrame(stepCameraFollow);
+  }
+}
+
+function setCameraMode(mode, targetId = null) {
+  cameraSharing.mode = mode;
+  cameraSharing.targetId = mode === 'user' ? targetId : null;
+  awareness.setLocalStateField('following', getFollowTargetId());
+
+  if (mode === 'free') {
+    logInfo('Camera mode: free (private camera, orientation still synced)');
+  } else if (mode === 'presenter') {
+    logInfo('Camera mode: following the presenter');
+  } else {
+    logInfo(`Camera mode: following ${getUserName(targetId)}`);
+  }
+
+  updateCameraModeUI();
+  updateRemoteCameraGlyphs();
+  scheduleCameraFollow();
+}
+
+function togglePresenting() {
+  cameraSharing.presenting = !cameraSharing.presenting;
+  awareness.setLocalStateField('presenting', cameraSharing.presenting ? Date.now() : null);
+  if (cameraSharing.presenting) {
+    // The presenter drives; following someone else at the same time would fight it
+    if (cameraSharing.mode !== 'free') setCameraMode('free');
+    awareness.setLocalStateField('camera', getCameraState());
+    logSuccess('You are now presenting; followers see your camera');
+  } else {
+    logInfo('Stopped presenting');
+  }
+  updateCameraModeUI();
+}
+
+// Taking the camera while following hands control back to the local user
+function handleLocalCameraInteraction() {
+  if (replay.active && replay.followCamera) {
+    setReplayCameraFollow(false);
+    logInfo('Replay camera released; re-enable "Recorded camera" to follow it again');
+  }
+  if (getFollowTargetId() !== null) {
+    setCameraMode('free');
+    logWarning('Stopped following after local camera interaction');
+  }
+}
+
+function describeCameraMode() {
+  const presenterId = getPresenterId();
+  if (cameraSharing.presenting && presenterId === awareness.clientID) {
+    const followers = Array.from(awareness.getStates().values())
+      .filter(state => state.following === awareness.clientID).length;
+    return `Presenting to ${followers} follower${followers === 1 ? '' : 's'}`;
+  }
+  if (cameraSharing.mode === 'free') return 'Free camera';
+  if (cameraSharing.mode === 'presenter') {
+    return presenterId === null ? 'Following presenter (nobody is presenting)' : `Following presenter ${getUserName(presenterId)}`;
+  }
+  return `Following ${getUserName(cameraSharing.targetId)}`;
+}
+
+function updateCameraModeUI() {
+  const select = document.getElementById('camera-mode-select');
+  const presentButton = document.getElementById('present-button');
+  const status = document.getElementById('camera-mode-status');
+  if (!select) return;
+
+  // Awareness updates arrive several times a second; only rebuild the options when the
+  // peers or their names changed, and never under an open or focused dropdown (the
+  // blur handler catches up)
+  if (document.activeElement !== select) {
+    const selected = cameraSharing.mode === 'user' ? `user:${cameraSharing.targetId}` : cameraSharing.mode;
+    const options = [['free', 'Free camera'], ['presenter', 'Follow presenter']];
+    awareness.getStates().forEach((state, clientId) => {
+      if (clientId !== awareness.clientID && state.user) {
+        options.push([`user:${clientId}`, `Follow ${state.user.name}`]);
+      }
+    });
+    const optionsKey = JSON.stringify(options);
+    if (select.dataset.optionsKey !== optionsKey) {
+      select.dataset.optionsKey = optionsKey;
+      select.innerHTML = '';
+      options.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+    }
+    if (select.value !== selected) select.value = selected;
+  }
+
+  presentButton.textContent = cameraSharing.presenting ? 'Stop Presenting' : 'Present';
+  presentButton.style.background = cameraSharing.presenting ? '#f44336' : '';
+  presentButton.style.color = cameraSharing.presenting ? 'white' : '';
+  status.textContent = `Mode: ${describeCameraMode()}`;
+}
+
+function setupCameraModeControls() {
+  const controlTable = document.querySelector('table');
+
+  const modeRow = document.createElement('tr');
+  const modeCell = document.createElement('td');
+  modeCell.style.cssText = 'display: flex; gap: 4px; flex-wrap: wrap;';
+
+  const modeSelect = document.createElement('select');
+  modeSelect.id = 'camera-mode-select';
+  modeSelect.style.cssText = 'flex: 1;';
+  modeSelect.addEventListener('change', () => {
+    const [mode, clientId] = modeSelect.value.split(':');
+    setCameraMode(mode, clientId !== undefined ? Number(clientId) : null);
+  });
+  modeSelect.addEventListener('blur', updateCameraModeUI);
+
+  const presentButton = document.createElement('button');
+  presentButton.id = 'present-button';
+  presentButton.addEventListener('click', togglePresenting);
+
+  const status = document.createElement('div');
+  status.id = 'camera-mode-status';
+  status.style.cssText = 'width: 100%; font-size: 11px; color: #666;';
+
+  modeCell.appendChild(modeSelect);
+  modeCell.appendChild(presentButton);
+  modeCell.appendChild(status);
+  modeRow.appendChild(modeCell);
+  controlTable.appendChild(modeRow);
+
+  updateCameraModeUI();
+}
+
+function initializeCameraModes() {
+  awareness.setLocalStateField('presenting', null);
+  awareness.setLocalStateField('following', null);
+
+  let previousTargetId = null;
+  awareness.on('change', ({ removed }) => {
+    // Another user took over presenting
+    if (cameraSharing.presenting && getPresenterId() !== awareness.clientID) {
+      cameraSharing.presenting = false;
+      awareness.setLocalStateField('presenting', null);
+      logWarning(`${getUserName(getPresenterId())} took over presenting`);
+    }
+
+    if (cameraSharing.mode === 'user' && removed.includes(cameraSharing.targetId)) {
+      logWarning(`${getUserName(cameraSharing.targetId)} left the room; switching to free camera`);
+      setCameraMode('free');
+    }
+
+    const targetId = getFollowTargetId();
+    if (targetId !== previousTargetId) {
+      previousTargetId = targetId;
+      awareness.setLocalStateField('following', targetId);
+    }
+
+    updateCameraModeUI();
+    scheduleCameraFollow();
+  });
+
+  interactor.getInteractorStyle().onStartInteractionEvent(handleLocalCameraInteraction);
+  interactor.onMouseWheel(handleLocalCameraInteraction);
+}
+
+// ----------------------------------------------------------------------------
+// Shared Annotations (pinned notes)
+// ----------------------------------------------------------------------------
+
+// yAnnotations maps annotation id -> { id, datasetId, position, text, author, color, createdAt }.
+// Positions are stored in the dataset's model coordinates so pins stay on the surface
+// whatever orientation the actor is given.
+const annotationPicker = vtkCellPicker.newInstance();
+annotationPicker.setPickFromList(true);
+
+let annotationState = {
+  placing: false,
+  markers: new Map(),
+  labels: new Map(),
+  labelIds: [],
+  labelSource: vtkPolyData.newInstance(),
+  labelActor: null,
+  overlay: null
+};
+
+function getActorMatrix() {
+  // vtk.js matrices are row-major; gl-matrix expects column-major
+  return mat4.transpose(mat4.create(), currentActor.getMatrix());
+}
+
+function worldToModel(worldPosition) {
+  const inverse = mat4.invert(mat4.create(), getActorMatrix());
+  return Array.from(vec3.transformMat4(vec3.create(), worldPosition, inverse));
+}
+
+function modelToWorld(modelPosition) {
+  return Array.from(vec3.transformMat4(vec3.create(), modelPosition, getActorMatrix()));
+}
+
+function getDatasetAnnotations() {
+  if (!currentDatasetId) return [];
+  return Array.from(getSceneMap('annotations').values())
+    .filter(annotation => annotation.datasetId === currentDatasetId)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+function getMarkerRadius() {
+  const bounds = currentActor.getMapper().getInputData().getBounds();
+  const diagonal = Math.sqrt(
+    (bounds[1] - bounds[0]) ** 2 + (bounds[3] - bounds[2]) ** 2 + (bounds[5] - bounds[4]) ** 2
+  );
+  return (diagonal || 1) * 0.01;
+}
+
+function setupAnnotationOverlay() {
+  const overlay = document.createElement('div');
+  overlay.style.cssText = 'position: absolute; inset: 0; pointer-events: none; overflow: hidden;';
+  fullScreenRenderer.getContainer().appendChild(overlay);
+  annotationState.overlay = overlay;
+
+  // Projects the pin positions to pixels on every render so the HTML labels track the pins
+  annotationState.labelSource.setPoints(vtkPoints.newInstance());
+  const labelMapper = vtkPixelSpaceCallbackMapper.newInstance();
+  labelMapper.setInputData(annotationState.labelSource);
+  labelMapper.setCallback((coords, cam, aspect, depthValues, [, height]) => {
+    const pixelRatio = window.devicePixelRatio || 1;
+    coords.forEach(([x, y, z], index) => {
+      const label = annotationState.labels.get(annotationState.labelIds[index]);
+      if (!label) return;
+      label.style.display = z < -1 || z > 1 ? 'none' : 'block';
+      label.style.left = `${x / pixelRatio + 8}px`;
+      label.style.top = `${(height - y) / pixelRatio - 8}px`;
+    });
+  });
+
+  const labelActor = vtkActor.newInstance();
+  labelActor.setMapper(labelMapper);
+  labelActor.setPickable(false);
+  labelActor.setUseBounds(false);
+  sceneHelperActors.add(labelActor);
+  renderer.addActor(labelActor);
+  annotationState.labelActor = labelActor;
+}
+
+// Places markers and label anchors at the current world position of each pin
+function updateAnnotationMarkers() {
+  if (!currentActor || annotationState.markers.size === 0) return;
+
+  const worldPoints = [];
+  annotationState.labelIds.forEach(id => {
+    const annotation = getSceneMap('annotations').get(id);
+    const world = modelToWorld(annotation.position);
+    annotationState.markers.get(id).actor.setPosition(...world);
+    worldPoints.push(...world);
+  });
+
+  const points = vtkPoints.newInstance();
+  points.setData(Float32Array.from(worldPoints), 3);
+  annotationState.labelSource.setPoints(points);
+  annotationState.labelSource.modified();
+}
+
+function clearAnnotationMarkers() {
+  annotationState.markers.forEach(({ actor }) => {
+    renderer.removeActor(actor);
+    sceneHelperActors.delete(actor);
+  });
+  annotationState.labels.forEach(label => label.remove());
+  annotationState.markers.clear();
+  annotationState.labels.clear();
+  annotationState.labelIds = [];
+  annotationState.labelSource.setPoints(vtkPoints.newInstance());
+}
+
+function renderAnnotations() {
+  clearAnnotationMarkers();
+
+  const annotations = currentActor ? getDatasetAnnotations() : [];
+  if (annotations.length > 0) {
+    const radius = getMarkerRadius();
+    annotations.forEach((annotation, index) => {
+      const markerSource = vtkSphereSource.newInstance({ radius, thetaResolution: 12, phiResolution: 12 });
+      const markerMapper = vtkMapper.newInstance();
+      markerMapper.setInputConnection(markerSource.getOutputPort());
+      const markerActor = vtkActor.newInstance();
+      markerActor.setMapper(markerMapper);
+      markerActor.getProperty().setColor(...hexToRgb(annotation.color));
+      markerActor.setPickable(false);
+      markerActor.setUseBounds(false);
+      sceneHelperActors.add(markerActor);
+      renderer.addActor(markerActor);
+      annotationState.markers.set(annotation.id, { source: markerSource, actor: markerActor });
+
+      const label = document.createElement('div');
+      label.style.cssText = `position: absolute; display: none; padding: 2px 6px; font-size: 11px;
+        color: white; background: rgba(0, 0, 0, 0.7); border-left: 3px solid ${annotation.color};
+        border-radius: 3px; white-space: nowrap; max-width: 240px; overflow: hidden; text-overflow: ellipsis;`;
+      label.textContent = `${index + 1}. ${annotation.text}`;
+      annotationState.overlay.appendChild(label);
+      annotationState.labels.set(annotation.id, label);
+      annotationState.labelIds.push(annotation.id);
+    });
+    updateAnnotationMarkers();
+  }
+
+  renderAnnotationList(annotations);
+  renderWindow.render();
+}
+
+function renderAnnotationList(annotations) {
+  const list = document.getElementById('annotation-list');
+  if (!list) return;
+
+  list.innerHTML = '';
+  if (annotations.length === 0) {
+    list.textContent = currentDatasetId ? 'No annotations yet' : 'Annotations appear once the dataset is shared';
+    return;
+  }
+
+  annotations.forEach((annotation, index) => {
+    const entry = document.createElement('div');
+    entry.style.cssText = 'display: flex; align-items: center; gap: 4px; padding: 2px 0; cursor: pointer;';
+    entry.title = `${annotation.author} - ${new Date(annotation.createdAt).toLocaleString()}`;
+    entry.addEventListener('click', () => jumpToAnnotation(annotation.id));
+
+    const text = document.createElement('span');
+    text.style.cssText = `flex: 1; border-left: 3px solid ${annotation.color}; padding-left: 4px;`;
+    text.textContent = `${index + 1}. ${annotation.text}`;
+
+    const removeButton = document.createElement('button');
+    removeButton.textContent = 'x';
+    removeButton.title = 'Delete annotation';
+    removeButton.dataset.requiresRole = 'editor';
+    removeButton.disabled = !canPerform('editor');
+    removeButton.addEventListener('click', (event) => {
+      event.stopPropagation();
+      if (!requireRole('editor', 'delete annotations')) return;
+      yAnnotations.delete(annotation.id);
+      logInfo(`Deleted annotation "${annotation.text}"`);
+    });
+
+    entry.appendChild(text);
+    entry.appendChild(removeButton);
+    list.appendChild(entry);
+  });
+}
+
+function jumpToAnnotation(id) {
+  const annotation = getSceneMap('annotations').get(id);
+  if (!annotation || !currentActor) return;
+
+  // Jumping is a local camera move, so stop following whoever we were following
+  handleLocalCameraInteraction();
+
+  const target = modelToWorld(annotation.position);
+  const focalPoint = camera.getFocalPoint();
+  const position = camera.getPosition();
+  const offset = position.map((v, i) => v - focalPoint[i]);
+  const distance = Math.min(camera.getDistance(), getMarkerRadius() * 40);
+  const scale = distance / (Math.sqrt(offset[0] ** 2 + offset[1] ** 2 + offset[2] ** 2) || 1);
+
+  camera.setFocalPoint(...target);
+  camera.setPosition(...target.map((v, i) => v + offset[i] * scale));
+  renderer.resetCameraClippingRange();
+  renderWindow.render();
+  logInfo(`Jumped to annotation "${annotation.text}"`);
+}
+
+function placeAnnotation(callData) {
+  if (!requireRole('editor', 'place annotations')) return;
+  if (!currentActor) {
+    logWarning('Load a dataset before placing annotations');
+    return;
+  }
+  if (!currentDatasetId) {
+    logWarning('Wait until the dataset is shared with the room before placing annotations');
+    return;
+  }
+
+  const { x, y } = callData.position;
+  annotationPicker.initializePickList();
+  getDatasetSurfaceActors().forEach(pickActor => annotationPicker.addPickList(pickActor));
+  annotationPicker.pick([x, y, 0], renderer);
+  if (annotationPicker.getActors().length === 0) {
+    logWarning('No surface under the cursor; click on the dataset to place a pin');
+    return;
+  }
+
+  const noteInput = document.getElementById('annotation-text');
+  const user = awareness.getLocalState().user;
+  const annotation = {
+    id: `${ydoc.clientID}-${Date.now()}`,
+    datasetId: currentDatasetId,
+    position: worldToModel(annotationPicker.getPickPosition()),
+    text: noteInput.value.trim() || `Note ${getDatasetAnnotations().length + 1}`,
+    author: user.name,
+    color: user.color,
+    createdAt: Date.now()
+  };
+  yAnnotations.set(annotation.id, annotation);
+  noteInput.value = '';
+  logSuccess(`Pinned annotation "${annotation.text}"`);
+}
+
+function setPlacingAnnotation(placing) {
+  annotationState.placing = placing;
+  const button = document.getElementById('place-annotation-button');
+  button.textContent = placing ? 'Cancel Pin' : 'Place Pin';
+  button.style.background = placing ? '#FF9800' : '';
+}
+
+function togglePlacingAnnotation() {
+  setPlacingAnnotation(!annotationState.placing);
+  logInfo(annotationState.placing ? 'Click on the surface to place a pin' : 'Pin placement cancelled');
+}
+
+function exportAnnotations() {
+  const annotations = getDatasetAnnotations();
+  const dataset = getSceneMap('fileData').get('dataset');
+  const payload = {
+    room: roomName,
+    dataset: dataset && dataset.id === currentDatasetId ? dataset : { id: currentDatasetId },
+    exportedAt: new Date().toISOString(),
+    annotations
+  };
+
+  const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `annotations-${roomName}.json`;
+  link.click();
+  // Some browsers start the download after click() returns, so keep the URL alive until then
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  logSuccess(`Exported ${annotations.length} annotations`);
+}
+
+function setupAnnotationControls() {
+  const controlTable = document.querySelector('table');
+
+  const annotationRow = document.createElement('tr');
+  const annotationCell = document.createElement('td');
+
+  const inputRow = document.createElement('div');
+  inputRow.style.cssText = 'display: flex; gap: 4px; margin-bottom: 4px;';
+
+  const noteInput = document.createElement('input');
+  noteInput.type = 'text';
+  noteInput.id = 'annotation-text';
+  noteInput.placeholder = 'Note text';
+  noteInput.style.cssText = 'flex: 1; min-width: 0;';
+
+  const placeButton = document.createElement('button');
+  placeButton.id = 'place-annotation-button';
+  placeButton.textContent = 'Place Pin';
+  placeButton.dataset.requiresRole = 'editor';
+  placeButton.addEventListener('click', togglePlacingAnnotation);
+
+  const exportButton = document.createElement('button');
+  exportButton.textContent = 'Export';
+  exportButton.title = 'Download annotations as JSON';
+  exportButton.addEventListener('click', exportAnnotations);
+
+  const annotationList = document.createElement('div');
+  annotationList.id = 'annotation-list';
+  annotationList.style.cssText = 'font-size: 11px; padding: 5px; background: #f5f5f5; border-radius: 3px; max-height: 150px; overflow-y: auto;';
+
+  inputRow.appendChild(noteInput);
+  inputRow.appendChild(placeButton);
+  inputRow.appendChild(exportButton);
+  annotationCell.appendChild(inputRow);
+  annotationCell.appendChild(annotationList);
+  annotationRow.appendChild(annotationCell);
+  controlTable.appendChild(annotationRow);
+}
+
+function initializeAnnotations() {
+  setupAnnotationOverlay();
+  setupAnnotationControls();
+
+  // Runs ahead of the actor drag and camera style so a placement click does not rotate anything
+  interactor.onLeftButtonPress((callData) => {
+    if (!annotationState.placing) return undefined;
+    placeAnnotation(callData);
+    setPlacingAnnotation(false);
+    return macro.EVENT_ABORT;
+  }, 1.0);
+
+  yAnnotations.observe(() => renderAnnotations());
+  renderAnnotations();
+}
+
+// ----------------------------------------------------------------------------
+// Point Processing Functions
+// ----------------------------------------------------------------------------
+
+async function extractPointsFromPolyData(polyData) {
+  const points = polyData.getPoints();
+  if (!points) return null;
+  
+  const pointsArray = points.getData();
+  const numPoints = points.getNumberOfPoints();
+  
+  logProgress(`Extracting ${numPoints.toLocaleString()} points...`);
+  
+  const pointsMatrix = [];
+  for (let i = 0; i < numPoints; i++) {
+    const point = [
+      pointsArray[i * 3],
+      pointsArray[i * 3 + 1],
+      pointsArray[i * 3 + 2]
+    ];
+    pointsMatrix.push(point);
+  }
+  
+  return pointsMatrix;
+}
+
+function applyReductionToPolyData(polyData, reducedPoints) {
+  logProgress('Applying transformed points to visualization...');
+  
+  const points = polyData.getPoints();
+  const pointsArray = points.getData();
+  const numPoints = points.getNumberOfPoints();
+  
+  // Check if this is a 2D result (all Z coordinates are 0)
+  const is2D = reducedPoints.every(point => point.length >= 3 && point[2] === 0);
+  
+  for (let i = 0; i < numPoints; i++) {
+    pointsArray[i * 3] = reducedPoints[i][0];
+    pointsArray[i * 3 + 1] = reducedPoints[i][1];
+    pointsArray[i * 3 + 2] = reducedPoints[i].length > 2 ? reducedPoints[i][2] : 0;
+  }
+  
+  points.setData(pointsArray);
+  points.modified();
+  polyData.modified();
+  polyData.getBounds();
+  
+  if (is2D) {
+    logSuccess('Applied 2D visualization - all points in XY plane (Z=0)');
+    // Set up 2D viewing - position camera to look down at XY plane
+    setup2DView();
+  } else {
+    logSuccess('Applied 3D visualization with transformed points');
+  }
+}
+
+function setup2DView() {
+  // Position camera to look down at the XY plane for 2D visualization
+  // const camera = renderer.getActiveCamera();
+  
+  // Get the bounds of the current data
+  const bounds = renderer.computeVisiblePropBounds();
+  const centerX = (bounds[0] + bounds[1]) / 2;
+  const centerY = (bounds[2] + bounds[3]) / 2;
+  const centerZ = 0; // Since all Z coordinates are 0
+  
+  const rangeX = bounds[1] - bounds[0];
+  const rangeY = bounds[3] - bounds[2];
+  const maxRange = Math.max(rangeX, rangeY);
+  
+  // Position camera directly above looking straight down
+  camera.setPosition(centerX, centerY, maxRange * 2);
+  camera.setFocalPoint(centerX, centerY, centerZ);
+  camera.setViewUp(0, 1, 0); // Y axis points up
+  
+  // Force orthographic (parallel) projection for true 2D
+  camera.setParallelProjection(true);
+  camera.setParallelScale(maxRange * 0.55);
+
+  // ----------------
+  // DO NOT TOUCH INTERACTOR CODE BELOW: it doesn't work
+  // ----------------
+  
+  // Disable 3D interactions to keep it 2D
+  // const interactor = renderWindow.getInteractor();
+  // const interactorStyle = interactor.getInteractorStyle();
+  
+  // // Store original interaction state
+  // if (!window.original3DInteractionState) {
+  //   window.original3DInteractionState = {
+  //     leftButtonAction: interactorStyle.getLeftButtonAction(),
+  //     middleButtonAction: interactorStyle.getMiddleButtonAction(),
+  //     rightButtonAction: interactorStyle.getRightButtonAction()
+  //   };
+  // }
+  
+  // // Set 2D interaction style - only allow pan and zoom, no rotation
+  // interactorStyle.setLeftButtonAction('Pan');
+  // interactorStyle.setMiddleButtonAction('Zoom');
+  // interactorStyle.setRightButtonAction('Pan');
+  
+  // Force render
+  renderWindow.render();
+  
+  logProgress('Locked to 2D viewing mode (no rotation, orthographic projection)');
+}
+
+function restore3DView() {
+  // const camera = renderer.getActiveCamera();
+  // const interactor = renderWindow.getInteractor();
+  const interactorStyle = interactor.getInteractorStyle();
+  
+  // Restore perspective projection
+  camera.setParallelProjection(false);
+
+  // ----------------
+  // DO NOT TOUCH INTERACTOR CODE BELOW: it doesn't work
+  // ----------------
+  
+  // // Restore 3D interactions
+  // if (window.original3DInteractionState) {
+  //   interactorStyle.setLeftButtonAction(window.original3DInteractionState.leftButtonAction);
+  //   interactorStyle.setMiddleButtonAction(window.original3DInteractionState.middleButtonAction);
+  //   interactorStyle.setRightButtonAction(window.original3DInteractionState.rightButtonAction);
+  // } else {
+  //   // Default 3D interaction
+  //   interactorStyle.setLeftButtonAction('Rotate');
+  //   interactorStyle.setMiddleButtonAction('Zoom');
+  //   interactorStyle.setRightButtonAction('Pan');
+  // }
+  
+  logProgress('Restored 3D viewing mode (rotation enabled, perspective projection)');
+}
+
+// ----------------------------------------------------------------------------
+// Main Dimensionality Reduction Function
+// ----------------------------------------------------------------------------
 
 async function toggleDimensionalityReduction(isRemote = false) {
+  if (!isRemote && !requireRole('editor', 'change the reduction')) return;
   if (!originalPointsData) {
     logError('No data loaded for processing');
-    alert('Please load a VTP file first!');
+    alert('Please load a dataset first!');
+    return;
+  }
+  
+  const currentPolyData = mapper.getInputData();
+  
+  if (!reductionApplied) {
+    logInfo(`Starting ${reductionMethod.toUpperCase()} transformation...`);
+    logProgress(`Target: ${reductionComponents}D reduction`);
+    logMemoryUsage('before reduction');
+    
+    try {
+      const pointsMatrix = await extractPointsFromPolyData(currentPolyData);
+      if (!pointsMatrix) {
+        logError('Failed to extract points from polydata');
+        return;
+      }
+      
+      logProgress(`Processing ${pointsMatrix.length.toLocaleString()} points`);
+      
+      let reducedPoints;
+      const startTime = performance.now();
+      
+      logProgress(`Executing ${reductionMethod.toUpperCase()} with ${reductionComponents}D target...`);
+      
+      if (reductionMethod === 'pca') {
+        reducedPoints = await performPCA(pointsMatrix, reductionComponents);
+        logSuccess(`PCA completed - output has ${reducedPoints[0].length} dimensions`);
+      } else if (reductionMethod === 'tsne') {
+        const tsneOptions = {
+          perplexity: Math.min(10.0, Math.floor(pointsMatrix.length / 6)),
+          maxIterations: 300,
+          learningRate: 100.0
+        };
+        logProgress(`t-SNE options: perplexity=${tsneOptions.perplexity}, target=${reductionComponents}D`);
+        reducedPoints = await performTSNE(pointsMatrix, reductionComponents, tsneOptions);
+        logSuccess(`t-SNE completed - output has ${reducedPoints[0].length} dimensions`);
+        
+        // Verify we got the expected dimensions
+        if (reductionComponents === 2 && reducedPoints[0].length === 3) {
+          logProgress('t-SNE 2D result padded to 3D for visualization (Z=0)');
+        }
+      } else if (reductionMethod === 'umap') {
+        // Get UMAP parameters from UI if available
+        const umapNeighborsInput = document.querySelector('.umap-neighbors-input');
+        const umapMinDistInput = document.querySelector('.umap-mindist-input');
+        
+        const nNeighbors = umapNeighborsInput ? parseInt(umapNeighborsInput.value) : 8;
+        const minDist = umapMinDistInput ? parseFloat(umapMinDistInput.value) : 0.1;
+        
+        const umapOptions = {
+          nNeighbors: nNeighbors,
+          minDist: minDist,
+          nEpochs: 200
+        };
+        
+        logProgress(`UMAP options: neighbors=${nNeighbors}, min_dist=${minDist}, target=${reductionComponents}D`);
+        reducedPoints = await performUMAP(pointsMatrix, reductionComponents, umapOptions);
+        logSuccess(`UMAP completed - output has ${reducedPoints[0].length} dimensions`);
+        
+        // Verify we got the expected dimensions
+        if (reductionComponents === 2 && reducedPoints[0].length === 3) {
+          logProgress('UMAP 2D result padded to 3D for visualization (Z=0)');
+        }
+      }
+      
+      const endTime = performance.now();
+      const processingTime = ((endTime - startTime) / 1000).toFixed(2);
+      
+      // Log original and new bounds
+      const originalBounds = currentPolyData.getBounds();
+      logProgress(`Original bounds: X[${originalBounds[0].toFixed(2)}, ${originalBounds[1].toFixed(2)}] Y[${originalBounds[2].toFixed(2)}, ${originalBounds[3].toFixed(2)}] Z[${originalBounds[4].toFixed(2)}, ${originalBounds[5].toFixed(2)}]`);
+      
+      applyReductionToPolyData(currentPolyData, reducedPoints);
+      reductionApplied = true;
+
+      // Update the reduction state in other tabs
+      // sendReductionState();
+      
+      const newBounds = currentPolyData.getBounds();
+      logProgress(`New bounds: X[${newBounds[0].toFixed(2)}, ${newBounds[1].toFixed(2)}] Y[${newBounds[2].toFixed(2)}, ${newBounds[3].toFixed(2)}] Z[${newBounds[4].toFixed(2)}, ${newBounds[5].toFixed(2)}]`);
+      
+      logSuccess(`${reductionMethod.toUpperCase()} reduction completed in ${processingTime}s`);
+      logInfo(`Visualization updated with ${reductionComponents}D data`);
+      logMemoryUsage('after reduction complete');
+      
+      // Clean up tensors if using TensorFlow.js
+      if (reductionMethod === 'pca') {
+        cleanupTensors();
+      }
+      
+    } catch (error) {
+      logError(`${reductionMethod.toUpperCase()} reduction failed: ${error.message}`);
+      logWarning('Try reloading the file or using a different method');
+      logMemoryUsage('after error');
+      
+      // Clean up on error
+      if (reductionMethod === 'pca') {
+        cleanupTensors();
+      }
+      return;
+    }
+  } else {
+    logInfo('Restoring original data...');
+    
+    const points = currentPolyData.getPoints();
+    points.setData(originalPointsData);
+    currentPolyData.modified();
+    reductionApplied = false;
+
+    // Sync reset with other tabs
+    // sendReductionState();
+    
+    // Reset to 3D perspective view when restoring original data
+    restore3DView();
+    
+    logSuccess('Original data restored successfully');
+    
+    // Clean up any remaining tensors
+    cleanupTensors();
+  }
+  
+  mapper.setInputData(currentPolyData);
+  showDatasetTiles(!reductionApplied);
+  showImageView(!reductionApplied);
+  
+  // Always reset camera after data changes
+  renderer.resetCamera();
+  renderWindow.render();
+
+  // Only broadcast if this toggle came from *local user*, not from Yjs
+  if (!isRemote) {
+    yReduction.set('state', {
+      applied: reductionApplied,
+      method: reductionMethod,
+      components: reductionComponents,
+    });
+  }
+
+  
+  logInfo('Visualization refreshed');
+  logProgress(`Current state: ${reductionApplied ? `${reductionMethod.toUpperCase()} ${reductionComponents}D` : 'Original 3D'}`);
+}
+
+// ----------------------------------------------------------------------------
+// Yjs Observer: Toggle Reduction
+// ----------------------------------------------------------------------------
+
+
+function onReductionChange(event) {
+  if (event.target.doc !== getSceneDoc()) return;
+  // event.transaction.local === true if *this tab* made the change; undo/redo is local
+  // too but has not been applied to the scene yet
+  if (event.transaction.local && event.transaction.origin !== undoManager) {
+    logInfo('this is the host tab!');
+    // Don't run toggle here — we already applied it locally
+    return;
+  }
+
+  // No state (first toggle undone) means the original data
+  const state = event.target.get('state') || {
+    applied: false,
+    method: reductionMethod,
+    components: reductionComponents
+  };
+
+  logInfo("reduction observed from another tab!");
+
+
+  const applied = state.applied;
+  const method = state.method;
+  const components = state.components;
+
+  if (applied !== undefined && method && components) {
+    logInfo("if (applied !== undefined && method && components)");
+    if (applied && !reductionApplied) {
+      logInfo("if (applied && !reductionApplied)");
+      reductionMethod = method;
+      reductionComponents = components;
+      toggleDimensionalityReduction(true);
+    } else if (!applied && reductionApplied) {
+      logInfo("else if (!applied && reductionApplied)")
+      toggleDimensionalityReduction(true);
+    }
+    else{
+      logInfo("none of the above");
+      logInfo(`applied: ${applied} reductionApplied: ${reductionApplied}`)
+    }
+  }
+}
+
+yReduction.observe(onReductionChange);
+
+
+// ----------------------------------------------------------------------------
+// Create an Orientation Marker
+// ----------------------------------------------------------------------------
+
+function createOrientationMarker(){
+  // create axes
+  axes = vtkAnnotatedCubeActor.newInstance();
+  axes.setDefaultStyle({
+    text: '+X',
+    fontStyle: 'bold',
+    fontFamily: 'Arial',
+    fontColor: 'black',
+    fontSizeScale: (res) => res / 2,
+    faceColor: '#0000ff',
+    faceRotation: 0,
+    edgeThickness: 0.1,
+    edgeColor: 'black',
+    resolution: 400,
+  });
+  // axes.setXPlusFaceProperty({ text: '+X' });
+  axes.setXMinusFaceProperty({
+    text: '-X',
+    faceColor: '#ffff00',
+    faceRotation: 90,
+    fontStyle: 'italic',
+  });
+  axes.setYPlusFaceProperty({
+    text: '+Y',
+    faceColor: '#00ff00',
+    fontSizeScale: (res) => res / 4,
+  });
+  axes.setYMinusFaceProperty({
+    text: '-Y',
+    faceColor: '#00ffff',
+    fontColor: 'white',
+  });
+  axes.setZPlusFaceProperty({
+    text: '+Z',
+    edgeColor: 'yellow',
+  });
+  axes.setZMinusFaceProperty({ text: '-Z', faceRotation: 45, edgeThickness: 0 });
+  axesPosition = axes.getPosition();
+
+  // create orientation widget
+  const orientationWidget = vtkOrientationMarkerWidget.newInstance({
+    actor: axes,
+    interactor: interactor,
+  });
+  orientationWidget.setEnabled(true);
+  orientationWidget.setViewportCorner(
+    vtkOrientationMarkerWidget.Corners.BOTTOM_RIGHT
+  );
+  orientationWidget.setViewportSize(0.10);
+  orientationWidget.setMinPixelSize(100);
+  orientationWidget.setMaxPixelSize(300);
+}
+
+// ----------------------------------------------------------------------------
+// Local Dataset Cache (IndexedDB, keyed by SHA-256)
+// ----------------------------------------------------------------------------
+
+const DATASET_CACHE_DB = 'vtk-dataset-cache';
+const DATASET_CACHE_STORE = 'datasets';
+// Oldest entries are evicted once the cache holds more than this
+const DATASET_CACHE_MAX_BYTES = 1024 * 1024 * 1024;
+
+let datasetCacheDB = null;
+
+function openDatasetCache() {
+  if (datasetCacheDB) return datasetCacheDB;
+
+  datasetCacheDB = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = window.indexedDB.open(DATASET_CACHE_DB, 1);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(DATASET_CACHE_STORE, { keyPath: 'id' });
+      store.createIndex('storedAt', 'storedAt');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return datasetCacheDB;
+}
+
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function getCachedDataset(id) {
+  try {
+    const db = await openDatasetCache();
+    const entry = await idbRequest(
+      db.transaction(DATASET_CACHE_STORE).objectStore(DATASET_CACHE_STORE).get(id)
+    );
+    return entry ? entry.data : null;
+  } catch (error) {
+    logWarning(`Dataset cache lookup failed: ${error.message}`);
+    return null;
+  }
+}
+
+async function putCachedDataset(dataset, fileData) {
+  try {
+    const db = await openDatasetCache();
+    const store = db.transaction(DATASET_CACHE_STORE, 'readwrite').objectStore(DATASET_CACHE_STORE);
+    await idbRequest(store.put({
+      id: dataset.id,
+      name: dataset.name,
+      size: fileData.byteLength,
+      data: fileData,
+      storedAt: Date.now()
+    }));
+    await evictCachedDatasets(db);
+    logProgress(`Cached ${dataset.name} locally (${dataset.id.slice(0, 12)})`);
+  } catch (error) {
+    logWarning(`Could not cache ${dataset.name}: ${error.message}`);
+  }
+}
+
+async function evictCachedDatasets(db) {
+  const store = db.transaction(DATASET_CACHE_STORE, 'readwrite').objectStore(DATASET_CACHE_STORE);
+  // Walk newest to oldest and drop whatever no longer fits
+  const entries = await idbRequest(store.index('storedAt').getAll());
+  let total = 0;
+  for (let i = entries.length - 1; i >= 0; i--) {
+    total += entries[i].size;
+    if (total > DATASET_CACHE_MAX_BYTES) {
+      store.delete(entries[i].id);
+      logProgress(`Evicted ${entries[i].name} from local cache`);
+    }
+  }
+}
+
+// ----------------------------------------------------------------------------
+// Dataset Transfer (chunked, content-addressed)
+// ----------------------------------------------------------------------------
+
+const DATASET_CHUNK_SIZE = 1024 * 1024;
+const TRANSFER_MAX_ATTEMPTS = 5;
+
+// Chunks fetched so far, keyed by hash, so an interrupted download resumes where it stopped
+const downloadedChunks = new Map();
+
+function toHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function sha256Hex(buffer) {
+  // crypto.subtle only exists in secure contexts (https or localhost)
+  if (window.crypto && window.crypto.subtle) {
+    return toHex(new Uint8Array(await window.crypto.subtle.digest('SHA-256', buffer)));
+  }
+  return toHex(sha256Digest(new Uint8Array(buffer)));
+}
+
+function showTransferProgress(label, fraction) {
+  const row = document.querySelector('.transfer-row');
+  if (!row) return;
+  row.style.display = 'table-row';
+  row.querySelector('.transfer-label').textContent = label;
+  row.querySelector('.transfer-progress').value = fraction;
+}
+
+function hideTransferProgress() {
+  const row = document.querySelector('.transfer-row');
+  if (row) row.style.display = 'none';
+}
+
+// Retries a transfer step with exponential backoff; each step skips work already done
+async function withTransferRetries(description, step) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await step();
+    } catch (error) {
+      // Retrying cannot fix a missing login
+      if (attempt >= TRANSFER_MAX_ATTEMPTS || error.status === 401) throw error;
+      const delay = 500 * 2 ** (attempt - 1);
+      logWarning(`${description} failed (${error.message}), resuming in ${delay}ms (attempt ${attempt + 1}/${TRANSFER_MAX_ATTEMPTS})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+async function fetchOrThrow(url, options) {
+  const response = await fetch(url, withAuthHeaders(options));
+  if (!response.ok) {
+    let message = `HTTP ${response.status}`;
+    try {
+      message = (await response.json()).error || message;
+    } catch (e) {
+      // Not a JSON error body
+    }
+    if (response.status === 401) {
+      showLoginPrompt(message);
+    }
+    throw Object.assign(new Error(message), { status: response.status });
+  }
+  return response;
+}
+
+async function buildManifest(name, fileData) {
+  const chunks = [];
+  for (let offset = 0; offset < fileData.byteLength; offset += DATASET_CHUNK_SIZE) {
+    const bytes = fileData.slice(offset, offset + DATASET_CHUNK_SIZE);
+    chunks.push({ hash: await sha256Hex(bytes), size: bytes.byteLength, bytes });
+  }
+  return {
+    id: await sha256Hex(fileData),
+    name,
+    size: fileData.byteLength,
+    chunks
+  };
+}
+
+async function uploadDataset(name, fileData) {
+  logProgress(`Hashing ${name} into ${Math.ceil(fileData.byteLength / DATASET_CHUNK_SIZE)} chunks...`);
+  const manifest = await buildManifest(name, fileData);
+  const { id } = manifest;
+
+  await withTransferRetries(`Upload of ${name}`, async () => {
+    // The server answers with the chunks it still lacks, which makes retries resume
+    const response = await fetchOrThrow(`${YJS_HTTP_URL}/datasets/${id}/manifest`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name,
+        size: manifest.size,
+        chunks: manifest.chunks.map(({ hash, size }) => ({ hash, size }))
+      })
+    });
+    const { missing } = await response.json();
+    const missingSet = new Set(missing);
+    const pending = manifest.chunks.filter(chunk => missingSet.has(chunk.hash));
+
+    if (pending.length === 0) {
+      logInfo(`Server already has all chunks of ${name}`);
+      return;
+    }
+
+    const totalBytes = pending.reduce((sum, chunk) => sum + chunk.size, 0);
+    let sentBytes = 0;
+    for (const chunk of pending) {
+      await fetchOrThrow(`${YJS_HTTP_URL}/chunks/${chunk.hash}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: chunk.bytes
+      });
+      missingSet.delete(chunk.hash);
+      sentBytes += chunk.size;
+      showTransferProgress(`Uploading ${name}: ${(sentBytes / 1024).toFixed(0)} / ${(totalBytes / 1024).toFixed(0)} KB`, sentBytes / totalBytes);
+    }
+    logSuccess(`Uploaded ${pending.length} chunk(s) of ${name}`);
+  });
+
+  hideTransferProgress();
+  return {
+    id,
+    name,
+    size: manifest.size,
+    chunkCount: manifest.chunks.length
+  };
+}
+
+async function downloadDataset(dataset) {
+  const cached = await getCachedDataset(dataset.id);
+  if (cached) {
+    logSuccess(`Loaded ${dataset.name} from local cache`);
+    return cached;
+  }
+
+  logInfo(`Downloading shared dataset ${dataset.name} (${(dataset.size / 1024).toFixed(1)} KB)`);
+  if (dataset.url) return downloadDatasetFromUrl(dataset);
+
+  // Chunks this download put in downloadedChunks; they only need to outlive the retries
+  const chunkHashes = new Set();
+  let fileData;
+  try {
+    fileData = await withTransferRetries(`Download of ${dataset.name}`, async () => {
+      const response = await fetchOrThrow(`${YJS_HTTP_URL}/datasets/${dataset.id}/manifest`);
+      const manifest = await response.json();
+      if (manifest.missing.length > 0) {
+        throw new Error(`server is still missing ${manifest.missing.length} chunk(s)`);
+      }
+
+      const result = new Uint8Array(manifest.size);
+      let offset = 0;
+      for (const chunk of manifest.chunks) {
+        let bytes = downloadedChunks.get(chunk.hash);
+        if (!bytes) {
+          const chunkResponse = await fetchOrThrow(`${YJS_HTTP_URL}/chunks/${chunk.hash}`);
+          bytes = await chunkResponse.arrayBuffer();
+          if (await sha256Hex(bytes) !== chunk.hash) {
+            throw new Error(`chunk ${chunk.hash.slice(0, 12)} is corrupted`);
+          }
+          downloadedChunks.set(chunk.hash, bytes);
+          chunkHashes.add(chunk.hash);
+        }
+        result.set(new Uint8Array(bytes), offset);
+        offset += chunk.size;
+        showTransferProgress(`Downloading ${dataset.name}: ${(offset / 1024).toFixed(0)} / ${(manifest.size / 1024).toFixed(0)} KB`, offset / manifest.size);
+      }
+      return result.buffer;
+    });
+  } finally {
+    // Whether the file is complete or the retries gave up, the chunk copies are no longer needed
+    chunkHashes.forEach(hash => downloadedChunks.delete(hash));
+  }
+
+  hideTransferProgress();
+  // Chunks match the manifest, but only the whole file proves the manifest is this dataset's
+  const actualId = await sha256Hex(fileData);
+  if (actualId !== dataset.id) {
+    throw new Error(`downloaded bytes hash to ${actualId.slice(0, 12)}, not the dataset id ${dataset.id.slice(0, 12)}`);
+  }
+  logSuccess(`Downloaded ${dataset.name}`);
+  putCachedDataset(dataset, fileData);
+  return fileData;
+}
+
+async function shareDataset(name, fileData) {
+  try {
+    const dataset = await uploadDataset(name, fileData);
+    currentDatasetId = dataset.id;
+    // We show the full dataset; asking for the level and tile indexes makes the server
+    // build them now rather than when the first collaborator needs them
+    if (hasServerLevels(dataset)) {
+      resetLodStreaming(dataset, 100);
+      fetchOrThrow(`${YJS_HTTP_URL}/datasets/${dataset.id}/lod`).catch(error => {
+        logWarning(`Server could not decimate ${name}: ${error.message}`);
+      });
+      fetchOrThrow(`${YJS_HTTP_URL}/datasets/${dataset.id}/tiles`).catch(error => {
+        logWarning(`Server could not tile ${name}: ${error.message}`);
+      });
+    } else {
+      resetLodStreaming(null);
+    }
+    renderAnnotations();
+    putCachedDataset(dataset, fileData);
+    // The server may still hold the bytes of a legacy base64 upload; drop them
+    ydoc.transact(() => {
+      yFile.delete('polydata');
+      yFile.set('dataset', dataset);
+    });
+    logSuccess(`Shared ${name} with the room`);
+  } catch (error) {
+    hideTransferProgress();
+    logError(`Could not share ${name} with the room: ${error.message}`);
+  }
+}
+
+// ----------------------------------------------------------------------------
+// Datasets by URL (bundled samples, links and ?data=)
+// ----------------------------------------------------------------------------
+
+// A dataset loaded from a URL is shared as { id, name, size, url }: collaborators fetch
+// it from the URL themselves, so its bytes are never uploaded. Samples are shared as
+// /samples/<name> paths, which each client resolves against its own YJS_HTTP_URL. The
+// server never stores these datasets, so they have no LOD levels or tiles.
+const SAMPLE_NAME_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9_.-]{0,127}$/;
+
+// Accepts a sample name or an absolute http(s) URL; returns null for anything else
+function toDatasetUrl(value) {
+  const trimmed = value.trim();
+  if (SAMPLE_NAME_PATTERN.test(trimmed)) return `/samples/${trimmed}`;
+  try {
+    const url = new URL(trimmed);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function resolveDatasetUrl(url) {
+  return new URL(url, YJS_HTTP_URL).href;
+}
+
+function getNameFromUrl(url) {
+  const segments = new URL(resolveDatasetUrl(url)).pathname.split('/').filter(Boolean);
+  if (segments.length === 0) return 'dataset';
+  const segment = segments[segments.length - 1];
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    // A malformed escape; the raw segment still names the file well enough
+    return segment;
+  }
+}
+
+// Fetching a URL on another host tells that host our IP address, so collaborators are
+// asked once per origin before following a link an owner shared
+const approvedDatasetOrigins = new Set([new URL(YJS_HTTP_URL).origin]);
+
+function confirmDatasetOrigin(url, name) {
+  const { origin } = new URL(resolveDatasetUrl(url));
+  if (approvedDatasetOrigins.has(origin)) return;
+  if (!window.confirm(`The room shared ${name} from ${origin}. Download it from there? That host will see your IP address.`)) {
+    throw new Error(`download from ${origin} was declined`);
+  }
+  approvedDatasetOrigins.add(origin);
+}
+
+// Sent without credentials, as the URL may point to any host
+async function fetchDatasetUrl(url, name) {
+  const response = await fetch(resolveDatasetUrl(url));
+  if (!response.ok) {
+    throw Object.assign(new Error(`HTTP ${response.status}`), { status: response.status });
+  }
+  // Content-Length counts compressed bytes when the response is compressed, so it only
+  // drives the progress bar
+  const total = Number(response.headers.get('Content-Length'));
+  if (!response.body || !total) return response.arrayBuffer();
+
+  const chunks = [];
+  let received = 0;
+  const reader = response.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.byteLength;
+    showTransferProgress(`Downloading ${name}: ${(received / 1024).toFixed(0)} / ${(total / 1024).toFixed(0)} KB`, Math.min(received / total, 1));
+  }
+
+  const bytes = new Uint8Array(received);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return bytes.buffer;
+}
+
+async function downloadDatasetFromUrl(dataset) {
+  confirmDatasetOrigin(dataset.url, dataset.name);
+  const fileData = await withTransferRetries(`Download of ${dataset.name}`, () => fetchDatasetUrl(dataset.url, dataset.name));
+  hideTransferProgress();
+  // The content at a URL can change after it was shared; show it anyway, but do not cache
+  // it under an id it no longer has
+  if (await sha256Hex(fileData) === dataset.id) {
+    putCachedDataset(dataset, fileData);
+  } else {
+    logWarning(`${dataset.name} has changed at ${dataset.url} since it was shared; showing its current content`);
+  }
+  logSuccess(`Downloaded ${dataset.name}`);
+  return fileData;
+}
+
+async function loadDatasetFromUrl(url) {
+  if (!requireRole('owner', 'load datasets')) return;
+  const shared = yFile.get('dataset');
+  if (!isAddingToScene() && shared && shared.url === url && shared.id === currentDatasetId) {
+    logInfo(`${shared.name} is already loaded from ${url}`);
+    return;
+  }
+
+  const name = getNameFromUrl(url);
+  logInfo(`Loading ${name} from ${resolveDatasetUrl(url)}`);
+  // The owner picked this URL themselves
+  approvedDatasetOrigins.add(new URL(resolveDatasetUrl(url)).origin);
+  try {
+    const fileData = await withTransferRetries(`Download of ${name}`, () => fetchDatasetUrl(url, name));
+    hideTransferProgress();
+    const dataset = { id: await sha256Hex(fileData), name, size: fileData.byteLength, url };
+    const parsed = await parseDataset(fileData, name);
+    if (isAddingToScene()) {
+      addLayer(parsed, name, async () => {
+        putCachedDataset(dataset, fileData);
+        return dataset;
+      });
+      return;
+    }
+
+    clearSceneLayers();
+    currentDatasetId = dataset.id;
+    updateScene(parsed, name);
+    resetLodStreaming(null);
+    putCachedDataset(dataset, fileData);
+    yFile.set('dataset', dataset);
+    logSuccess(`Shared a link to ${name} with the room`);
+  } catch (error) {
+    hideTransferProgress();
+    if (!isParseCancelled(error)) {
+      logError(`Failed to load ${url}: ${error.message}`);
+    }
+  }
+}
+
+async function refreshSampleList() {
+  try {
+    const response = await fetchOrThrow(`${YJS_HTTP_URL}/samples`);
+    const { samples } = await response.json();
+    const sampleList = document.querySelector('.sample-list');
+    sampleList.querySelectorAll('option[value]:not([value=""])').forEach(option => option.remove());
+    samples.forEach(sample => {
+      const option = document.createElement('option');
+      option.value = sample.url;
+      option.textContent = `${sample.name} (${(sample.size / 1024).toFixed(0)} KB)`;
+      sampleList.appendChild(option);
+    });
+  } catch (error) {
+    logWarning(`Could not list sample datasets: ${error.message}`);
+  }
+}
+
+function loadDatasetFromInput(value) {
+  const url = toDatasetUrl(value);
+  if (!url) {
+    logWarning(`"${value}" is neither a sample name nor an http(s) URL`);
+    return;
+  }
+  loadDatasetFromUrl(url);
+}
+
+function setupDatasetBrowser() {
+  const sampleList = document.querySelector('.sample-list');
+  const urlInput = document.querySelector('.dataset-url');
+
+  document.querySelector('.load-sample').addEventListener('click', () => {
+    if (sampleList.value) {
+      loadDatasetFromUrl(sampleList.value);
+    } else {
+      logWarning('Pick a sample dataset first');
+    }
+  });
+  urlInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') loadDatasetFromInput(urlInput.value);
+  });
+  document.querySelector('.load-url').addEventListener('click', () => loadDatasetFromInput(urlInput.value));
+
+  refreshSampleList();
+}
+
+// ?data=earth.vtp (a sample) or ?data=<http(s) URL> is loaded once the room state, and with
+// it this user's role, has arrived
+let dataParameterHandled = false;
+
+provider.on('sync', (isSynced) => {
+  if (!isSynced || dataParameterHandled) return;
+  dataParameterHandled = true;
+  const value = new URLSearchParams(window.location.search).get('data');
+  if (value) loadDatasetFromInput(value);
+});
+
+// ----------------------------------------------------------------------------
+// Scene Outline (several datasets, each with its own actor)
+// ----------------------------------------------------------------------------
+
+// The primary dataset (yFile) keeps the features built around it: LOD streaming, tiles,
+// image views, reduction and annotations. Datasets added next to it are layers, listed
+// in yLayers (owners) and drawn with their own actor. Visibility, representation, color,
+// opacity and transform of every outline entry live in yLayerProps (editors), keyed by
+// layer id or PRIMARY_LAYER_ID; the primary's orientation and representation stay in
+// yActor. Hidden entries leave the renderer, so culling, LOD and gaze prefetch only
+// work on what is shown.
+const PRIMARY_LAYER_ID = 'primary';
+const DEFAULT_LAYER_PROPS = {
+  visible: true,
+  representation: 2,
+  color: '#ffffff',
+  opacity: 1,
+  position: [0, 0, 0],
+  orientation: [0, 0, 0],
+  scale: 1
+};
+
+const sceneOutline = {
+  // Layer id -> { id, name, dataset, actor, mapper, pending }; pending layers are still
+  // being shared and are not in yLayers yet
+  layers: new Map(),
+  primaryName: null,
+  primaryVisible: true,
+  // Entries whose property panel is open, kept across re-renders
+  expanded: new Set()
+};
+
+function createLayerId() {
+  return `layer-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function getLayerProps(id) {
+  return { ...DEFAULT_LAYER_PROPS, ...(getSceneMap('layerProps').get(id) || {}) };
+}
+
+function getVisibleLayers() {
+  return [...sceneOutline.layers.values()].filter(layer => layer.actor && getLayerProps(layer.id).visible);
+}
+
+// Adds a dataset to the scene when "Add to scene" is ticked and there is a primary one
+function isAddingToScene() {
+  const checkbox = document.querySelector('.add-to-scene');
+  return Boolean(checkbox && checkbox.checked && currentActor);
+}
+
+// Tiles and image views take the main actor's place as before when the primary is shown
+function setPrimaryVisible(visible) {
+  sceneOutline.primaryVisible = visible;
+  if (!visible) {
+    showDatasetTiles(false);
+    showImageView(false);
+    renderer.removeActor(actor);
+    return;
+  }
+  if (!datasetTiles.shown && !imageScene.shown) renderer.addActor(actor);
+  showDatasetTiles(!reductionApplied);
+  showImageView(!reductionApplied);
+}
+
+function applyLayerProps(id) {
+  const props = getLayerProps(id);
+  const isPrimary = id === PRIMARY_LAYER_ID;
+  const layer = sceneOutline.layers.get(id);
+  const target = isPrimary ? currentActor : layer && layer.actor;
+  if (!target) return;
+
+  const property = target.getProperty();
+  property.setColor(...hexToRgb(props.color));
+  property.setOpacity(props.opacity);
+  target.setPosition(...props.position);
+  target.setScale(props.scale, props.scale, props.scale);
+  if (isPrimary) {
+    setPrimaryVisible(props.visible);
+    updateAnnotationMarkers();
+  } else {
+    property.setRepresentation(props.representation);
+    target.setOrientation(...props.orientation);
+    if (props.visible) {
+      renderer.addActor(target);
+    } else {
+      renderer.removeActor(target);
+    }
+  }
+  applyLayerColoring(id);
+  applyClipToEntry(id);
+  renderer.resetCameraClippingRange();
+}
+
+function setLayerProps(id, changes) {
+  if (!requireRole('editor', 'change datasets in the scene')) {
+    renderSceneOutline();
+    return;
+  }
+  yLayerProps.set(id, { ...(yLayerProps.get(id) || {}), ...changes });
+}
+
+// Image data has no volume or slice views as a layer, only its sample points
+function attachLayerActor(layer, parsed) {
+  const polyData = parsed.data.isA('vtkImageData') ? sampleImagePoints(parsed.data) : parsed.data;
+  layer.mapper = vtkMapper.newInstance();
+  layer.mapper.setInputData(polyData);
+  layer.actor = vtkActor.newInstance();
+  layer.actor.setMapper(layer.mapper);
+  // Rotation and scale pivot around the dataset's center
+  const bounds = polyData.getBounds();
+  layer.actor.setOrigin((bounds[0] + bounds[1]) / 2, (bounds[2] + bounds[3]) / 2, (bounds[4] + bounds[5]) / 2);
+  applyLayerProps(layer.id);
+  if (viewportCuller.enabled) performViewportCulling();
+  updateLODForAllObjects();
+  renderWindow.render();
+}
+
+// Shows the dataset right away; share() uploads it or turns its URL into a dataset reference
+async function addLayer(parsed, name, share) {
+  const layer = { id: createLayerId(), name, dataset: null, actor: null, mapper: null, pending: true };
+  sceneOutline.layers.set(layer.id, layer);
+  attachLayerActor(layer, parsed);
+  renderSceneOutline();
+  logSuccess(`Added ${name} to the scene (${sceneOutline.layers.size + 1} datasets)`);
+
+  try {
+    layer.dataset = await share();
+    layer.pending = false;
+    // The entry may have been removed while it was uploading
+    if (sceneOutline.layers.get(layer.id) !== layer) return;
+    yLayers.set(layer.id, { id: layer.id, dataset: layer.dataset, addedAt: Date.now() });
+    logSuccess(`Shared ${name} with the room`);
+  } catch (error) {
+    hideTransferProgress();
+    logError(`Could not share ${name} with the room: ${error.message}`);
+  }
+}
+
+async function loadLayer(entry) {
+  const layer = { id: entry.id, name: entry.dataset.name, dataset: entry.dataset, actor: null, mapper: null, pending: false };
+  sceneOutline.layers.set(layer.id, layer);
+  renderSceneOutline();
+  try {
+    const fileData = await downloadDataset(entry.dataset);
+    const parsed = await parseDataset(fileData, entry.dataset.name);
+    if (sceneOutline.layers.get(layer.id) !== layer) return;
+    attachLayerActor(layer, parsed);
+    renderSceneOutline();
+  } catch (error) {
+    if (!isParseCancelled(error)) {
+      logError(`Failed to load ${entry.dataset.name}: ${error.message}`);
+    }
+  }
+}
+
+function removeLayerActor(id) {
+  const layer = sceneOutline.layers.get(id);
+  if (!layer) return;
+  if (layer.actor) renderer.removeActor(layer.actor);
+  sceneOutline.layers.delete(id);
+  sceneOutline.expanded.delete(id);
+  forgetLayerColoring(id);
+  removeClipCut(id);
+}
+
+function removeLayer(id) {
+  if (!requireRole('owner', 'remove datasets')) return;
+  const layer = sceneOutline.layers.get(id);
+  ydoc.transact(() => {
+    yLayers.delete(id);
+    yLayerProps.delete(id);
+  });
+  removeLayerActor(id);
+  renderSceneOutline();
+  renderWindow.render();
+  if (layer) logInfo(`Removed ${layer.name} from the scene`);
+}
+
+// Loading a dataset without "Add to scene" replaces the whole scene, layers included
+function clearSceneLayers() {
+  ydoc.transact(() => {
+    [...yLayers.keys()].forEach(id => {
+      yLayers.delete(id);
+      yLayerProps.delete(id);
+    });
+  });
+  [...sceneOutline.layers.keys()].forEach(removeLayerActor);
+  renderSceneOutline();
+}
+
+// Brings the layers on screen in line with the shared list
+function onLayersChange(event) {
+  if (event.target.doc !== getSceneDoc()) return;
+  const entries = event.target;
+  [...sceneOutline.layers.values()].forEach(layer => {
+    const entry = entries.get(layer.id);
+    if (!layer.pending && (!entry || entry.dataset.id !== layer.dataset.id)) removeLayerActor(layer.id);
+  });
+  entries.forEach((entry, id) => {
+    if (!sceneOutline.layers.has(id)) loadLayer(entry);
+  });
+  renderSceneOutline();
+  renderWindow.render();
+}
+
+function onLayerPropsChange(event) {
+  if (event.target.doc !== getSceneDoc()) return;
+  event.keysChanged.forEach(id => applyLayerProps(id));
+  renderSceneOutline();
+  renderWindow.render();
+}
+
+yLayers.observe(onLayersChange);
+yLayerProps.observe(onLayerPropsChange);
+
+function createVectorInputs(values, onChange) {
+  const inputs = values.map(value => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = 'any';
+    input.value = String(Math.round(value * 1000) / 1000);
+    input.dataset.requiresRole = 'editor';
+    input.disabled = !canPerform('editor');
+    input.style.cssText = 'width: 33%; min-width: 0; box-sizing: border-box;';
+    return input;
+  });
+  inputs.forEach(input => input.addEventListener('change', () => {
+    const vector = inputs.map(candidate => Number(candidate.value));
+    if (vector.every(Number.isFinite)) onChange(vector);
+  }));
+  return inputs;
+}
+
+function createOutlineField(label, ...controls) {
+  const field = document.createElement('div');
+  field.style.cssText = 'display: flex; align-items: center; gap: 4px; margin-top: 3px;';
+  const caption = document.createElement('span');
+  caption.textContent = label;
+  caption.style.cssText = 'width: 64px; flex-shrink: 0;';
+  field.appendChild(caption);
+  const group = document.createElement('div');
+  group.style.cssText = 'display: flex; gap: 2px; flex: 1; min-width: 0;';
+  controls.forEach(control => group.appendChild(control));
+  field.appendChild(group);
+  return field;
+}
+
+function createOutlineEntry(id, name, props, layer) {
+  const isPrimary = id === PRIMARY_LAYER_ID;
+  const editable = canPerform('editor');
+  const entry = document.createElement('details');
+  entry.open = sceneOutline.expanded.has(id);
+  entry.style.cssText = 'padding: 2px 0; border-bottom: 1px solid #ddd;';
+  entry.addEventListener('toggle', () => {
+    if (entry.open) sceneOutline.expanded.add(id);
+    else sceneOutline.expanded.delete(id);
+  });
+
+  const summary = document.createElement('summary');
+  summary.style.cssText = 'display: flex; align-items: center; gap: 4px; cursor: pointer;';
+  const visible = document.createElement('input');
+  visible.type = 'checkbox';
+  visible.checked = props.visible;
+  visible.title = 'Visible';
+  visible.dataset.requiresRole = 'editor';
+  visible.disabled = !editable;
+  visible.addEventListener('click', e => e.stopPropagation());
+  visible.addEventListener('change', () => setLayerProps(id, { visible: visible.checked }));
+  const label = document.createElement('span');
+  label.style.cssText = `flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;${isPrimary ? ' font-weight: bold;' : ''}`;
+  label.textContent = layer && !layer.actor ? `${name} (loading...)` : name;
+  label.title = isPrimary ? `${name} (primary dataset)` : name;
+  summary.appendChild(visible);
+  summary.appendChild(label);
+  if (!isPrimary) {
+    const remove = document.createElement('button');
+    remove.textContent = 'x';
+    remove.title = 'Remove from the scene';
+    remove.dataset.requiresRole = 'owner';
+    remove.disabled = !canPerform('owner');
+    remove.addEventListener('click', (e) => {
+      e.preventDefault();
+      removeLayer(id);
+    });
+    summary.appendChild(remove);
+  }
+  entry.appendChild(summary);
+
+  const representation = document.createElement('select');
+  ['Points', 'Wireframe', 'Surface'].forEach((text, value) => {
+    const option = document.createElement('option');
+    option.value = String(value);
+    option.textContent = text;
+    representation.appendChild(option);
+  });
+  representation.style.cssText = 'flex: 1; min-width: 0;';
+  representation.dataset.requiresRole = 'editor';
+  representation.disabled = !editable;
+  const color = document.createElement('input');
+  color.type = 'color';
+  color.value = props.color;
+  color.dataset.requiresRole = 'editor';
+  color.disabled = !editable;
+  const opacity = document.createElement('input');
+  opacity.type = 'range';
+  opacity.min = '0';
+  opacity.max = '1';
+  opacity.step = '0.05';
+  opacity.value = String(props.opacity);
+  opacity.style.cssText = 'flex: 1; min-width: 0;';
+  opacity.dataset.requiresRole = 'editor';
+  opacity.disabled = !editable;
+  const scale = document.createElement('input');
+  scale.type = 'number';
+  scale.min = '0.001';
+  scale.step = 'any';
+  scale.value = String(props.scale);
+  scale.style.cssText = 'width: 100%; min-width: 0; box-sizing: border-box;';
+  scale.dataset.requiresRole = 'editor';
+  scale.disabled = !editable;
+
+  color.addEventListener('change', () => setLayerProps(id, { color: color.value }));
+  opacity.addEventListener('change', () => setLayerProps(id, { opacity: Number(opacity.value) }));
+  scale.addEventListener('change', () => {
+    if (Number(scale.value) > 0) setLayerProps(id, { scale: Number(scale.value) });
+  });
+  const position = createVectorInputs(props.position, vector => setLayerProps(id, { position: vector }));
+
+  // The primary's orientation and representation are shared through yActor, as before
+  let orientation;
+  if (isPrimary) {
+    representation.value = String(actor.getProperty().getRepresentation());
+    representation.addEventListener('change', () => {
+      if (!requireRole('editor', 'change the representation')) return;
+      yActor.set('representation', Number(representation.value));
+    });
+    orientation = createVectorInputs(actor.getOrientation(), vector => {
+      if (requireRole('editor', 'rotate the dataset')) yActor.set('orientation', vector);
+    });
+  } else {
+    representation.value = String(props.representation);
+    representation.addEventListener('change', () => setLayerProps(id, { representation: Number(representation.value) }));
+    orientation = createVectorInputs(props.orientation, vector => setLayerProps(id, { orientation: vector }));
+  }
+
+  entry.appendChild(createOutlineField('Show as', representation));
+  entry.appendChild(createOutlineField('Color', color, opacity));
+  createColoringFields(id).forEach(field => entry.appendChild(field));
+  entry.appendChild(createOutlineField('Position', ...position));
+  entry.appendChild(createOutlineField('Rotation', ...orientation));
+  entry.appendChild(createOutlineField('Scale', scale));
+  return entry;
+}
+
+function renderSceneOutline() {
+  const list = document.getElementById('scene-outline');
+  // Remote edits re-render often; do not pull an input away from under the cursor
+  if (!list || list.contains(document.activeElement)) return;
+
+  list.innerHTML = '';
+  if (currentActor) {
+    list.appendChild(createOutlineEntry(PRIMARY_LAYER_ID, sceneOutline.primaryName || 'Dataset', getLayerProps(PRIMARY_LAYER_ID)));
+  }
+  sceneOutline.layers.forEach(layer => {
+    list.appendChild(createOutlineEntry(layer.id, layer.name, getLayerProps(layer.id), layer));
+  });
+  if (list.children.length === 0) {
+    list.textContent = 'No datasets loaded';
+  }
+}
+
+function setupSceneOutline() {
+  const list = document.getElementById('scene-outline');
+  // Catch up on what was skipped while an input had focus
+  list.addEventListener('focusout', () => setTimeout(renderSceneOutline));
+  renderSceneOutline();
+}
+
+// ----------------------------------------------------------------------------
+// Color by Data Arrays
+// ----------------------------------------------------------------------------
+
+// Every outline entry can be colored by one of its point or cell arrays instead of its
+// solid color. The choice is the entry's coloring property in yLayerProps: the array
+// ('point:<name>' or 'cell:<name>', null for the solid color), the vector component
+// (-1 for the magnitude), a colormap preset, a fixed range (null follows the array's own
+// range) and whether the entry shows the scalar bar. One entry at a time shows it.
+const COLORMAP_PRESETS = [
+  'Cool to Warm',
+  'Viridis (matplotlib)',
+  'Inferno (matplotlib)',
+  'Plasma (matplotlib)',
+  'Black-Body Radiation',
+  'erdc_rainbow_bright',
+  'Grayscale',
+  'X Ray'
+];
+const DEFAULT_COLORING = {
+  array: null,
+  component: -1,
+  preset: COLORMAP_PRESETS[0],
+  range: null,
+  scalarBar: false
+};
+const COMPONENT_LABELS = ['X', 'Y', 'Z'];
+
+const dataColoring = {
+  // Entry id -> lookup table shared by the entry's mappers, tiles included
+  lookupTables: new Map(),
+  // Entry id -> title of the array it is colored by, for the scalar bar
+  titles: new Map(),
+  scalarBar: null
+};
+
+function getOutlineIds() {
+  return [...(currentActor ? [PRIMARY_LAYER_ID] : []), ...sceneOutline.layers.keys()];
+}
+
+// The primary's main mapper holds the coarse overview while tiles show, which has the same arrays
+function getColoringData(id) {
+  if (id === PRIMARY_LAYER_ID) return currentActor ? mapper.getInputData() : null;
+  const layer = sceneOutline.layers.get(id);
+  return layer && layer.mapper ? layer.mapper.getInputData() : null;
+}
+
+function getColoringMappers(id) {
+  if (id === PRIMARY_LAYER_ID) return [mapper, ...datasetTiles.tiles.map(tile => tile.mapper)];
+  const layer = sceneOutline.layers.get(id);
+  return layer && layer.mapper ? [layer.mapper] : [];
+}
+
+function getColorableArrays(data) {
+  if (!data) return [];
+  return [['point', data.getPointData()], ['cell', data.getCellData()]].flatMap(([location, fields]) =>
+    fields.getArrays()
+      .filter(array => array.getName() && array.getNumberOfTuples() > 0)
+      .map(array => ({
+        key: `${location}:${array.getName()}`,
+        location,
+        name: array.getName(),
+        components: array.getNumberOfComponents()
+      })));
+}
+
+function findColoringArray(data, key) {
+  if (!data || !key) return null;
+  const separator = key.indexOf(':');
+  const fields = key.slice(0, separator) === 'cell' ? data.getCellData() : data.getPointData();
+  return fields.getArrayByName(key.slice(separator + 1));
+}
+
+// Entries nobody has colored yet keep what the mapper did before: the active point scalars
+function getLayerColoring(id) {
+  const stored = getLayerProps(id).coloring;
+  if (stored) return { ...DEFAULT_COLORING, ...stored };
+  const data = getColoringData(id);
+  const scalars = data && data.getPointData().getScalars();
+  return { ...DEFAULT_COLORING, array: scalars && scalars.getName() ? `point:${scalars.getName()}` : null };
+}
+
+function setLayerColoring(id, changes) {
+  setLayerProps(id, { coloring: { ...getLayerColoring(id), ...changes } });
+}
+
+// Single-component arrays map their values; vectors map a component or the magnitude
+function getColoringComponent(array, component) {
+  const components = array.getNumberOfComponents();
+  return components === 1 ? 0 : Math.min(component, components - 1);
+}
+
+function getArrayRange(array, component) {
+  // getRange() hands out a tuple it reuses, so copy it
+  const [min, max] = array.getRange(component);
+  return max > min ? [min, max] : [min, min + 1];
+}
+
+function getColoringTitle(array, component) {
+  if (array.getNumberOfComponents() === 1) return array.getName();
+  if (component < 0) return `${array.getName()} (magnitude)`;
+  return `${array.getName()} ${COMPONENT_LABELS[component] || component}`;
+}
+
+function applyLayerColoring(id) {
+  const mappers = getColoringMappers(id);
+  const coloring = getLayerColoring(id);
+  const array = findColoringArray(getColoringData(id), coloring.array);
+  if (!array) {
+    mappers.forEach(entryMapper => entryMapper.setScalarVisibility(false));
+    dataColoring.titles.delete(id);
+    updateScalarBar();
     return;
   }
-  
-  const currentPolyData = vtpReader.getOutputData(0);
-  
-  if (!reductionApplied) {
-    logInfo(`Starting ${reductionMethod.toUpperCase()} transformation...`);
-    logProgress(`Target: ${reductionComponents}D reduction`);
-    logMemoryUsage('before reduction');
-    
-    try {
-      const pointsMatrix = await extractPointsFromPolyData(currentPolyData);
-      if (!pointsMatrix) {
-        logError('Failed to extract points from polydata');
-        return;
+
+  const component = getColoringComponent(array, coloring.component);
+  const [min, max] = coloring.range || getArrayRange(array, component);
+  let lookupTable = dataColoring.lookupTables.get(id);
+  if (!lookupTable) {
+    lookupTable = vtkColorTransferFunction.newInstance();
+    dataColoring.lookupTables.set(id, lookupTable);
+  }
+  lookupTable.applyColorMap(vtkColorMaps.getPresetByName(coloring.preset) || vtkColorMaps.getPresetByName(DEFAULT_COLORING.preset));
+  lookupTable.setMappingRange(min, max);
+  if (component < 0) {
+    lookupTable.setVectorModeToMagnitude();
+  } else {
+    lookupTable.setVectorModeToComponent();
+    lookupTable.setVectorComponent(component);
+  }
+
+  const isCellArray = coloring.array.startsWith('cell:');
+  mappers.forEach(entryMapper => {
+    entryMapper.setLookupTable(lookupTable);
+    entryMapper.setUseLookupTableScalarRange(true);
+    entryMapper.setColorByArrayName(array.getName());
+    if (isCellArray) {
+      entryMapper.setScalarModeToUseCellFieldData();
+    } else {
+      entryMapper.setScalarModeToUsePointFieldData();
+    }
+    entryMapper.setColorModeToMapScalars();
+    entryMapper.setScalarVisibility(true);
+  });
+  dataColoring.titles.set(id, getColoringTitle(array, component));
+  updateScalarBar();
+}
+
+function forgetLayerColoring(id) {
+  dataColoring.lookupTables.delete(id);
+  dataColoring.titles.delete(id);
+  updateScalarBar();
+}
+
+// Shows the scalar bar of the first visible entry that asks for it
+function updateScalarBar() {
+  const id = getOutlineIds().find(candidate => dataColoring.titles.has(candidate) &&
+    getLayerProps(candidate).visible && getLayerColoring(candidate).scalarBar);
+  if (!id) {
+    if (dataColoring.scalarBar) renderer.removeActor(dataColoring.scalarBar);
+    return;
+  }
+  if (!dataColoring.scalarBar) {
+    dataColoring.scalarBar = vtkScalarBarActor.newInstance();
+    sceneHelperActors.add(dataColoring.scalarBar);
+  }
+  dataColoring.scalarBar.setScalarsToColors(dataColoring.lookupTables.get(id));
+  dataColoring.scalarBar.setAxisLabel(dataColoring.titles.get(id));
+  renderer.addActor(dataColoring.scalarBar);
+}
+
+// Turning the scalar bar on for one entry turns it off for the others
+function setScalarBarEntry(id, shown) {
+  if (!requireRole('editor', 'change the scalar bar')) {
+    renderSceneOutline();
+    return;
+  }
+  ydoc.transact(() => {
+    if (shown) {
+      getOutlineIds()
+        .filter(other => other !== id && getLayerColoring(other).scalarBar)
+        .forEach(other => setLayerColoring(other, { scalarBar: false }));
+    }
+    setLayerColoring(id, { scalarBar: shown });
+  });
+}
+
+function createOutlineSelect(options, value, onChange) {
+  const select = document.createElement('select');
+  options.forEach(({ value: optionValue, text }) => {
+    const option = document.createElement('option');
+    option.value = String(optionValue);
+    option.textContent = text;
+    select.appendChild(option);
+  });
+  select.value = String(value);
+  select.style.cssText = 'flex: 1; min-width: 0;';
+  select.dataset.requiresRole = 'editor';
+  select.disabled = !canPerform('editor');
+  select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+// The "Color by" fields of an outline entry; the rest only show while an array is chosen
+function createColoringFields(id) {
+  const coloring = getLayerColoring(id);
+  const data = getColoringData(id);
+  // A choice made for an earlier primary dataset may name an array this one lacks
+  const array = findColoringArray(data, coloring.array);
+  const colorBy = createOutlineSelect([
+    { value: '', text: 'Solid color' },
+    ...getColorableArrays(data).map(({ key, location, name }) => ({ value: key, text: `${name} (${location})` }))
+  ], array ? coloring.array : '', value => setLayerColoring(id, { array: value || null, component: -1, range: null }));
+  const fields = [createOutlineField('Color by', colorBy)];
+  if (!array) return fields;
+
+  const components = array.getNumberOfComponents();
+  const component = getColoringComponent(array, coloring.component);
+  if (components > 1) {
+    const options = [{ value: -1, text: 'Magnitude' }];
+    for (let index = 0; index < components; index++) {
+      options.push({ value: index, text: COMPONENT_LABELS[index] || `Component ${index}` });
+    }
+    fields.push(createOutlineField('Component', createOutlineSelect(options, component,
+      value => setLayerColoring(id, { component: Number(value), range: null }))));
+  }
+
+  const preset = createOutlineSelect(COLORMAP_PRESETS.map(name => ({ value: name, text: name })), coloring.preset,
+    value => setLayerColoring(id, { preset: value }));
+  fields.push(createOutlineField('Colormap', preset));
+
+  // A fixed range shows as typed; otherwise the inputs show the array's range
+  const range = createVectorInputs(coloring.range || getArrayRange(array, component), ([min, max]) => {
+    if (min < max) {
+      setLayerColoring(id, { range: [min, max] });
+    } else {
+      logWarning('The range minimum must be below its maximum');
+    }
+  });
+  const auto = document.createElement('button');
+  auto.textContent = 'Auto';
+  auto.title = 'Follow the range of the data';
+  auto.dataset.requiresRole = 'editor';
+  auto.disabled = !canPerform('editor') || !coloring.range;
+  auto.addEventListener('click', () => setLayerColoring(id, { range: null }));
+  fields.push(createOutlineField('Range', ...range, auto));
+
+  const scalarBar = document.createElement('input');
+  scalarBar.type = 'checkbox';
+  scalarBar.checked = coloring.scalarBar;
+  scalarBar.dataset.requiresRole = 'editor';
+  scalarBar.disabled = !canPerform('editor');
+  scalarBar.addEventListener('change', () => setScalarBarEntry(id, scalarBar.checked));
+  fields.push(createOutlineField('Scalar bar', scalarBar));
+  return fields;
+}
+
+// ----------------------------------------------------------------------------
+// Clip Plane and Slices
+// ----------------------------------------------------------------------------
+
+// One plane cuts through the whole scene: the primary dataset (tiles and image views
+// included) and every layer. Its state is yClip's plane entry, so everyone sees the same
+// cut: { enabled, mode: 'clip' | 'slice', capping, origin, normal } in world coordinates.
+// Clipping happens on the GPU and keeps the side the normal points to. Caps and slices
+// are cut from each entry's polygons on the CPU and drawn by a helper actor that follows
+// the entry's pose and coloring; a slice hides the data by clipping it from both sides.
+const DEFAULT_CLIP_STATE = {
+  enabled: false,
+  mode: 'clip',
+  capping: false,
+  origin: null,
+  normal: [1, 0, 0]
+};
+// Dragging the plane writes its pose to the room at most this often
+const CLIP_SYNC_INTERVAL_MS = 100;
+const SLICE_LINE_WIDTH = 2;
+
+const clipPlane = {
+  plane: vtkPlane.newInstance(),
+  // The same plane facing the other way; with both, slice mode clips all of the data
+  backPlane: vtkPlane.newInstance(),
+  widgetManager: null,
+  widget: null,
+  viewWidget: null,
+  dragging: false,
+  syncTimer: null,
+  // Entry id -> { actor, mapper } drawing the entry's cap or slice
+  cuts: new Map()
+};
+
+function getClipState() {
+  return { ...DEFAULT_CLIP_STATE, ...(getSceneMap('clip').get('plane') || {}) };
+}
+
+// World bounds of everything with data on screen
+function getClipBounds() {
+  const bounds = [Infinity, -Infinity, Infinity, -Infinity, Infinity, -Infinity];
+  [...getDataActors(), ...renderer.getVolumes()].forEach(prop => {
+    const propBounds = prop.getBounds();
+    if (!propBounds || propBounds[0] > propBounds[1]) return;
+    for (let axis = 0; axis < 3; axis++) {
+      bounds[axis * 2] = Math.min(bounds[axis * 2], propBounds[axis * 2]);
+      bounds[axis * 2 + 1] = Math.max(bounds[axis * 2 + 1], propBounds[axis * 2 + 1]);
+    }
+  });
+  return bounds[0] <= bounds[1] ? bounds : null;
+}
+
+// Through the center of the scene, clipping away the half nearest to the camera
+function getDefaultClipPose() {
+  const bounds = getClipBounds();
+  const origin = bounds ? [0, 1, 2].map(axis => (bounds[axis * 2] + bounds[axis * 2 + 1]) / 2) : [0, 0, 0];
+  return { origin, normal: [...camera.getDirectionOfProjection()] };
+}
+
+function setClipState(changes) {
+  if (!requireRole('editor', 'change the clip plane')) {
+    updateClipControls();
+    return;
+  }
+  const state = { ...getClipState(), ...changes };
+  if (!state.origin) Object.assign(state, getDefaultClipPose());
+  yClip.set('plane', state);
+}
+
+function getImageViewMappers() {
+  return [imageScene.volume, imageScene.slice].filter(Boolean).map(prop => prop.getMapper());
+}
+
+function getOutlineActor(id) {
+  if (id === PRIMARY_LAYER_ID) return currentActor;
+  const layer = sceneOutline.layers.get(id);
+  return layer ? layer.actor : null;
+}
+
+function isOutlineEntryShown(id) {
+  return id === PRIMARY_LAYER_ID ? sceneOutline.primaryVisible : getLayerProps(id).visible;
+}
+
+// The world plane in an actor's model coordinates, where its data is cut
+function getModelPlane(target, { origin, normal }) {
+  // vtk.js matrices are row-major; gl-matrix expects column-major
+  const matrix = mat4.transpose(mat4.create(), target.getMatrix());
+  const inverse = mat4.invert(mat4.create(), matrix);
+  // Normals go through the transpose of the inverse of the model-to-world transform
+  const normalMatrix = mat3.transpose(mat3.create(), mat3.fromMat4(mat3.create(), matrix));
+  return {
+    origin: Array.from(vec3.transformMat4(vec3.create(), origin, inverse)),
+    normal: Array.from(vec3.transformMat3(vec3.create(), normal, normalMatrix))
+  };
+}
+
+// Intersects the polygons and triangle strips of polyData with a plane. Crossing points
+// are shared by neighboring cells, so the segments join into polylines (closed loops for
+// closed surfaces). The array named by arrayKey ('point:<name>' or 'cell:<name>') comes
+// along, point values interpolated and cell values copied, so the cut can be colored too.
+function cutPolyData(polyData, origin, normal, arrayKey) {
+  const points = polyData.getPoints().getData();
+  const pointCount = polyData.getNumberOfPoints();
+  const distances = new Float64Array(pointCount);
+  for (let i = 0; i < pointCount; i++) {
+    distances[i] = (points[i * 3] - origin[0]) * normal[0] +
+      (points[i * 3 + 1] - origin[1]) * normal[1] +
+      (points[i * 3 + 2] - origin[2]) * normal[2];
+  }
+
+  const array = findColoringArray(polyData, arrayKey);
+  const isCellArray = Boolean(array) && arrayKey.startsWith('cell:');
+  const components = array ? array.getNumberOfComponents() : 0;
+  const values = array ? array.getData() : null;
+  const cutPoints = [];
+  const cutValues = [];
+  const lines = [];
+  // Edge (low * pointCount + high) -> id of its crossing point
+  const crossings = new Map();
+
+  const crossEdge = (a, b) => {
+    const low = Math.min(a, b);
+    const high = Math.max(a, b);
+    const key = low * pointCount + high;
+    let id = crossings.get(key);
+    if (id === undefined) {
+      id = cutPoints.length / 3;
+      const t = distances[low] / (distances[low] - distances[high]);
+      for (let axis = 0; axis < 3; axis++) {
+        cutPoints.push(points[low * 3 + axis] + t * (points[high * 3 + axis] - points[low * 3 + axis]));
       }
-      
-      logProgress(`Processing ${pointsMatrix.length.toLocaleString()} points`);
-      
-      let reducedPoints;
-      const startTime = performance.now();
-      
-      logProgress(`Executing ${reductionMethod.toUpperCase()} with ${reductionComponents}D target...`);
-      
-      if (reductionMethod === 'pca') {
-        reducedPoints = await performPCA(pointsMatrix, reductionComponents);
-        logSuccess(`PCA completed - output has ${reducedPoints[0].length} dimensions`);
-      } else if (reductionMethod === 'tsne') {
-        const tsneOptions = {
-          perplexity: Math.min(10.0, Math.floor(pointsMatrix.length / 6)),
-          maxIterations: 300,
-          learningRate: 100.0
-        };
-        logProgress(`t-SNE options: perplexity=${tsneOptions.perplexity}, target=${reductionComponents}D`);
-        reducedPoints = await performTSNE(pointsMatrix, reductionComponents, tsneOptions);
-        logSuccess(`t-SNE completed - output has ${reducedPoints[0].length} dimensions`);
-        
-        // Verify we got the expected dimensions
-        if (reductionComponents === 2 && reducedPoints[0].length === 3) {
-          logProgress('t-SNE 2D result padded to 3D for visualization (Z=0)');
-        }
-      } else if (reductionMethod === 'umap') {
-        // Get UMAP parameters from UI if available
-        const umapNeighborsInput = document.querySelector('.umap-neighbors-input');
-        const umapMinDistInput = document.querySelector('.umap-mindist-input');
-        
-        const nNeighbors = umapNeighborsInput ? parseInt(umapNeighborsInput.value) : 8;
-        const minDist = umapMinDistInput ? parseFloat(umapMinDistInput.value) : 0.1;
-        
-        const umapOptions = {
-          nNeighbors: nNeighbors,
-          minDist: minDist,
-          nEpochs: 200
-        };
-        
-        logProgress(`UMAP options: neighbors=${nNeighbors}, min_dist=${minDist}, target=${reductionComponents}D`);
-        reducedPoints = await performUMAP(pointsMatrix, reductionComponents, umapOptions);
-        logSuccess(`UMAP completed - output has ${reducedPoints[0].length} dimensions`);
-        
-        // Verify we got the expected dimensions
-        if (reductionComponents === 2 && reducedPoints[0].length === 3) {
-          logProgress('UMAP 2D result padded to 3D for visualization (Z=0)');
+      if (array && !isCellArray) {
+        for (let c = 0; c < components; c++) {
+          cutValues.push(values[low * components + c] + t * (values[high * components + c] - values[low * components + c]));
         }
       }
-      
-      const endTime = performance.now();
-      const processingTime = ((endTime - startTime) / 1000).toFixed(2);
-      
-      // Log original and new bounds
-      const originalBounds = currentPolyData.getBounds();
-      logProgress(`Original bounds: X[${originalBounds[0].toFixed(2)}, ${originalBounds[1].toFixed(2)}] Y[${originalBounds[2].toFixed(2)}, ${originalBounds[3].toFixed(2)}] Z[${originalBounds[4].toFixed(2)}, ${originalBounds[5].toFixed(2)}]`);
-      
-      applyReductionToPolyData(currentPolyData, reducedPoints);
-      reductionApplied = true;
+      crossings.set(key, id);
+    }
+    return id;
+  };
 
-      // Update the reduction state in other tabs
-      // sendReductionState();
-      
-      const newBounds = currentPolyData.getBounds();
-      logProgress(`New bounds: X[${newBounds[0].toFixed(2)}, ${newBounds[1].toFixed(2)}] Y[${newBounds[2].toFixed(2)}, ${newBounds[3].toFixed(2)}] Z[${newBounds[4].toFixed(2)}, ${newBounds[5].toFixed(2)}]`);
-      
-      logSuccess(`${reductionMethod.toUpperCase()} reduction completed in ${processingTime}s`);
-      logInfo(`Visualization updated with ${reductionComponents}D data`);
-      logMemoryUsage('after reduction complete');
-      
-      // Clean up tensors if using TensorFlow.js
-      if (reductionMethod === 'pca') {
-        cleanupTensors();
+  const cutCell = (ids, cellIndex) => {
+    const cellCrossings = [];
+    for (let i = 0; i < ids.length; i++) {
+      const a = ids[i];
+      const b = ids[(i + 1) % ids.length];
+      if ((distances[a] >= 0) !== (distances[b] >= 0)) cellCrossings.push(crossEdge(a, b));
+    }
+    // A concave polygon can cross the plane more than twice
+    for (let i = 0; i + 1 < cellCrossings.length; i += 2) {
+      lines.push(2, cellCrossings[i], cellCrossings[i + 1]);
+      if (isCellArray) {
+        for (let c = 0; c < components; c++) cutValues.push(values[cellIndex * components + c]);
+      }
+    }
+  };
+
+  // Cell data is ordered verts, lines, polys, strips
+  let cellIndex = polyData.getNumberOfVerts() + polyData.getNumberOfLines();
+  const polys = polyData.getPolys().getData();
+  for (let offset = 0; offset < polys.length; offset += polys[offset] + 1) {
+    cutCell(polys.subarray(offset + 1, offset + 1 + polys[offset]), cellIndex++);
+  }
+  const strips = polyData.getStrips().getData();
+  for (let offset = 0; offset < strips.length; offset += strips[offset] + 1) {
+    for (let i = offset + 1; i + 2 <= offset + strips[offset]; i++) {
+      cutCell(strips.subarray(i, i + 3), cellIndex);
+    }
+    cellIndex++;
+  }
+
+  const cut = vtkPolyData.newInstance();
+  cut.getPoints().setData(Float32Array.from(cutPoints), 3);
+  cut.getLines().setData(Uint32Array.from(lines));
+  if (array) {
+    const fields = isCellArray ? cut.getCellData() : cut.getPointData();
+    fields.addArray(vtkDataArray.newInstance({
+      name: array.getName(),
+      numberOfComponents: components,
+      values: Float32Array.from(cutValues)
+    }));
+  }
+  return cut;
+}
+
+function removeClipCut(id) {
+  const cut = clipPlane.cuts.get(id);
+  if (!cut) return;
+  renderer.removeActor(cut.actor);
+  sceneHelperActors.delete(cut.actor);
+  clipPlane.cuts.delete(id);
+}
+
+// Clips the entry's mappers and redraws its cap or slice. Tiles are cut through the
+// coarse overview the main mapper keeps.
+function applyClipToEntry(id) {
+  const state = getClipState();
+  const mappers = [...getColoringMappers(id), ...(id === PRIMARY_LAYER_ID ? getImageViewMappers() : [])];
+  mappers.forEach(entryMapper => {
+    entryMapper.removeAllClippingPlanes();
+    if (!state.enabled) return;
+    entryMapper.addClippingPlane(clipPlane.plane);
+    if (state.mode === 'slice') entryMapper.addClippingPlane(clipPlane.backPlane);
+  });
+
+  const target = getOutlineActor(id);
+  const data = getColoringData(id);
+  const showsCut = state.enabled && (state.mode === 'slice' || state.capping);
+  if (!showsCut || !target || !data || !data.isA('vtkPolyData') || !isOutlineEntryShown(id)) {
+    removeClipCut(id);
+    return;
+  }
+
+  let cut = clipPlane.cuts.get(id);
+  if (!cut) {
+    cut = { mapper: vtkMapper.newInstance(), actor: vtkActor.newInstance() };
+    cut.actor.setMapper(cut.mapper);
+    sceneHelperActors.add(cut.actor);
+    clipPlane.cuts.set(id, cut);
+  }
+  const { origin, normal } = getModelPlane(target, state);
+  const lines = cutPolyData(data, origin, normal, getLayerColoring(id).array);
+  if (state.mode === 'slice') {
+    cut.mapper.setInputData(lines);
+  } else {
+    const triangulator = vtkContourTriangulator.newInstance();
+    triangulator.setInputData(lines);
+    cut.mapper.setInputData(triangulator.getOutputData());
+  }
+
+  // The cut is drawn in the entry's model coordinates, with its pose and coloring
+  cut.actor.setOrigin(...target.getOrigin());
+  cut.actor.setPosition(...target.getPosition());
+  cut.actor.setScale(...target.getScale());
+  cut.actor.setOrientation(...target.getOrientation());
+  const property = cut.actor.getProperty();
+  property.setColor(...target.getProperty().getColor());
+  property.setOpacity(target.getProperty().getOpacity());
+  property.setLineWidth(SLICE_LINE_WIDTH);
+  const source = target.getMapper();
+  cut.mapper.setLookupTable(source.getLookupTable());
+  cut.mapper.setUseLookupTableScalarRange(source.getUseLookupTableScalarRange());
+  cut.mapper.setColorByArrayName(source.getColorByArrayName());
+  cut.mapper.setScalarMode(source.getScalarMode());
+  cut.mapper.setColorMode(source.getColorMode());
+  cut.mapper.setScalarVisibility(source.getScalarVisibility());
+  renderer.addActor(cut.actor);
+}
+
+// Keeps the widget on the shared plane, unless this tab is dragging it
+function updateClipWidget(state) {
+  const { widgetManager, widget } = clipPlane;
+  if (!widgetManager) return;
+  if (!state.enabled) {
+    if (clipPlane.viewWidget) {
+      sceneHelperActors.delete(clipPlane.viewWidget);
+      widgetManager.removeWidget(widget);
+      widgetManager.disablePicking();
+      clipPlane.viewWidget = null;
+    }
+    return;
+  }
+  if (clipPlane.dragging) return;
+
+  const bounds = getClipBounds();
+  if (bounds) widget.placeWidget(bounds);
+  if (!clipPlane.viewWidget) {
+    clipPlane.viewWidget = widgetManager.addWidget(widget);
+    sceneHelperActors.add(clipPlane.viewWidget);
+    clipPlane.viewWidget.onInteractionEvent(onClipWidgetInteraction);
+    clipPlane.viewWidget.onEndInteractionEvent(onClipWidgetInteractionEnd);
+    widgetManager.enablePicking();
+  }
+  const widgetState = widget.getWidgetState();
+  widgetState.setOrigin(...state.origin);
+  widgetState.setNormal(...state.normal);
+}
+
+function updateClipControls() {
+  const state = getClipState();
+  document.querySelector('.clip-enabled').checked = state.enabled;
+  document.querySelector('.clip-mode').value = state.mode;
+  document.querySelector('.clip-capping').checked = state.capping;
+  // Slices have nothing to cap
+  document.querySelector('.clip-capping').disabled = !canPerform('editor') || state.mode === 'slice';
+}
+
+function applyClipPlane() {
+  const state = getClipState();
+  if (state.enabled) {
+    const normal = state.normal.map(component => -component);
+    clipPlane.plane.setOrigin(...state.origin);
+    clipPlane.plane.setNormal(...state.normal);
+    clipPlane.backPlane.setOrigin(...state.origin);
+    clipPlane.backPlane.setNormal(...normal);
+  }
+  getOutlineIds().forEach(applyClipToEntry);
+  updateClipWidget(state);
+  updateClipControls();
+  renderer.resetCameraClippingRange();
+  renderWindow.render();
+}
+
+function onClipChange(event) {
+  if (event.target.doc !== getSceneDoc()) return;
+  applyClipPlane();
+}
+
+yClip.observe(onClipChange);
+
+function sendClipWidgetPose() {
+  const widgetState = clipPlane.widget.getWidgetState();
+  setClipState({ origin: [...widgetState.getOrigin()], normal: [...widgetState.getNormal()] });
+}
+
+// The widget moves with the mouse; the cut follows as the pose reaches the shared state
+function onClipWidgetInteraction() {
+  if (!canPerform('editor')) return;
+  clipPlane.dragging = true;
+  if (clipPlane.syncTimer) return;
+  clipPlane.syncTimer = setTimeout(() => {
+    clipPlane.syncTimer = null;
+    sendClipWidgetPose();
+  }, CLIP_SYNC_INTERVAL_MS);
+}
+
+function onClipWidgetInteractionEnd() {
+  clearTimeout(clipPlane.syncTimer);
+  clipPlane.syncTimer = null;
+  clipPlane.dragging = false;
+  if (canPerform('editor')) {
+    sendClipWidgetPose();
+  } else {
+    // Viewers cannot move the plane; put the widget back where the room has it
+    requireRole('editor', 'move the clip plane');
+    updateClipWidget(getClipState());
+    renderWindow.render();
+  }
+}
+
+function setupClipPlane() {
+  // Picking for widgets renders extra passes, so it only runs while the plane is shown
+  clipPlane.widgetManager = vtkWidgetManager.newInstance({ pickingEnabled: false });
+  clipPlane.widgetManager.setRenderer(renderer);
+  clipPlane.widget = vtkImplicitPlaneWidget.newInstance();
+  clipPlane.widget.setPlaceFactor(1.1);
+
+  document.querySelector('.clip-enabled').addEventListener('change', (e) => setClipState({ enabled: e.target.checked }));
+  document.querySelector('.clip-mode').addEventListener('change', (e) => setClipState({ mode: e.target.value }));
+  document.querySelector('.clip-capping').addEventListener('change', (e) => setClipState({ capping: e.target.checked }));
+  document.querySelector('.clip-flip').addEventListener('click', () => {
+    const { normal } = getClipState();
+    setClipState({ normal: normal.map(component => -component) });
+  });
+  document.querySelector('.clip-reset').addEventListener('click', () => setClipState(getDefaultClipPose()));
+  applyClipPlane();
+}
+
+// ----------------------------------------------------------------------------
+// Octree Tiles (frustum-dependent streaming)
+// ----------------------------------------------------------------------------
+
+// The server splits large datasets into an octree of tiles (see tiling.js). Each tile
+// is its own actor, so viewport culling hides it like any other data actor. Every tile
+// starts from its coarse copy; only tiles intersecting the view frustum are fetched at
+// full resolution, and tiles that leave the view drop back to the coarse copy.
+// The main actor keeps the coarse overview for reduction and is hidden while tiles show.
+
+// Wait for the camera to settle before fetching tiles
+const TILE_REFRESH_DELAY_MS = 300;
+// Full tiles fetched at the same time
+const TILE_FETCH_CONCURRENCY = 2;
+
+const datasetTiles = {
+  enabled: true,
+  dataset: null,
+  // { id, bounds, cells, sizes, actor, mapper, coarse, level: 'coarse' | 'full', loading }
+  tiles: [],
+  shown: false,
+  refreshTimer: null,
+  fetchedBytes: 0
+};
+
+async function fetchTile(dataset, tile, resolution) {
+  const response = await fetchOrThrow(`${YJS_HTTP_URL}/datasets/${dataset.id}/tiles/${tile.id}/${resolution}`);
+  const fileData = await response.arrayBuffer();
+  datasetTiles.fetchedBytes += fileData.byteLength;
+  const { data } = await parseDataset(fileData, `tile ${tile.id} of ${dataset.name}`, { quiet: true });
+  return data;
+}
+
+// Tiles are positioned in the dataset's model coordinates, so they follow the main
+// actor's pose and appearance. Point size and line width stay per tile for the LOD system.
+function copyActorPose(prop) {
+  prop.setOrigin(...actor.getOrigin());
+  prop.setPosition(...actor.getPosition());
+  prop.setScale(...actor.getScale());
+  prop.setOrientation(...actor.getOrientation());
+}
+
+function syncTileTransforms() {
+  datasetTiles.tiles.forEach(tile => copyActorPose(tile.actor));
+}
+
+function syncTileProperties() {
+  const property = actor.getProperty();
+  datasetTiles.tiles.forEach(({ actor: tileActor }) => {
+    const tileProperty = tileActor.getProperty();
+    tileProperty.setRepresentation(property.getRepresentation());
+    tileProperty.setColor(...property.getColor());
+    tileProperty.setOpacity(property.getOpacity());
+    tileProperty.setEdgeVisibility(property.getEdgeVisibility());
+  });
+}
+
+function getTileWorldBounds(tile) {
+  const [xMin, xMax, yMin, yMax, zMin, zMax] = tile.bounds;
+  const bounds = [Infinity, -Infinity, Infinity, -Infinity, Infinity, -Infinity];
+  for (const x of [xMin, xMax]) {
+    for (const y of [yMin, yMax]) {
+      for (const z of [zMin, zMax]) {
+        modelToWorld([x, y, z]).forEach((value, axis) => {
+          bounds[axis * 2] = Math.min(bounds[axis * 2], value);
+          bounds[axis * 2 + 1] = Math.max(bounds[axis * 2 + 1], value);
+        });
+      }
+    }
+  }
+  return bounds;
+}
+
+// Actors the dataset is drawn with, for picking
+function getDatasetSurfaceActors() {
+  if (datasetTiles.shown) return datasetTiles.tiles.map(tile => tile.actor);
+  return currentActor ? [currentActor] : [];
+}
+
+// Reduced points only exist for the main actor, so it replaces the tiles while applied
+function showDatasetTiles(requested) {
+  // A primary dataset hidden in the scene outline shows neither tiles nor the main actor
+  const show = requested && sceneOutline.primaryVisible;
+  if (datasetTiles.tiles.length === 0 || show === datasetTiles.shown) return;
+  datasetTiles.shown = show;
+  datasetTiles.tiles.forEach(tile => {
+    if (show) renderer.addActor(tile.actor);
+    else renderer.removeActor(tile.actor);
+  });
+  if (show) {
+    renderer.removeActor(actor);
+    scheduleTileRefresh();
+  } else if (sceneOutline.primaryVisible) {
+    renderer.addActor(actor);
+  }
+  renderWindow.render();
+}
+
+function clearDatasetTiles() {
+  clearTimeout(datasetTiles.refreshTimer);
+  showDatasetTiles(false);
+  datasetTiles.dataset = null;
+  datasetTiles.tiles = [];
+  datasetTiles.fetchedBytes = 0;
+}
+
+// Returns false when the dataset is not tiled, so the caller loads it whole
+async function loadDatasetTiles(dataset) {
+  let index;
+  try {
+    const response = await fetchOrThrow(`${YJS_HTTP_URL}/datasets/${dataset.id}/tiles`);
+    index = await response.json();
+  } catch (error) {
+    logWarning(`${dataset.name} cannot be tiled (${error.message}); loading it whole`);
+    return false;
+  }
+  if (index.tiles.length === 0 || currentDatasetId !== dataset.id) return false;
+
+  // The coarsest pyramid level sets up the scene: camera, orientation marker, reduction input
+  const overviewData = await fetchLodLevel(dataset, getLevelPercent(lodSystem.levels[lodSystem.levels.length - 1].resolution));
+  if (currentDatasetId !== dataset.id) return true;
+  const overview = await parseDataset(overviewData, dataset.name);
+  if (currentDatasetId !== dataset.id) return true;
+  updateScene(overview, dataset.name);
+  // Tiles replace level switching for the whole mesh
+  resetLodStreaming(null);
+  onActorChange(createSyncEvent(getSceneMap('actor'), ['orientation', 'representation']));
+
+  const coarseBytes = index.tiles.reduce((sum, tile) => sum + tile.sizes.coarse, 0);
+  logInfo(`${dataset.name} is split into ${index.tiles.length} tiles; loading coarse copies (${(coarseBytes / 1024).toFixed(1)} KB)`);
+  const tiles = [];
+  for (const entry of index.tiles) {
+    showTransferProgress(`Loading ${dataset.name}: coarse tile ${tiles.length + 1}/${index.tiles.length}`, tiles.length / index.tiles.length);
+    const coarse = await fetchTile(dataset, entry, 'coarse');
+    if (currentDatasetId !== dataset.id) return true;
+
+    const tileMapper = vtkMapper.newInstance();
+    tileMapper.setInputData(coarse);
+    const tileActor = vtkActor.newInstance();
+    tileActor.setMapper(tileMapper);
+    tiles.push({ ...entry, actor: tileActor, mapper: tileMapper, coarse, level: 'coarse', loading: false });
+  }
+  hideTransferProgress();
+
+  datasetTiles.dataset = dataset;
+  datasetTiles.tiles = tiles;
+  syncTileTransforms();
+  syncTileProperties();
+  applyLayerColoring(PRIMARY_LAYER_ID);
+  applyClipToEntry(PRIMARY_LAYER_ID);
+  showDatasetTiles(!reductionApplied);
+  if (viewportCuller.enabled) performViewportCulling();
+  logSuccess(`Coarse tiles of ${dataset.name} loaded; full tiles follow the view`);
+  return true;
+}
+
+function scheduleTileRefresh() {
+  if (!datasetTiles.shown) return;
+  clearTimeout(datasetTiles.refreshTimer);
+  datasetTiles.refreshTimer = setTimeout(refreshDatasetTiles, TILE_REFRESH_DELAY_MS);
+}
+
+async function setTileLevel(tile, level) {
+  const { dataset } = datasetTiles;
+  if (level === 'coarse') {
+    tile.mapper.setInputData(tile.coarse);
+    tile.level = 'coarse';
+    return;
+  }
+
+  tile.loading = true;
+  try {
+    const full = await fetchTile(dataset, tile, 'full');
+    // The tile may have left the view, or the dataset may have changed, meanwhile
+    if (datasetTiles.dataset === dataset && isObjectInFrustum(getTileWorldBounds(tile))) {
+      tile.mapper.setInputData(full);
+      tile.level = 'full';
+    }
+  } catch (error) {
+    if (!isParseCancelled(error)) {
+      logWarning(`Could not load tile ${tile.id} of ${dataset.name}: ${error.message}`);
+    }
+  } finally {
+    tile.loading = false;
+  }
+}
+
+async function refreshDatasetTiles() {
+  const { dataset, tiles } = datasetTiles;
+  if (!datasetTiles.shown) return;
+
+  const wanted = tiles.filter(tile => isObjectInFrustum(getTileWorldBounds(tile)));
+  tiles.filter(tile => tile.level === 'full' && !wanted.includes(tile)).forEach(tile => setTileLevel(tile, 'coarse'));
+  const pending = wanted.filter(tile => tile.level !== 'full' && !tile.loading);
+  if (pending.length > 0) {
+    const bytes = pending.reduce((sum, tile) => sum + tile.sizes.full, 0);
+    logProgress(`Fetching ${pending.length} full tile(s) in view (${(bytes / 1024).toFixed(1)} KB)`);
+
+    let done = 0;
+    const queue = [...pending];
+    const work = async () => {
+      while (queue.length > 0 && datasetTiles.dataset === dataset) {
+        await setTileLevel(queue.shift(), 'full');
+        done++;
+        showTransferProgress(`Refining ${dataset.name}: tile ${done}/${pending.length}`, done / pending.length);
+        renderWindow.render();
       }
-      
-    } catch (error) {
-      logError(`${reductionMethod.toUpperCase()} reduction failed: ${error.message}`);
-      logWarning('Try reloading the file or using a different method');
-      logMemoryUsage('after error');
-      
-      // Clean up on error
-      if (reductionMethod === 'pca') {
-        cleanupTensors();
+    };
+    await Promise.all(Array.from({ length: Math.min(TILE_FETCH_CONCURRENCY, pending.length) }, work));
+    hideTransferProgress();
+  }
+
+  if (datasetTiles.dataset !== dataset) return;
+  const fullCount = tiles.filter(tile => tile.level === 'full').length;
+  const totalBytes = tiles.reduce((sum, tile) => sum + tile.sizes.full, 0);
+  logProgress(`Tiles: ${fullCount}/${tiles.length} at full resolution, ${(datasetTiles.fetchedBytes / 1024).toFixed(1)} KB fetched of ${(totalBytes / 1024).toFixed(1)} KB`);
+  renderWindow.render();
+}
+
+camera.onModified(scheduleTileRefresh);
+actor.onModified(() => {
+  syncTileTransforms();
+  syncImageTransforms();
+});
+actor.getProperty().onModified(syncTileProperties);
+
+// ----------------------------------------------------------------------------
+// Image Data (VTI): volume rendering and slices
+// ----------------------------------------------------------------------------
+
+// Image data is shown as a volume or as a slice along one of its axes. The main actor
+// holds the image's sample points (every point of small images, an even subset of large
+// ones), which the reduction tools work on, the annotations pick and the Points view
+// shows. Reduced coordinates only make sense as points, so the volume or slice gives
+// way to the main actor while a reduction is applied.
+const IMAGE_MAX_SAMPLE_POINTS = 100000;
+const IMAGE_VIEWS = ['volume', 'slice-i', 'slice-j', 'slice-k', 'points'];
+
+const imageScene = {
+  image: null,
+  view: 'volume',
+  // Slice per axis, in index space
+  slices: [0, 0, 0],
+  volume: null,
+  slice: null,
+  sliceMapper: null,
+  shown: false
+};
+
+// Point coordinates (and point data) on a regular subset of the image grid
+function sampleImagePoints(image) {
+  const dims = image.getDimensions();
+  const stride = Math.max(1, Math.ceil(Math.cbrt((dims[0] * dims[1] * dims[2]) / IMAGE_MAX_SAMPLE_POINTS)));
+  const counts = dims.map(dim => Math.ceil(dim / stride));
+  const sampleCount = counts[0] * counts[1] * counts[2];
+
+  const coordinates = new Float32Array(sampleCount * 3);
+  const sourceIndices = new Uint32Array(sampleCount);
+  const world = [0, 0, 0];
+  let sample = 0;
+  for (let k = 0; k < dims[2]; k += stride) {
+    for (let j = 0; j < dims[1]; j += stride) {
+      for (let i = 0; i < dims[0]; i += stride) {
+        image.indexToWorld([i, j, k], world);
+        coordinates.set(world, sample * 3);
+        sourceIndices[sample++] = i + dims[0] * (j + dims[1] * k);
       }
-      return;
     }
-  } else {
-    logInfo('Restoring original data...');
-    
-    const points = currentPolyData.getPoints();
-    points.setData(originalPointsData);
-    currentPolyData.modified();
-    reductionApplied = false;
+  }
 
-    // Sync reset with other tabs
-    // sendReductionState();
-    
-    // Reset to 3D perspective view when restoring original data
-    restore3DView();
-    
-    logSuccess('Original data restored successfully');
-    
-    // Clean up any remaining tensors
-    cleanupTensors();
+  const polyData = vtkPolyData.newInstance();
+  polyData.getPoints().setData(coordinates, 3);
+  const verts = new Uint32Array(sampleCount * 2);
+  for (let p = 0; p < sampleCount; p++) {
+    verts[p * 2] = 1;
+    verts[p * 2 + 1] = p;
+  }
+  polyData.getVerts().setData(verts);
+
+  const pointData = image.getPointData();
+  pointData.getArrays().forEach(array => {
+    const components = array.getNumberOfComponents();
+    const source = array.getData();
+    const values = new source.constructor(sampleCount * components);
+    sourceIndices.forEach((index, p) => {
+      for (let c = 0; c < components; c++) values[p * components + c] = source[index * components + c];
+    });
+    const sampled = vtkDataArray.newInstance({ name: array.getName(), numberOfComponents: components, values });
+    if (array === pointData.getScalars()) {
+      polyData.getPointData().setScalars(sampled);
+    } else {
+      polyData.getPointData().addArray(sampled);
+    }
+  });
+
+  if (stride > 1) {
+    logProgress(`Image sampled every ${stride} points: ${sampleCount.toLocaleString()} of ${(dims[0] * dims[1] * dims[2]).toLocaleString()}`);
+  }
+  return polyData;
+}
+
+// Cool-to-warm colors over the scalar range; opacity ramps up with the value
+function createImageTransferFunctions(range) {
+  const [min, max] = range;
+  const colors = vtkColorTransferFunction.newInstance();
+  colors.addRGBPoint(min, 0.23, 0.30, 0.75);
+  colors.addRGBPoint((min + max) / 2, 0.87, 0.87, 0.87);
+  colors.addRGBPoint(max, 0.71, 0.02, 0.15);
+  const opacity = vtkPiecewiseFunction.newInstance();
+  opacity.addPoint(min, 0.0);
+  opacity.addPoint(max, 0.8);
+  return { colors, opacity };
+}
+
+// Builds the volume and slice props and returns the polydata for the main actor
+function setupImageScene(image) {
+  const pointData = image.getPointData();
+  if (!pointData.getScalars()) {
+    const firstArray = pointData.getArrays()[0];
+    if (!firstArray) throw new Error('Image has no point data to render');
+    pointData.setScalars(firstArray);
+  }
+  const scalars = pointData.getScalars();
+  const { colors, opacity } = createImageTransferFunctions(scalars.getRange(0));
+
+  const volumeMapper = vtkVolumeMapper.newInstance();
+  volumeMapper.setInputData(image);
+  const volume = vtkVolume.newInstance();
+  volume.setMapper(volumeMapper);
+  volume.getProperty().setRGBTransferFunction(0, colors);
+  volume.getProperty().setScalarOpacity(0, opacity);
+  volume.getProperty().setInterpolationTypeToLinear();
+
+  const sliceMapper = vtkImageMapper.newInstance();
+  sliceMapper.setInputData(image);
+  const slice = vtkImageSlice.newInstance();
+  slice.setMapper(sliceMapper);
+  slice.getProperty().setRGBTransferFunction(0, colors);
+  slice.getProperty().setUseLookupTableScalarRange(true);
+
+  imageScene.image = image;
+  imageScene.volume = volume;
+  imageScene.slice = slice;
+  imageScene.sliceMapper = sliceMapper;
+  imageScene.slices = image.getDimensions().map(dim => Math.floor(dim / 2));
+  syncImageTransforms();
+
+  const dims = image.getDimensions();
+  logInfo(`Image data: ${dims.join(' × ')} points, scalars "${scalars.getName()}" in [${scalars.getRange(0).map(value => value.toFixed(3)).join(', ')}]`);
+  updateImageViewControls();
+  return sampleImagePoints(image);
+}
+
+function getImageProp() {
+  if (imageScene.view === 'volume') return imageScene.volume;
+  if (imageScene.view.startsWith('slice-')) return imageScene.slice;
+  return null;
+}
+
+// Shows the chosen view in place of the main actor (or the main actor itself)
+function showImageView(show) {
+  if (!imageScene.image) return;
+  renderer.removeVolume(imageScene.volume);
+  renderer.removeActor(imageScene.slice);
+
+  const prop = show && sceneOutline.primaryVisible ? getImageProp() : null;
+  imageScene.shown = Boolean(prop);
+  if (prop === imageScene.volume) {
+    renderer.addVolume(prop);
+  } else if (prop) {
+    const axis = 'ijk'.indexOf(imageScene.view.slice(-1));
+    imageScene.sliceMapper.setSlicingMode(axis);
+    imageScene.sliceMapper.setSlice(imageScene.slices[axis]);
+    renderer.addActor(prop);
+  }
+  if (prop) {
+    renderer.removeActor(actor);
+  } else if (sceneOutline.primaryVisible) {
+    renderer.addActor(actor);
   }
-  
-  mapper.setInputData(currentPolyData);
-  
-  // Always reset camera after data changes
-  renderer.resetCamera();
   renderWindow.render();
+}
 
-  // Only broadcast if this toggle came from *local user*, not from Yjs
-  if (!isRemote) {
-    yReduction.set('state', {
-      applied: reductionApplied,
-      method: reductionMethod,
-      components: reductionComponents,
-    });
+function setImageView(view) {
+  if (!IMAGE_VIEWS.includes(view)) return;
+  imageScene.view = view;
+  showImageView(!reductionApplied);
+  updateImageViewControls();
+}
+
+function setImageSlice(index) {
+  const axis = 'ijk'.indexOf(imageScene.view.slice(-1));
+  if (!imageScene.image || axis === -1) return;
+  imageScene.slices[axis] = index;
+  imageScene.sliceMapper.setSlice(index);
+  renderWindow.render();
+}
+
+function clearImageScene() {
+  if (!imageScene.image) return;
+  showImageView(false);
+  imageScene.image = null;
+  imageScene.volume = null;
+  imageScene.slice = null;
+  imageScene.sliceMapper = null;
+  updateImageViewControls();
+}
+
+function syncImageTransforms() {
+  [imageScene.volume, imageScene.slice].forEach(prop => {
+    if (prop) copyActorPose(prop);
+  });
+}
+
+function updateImageViewControls() {
+  const row = document.querySelector('.image-view-row');
+  if (!row) return;
+  row.style.display = imageScene.image ? 'table-row' : 'none';
+  if (!imageScene.image) return;
+
+  row.querySelector('.image-view').value = imageScene.view;
+  const sliceInput = row.querySelector('.image-slice');
+  const axis = 'ijk'.indexOf(imageScene.view.slice(-1));
+  sliceInput.style.display = axis === -1 ? 'none' : 'block';
+  if (axis !== -1) {
+    sliceInput.max = String(imageScene.image.getDimensions()[axis] - 1);
+    sliceInput.value = String(imageScene.slices[axis]);
   }
+}
 
-  
-  logInfo('Visualization refreshed');
-  logProgress(`Current state: ${reductionApplied ? `${reductionMethod.toUpperCase()} ${reductionComponents}D` : 'Original 3D'}`);
+function setupImageViewControls() {
+  const row = document.querySelector('.image-view-row');
+  row.querySelector('.image-view').addEventListener('change', (e) => setImageView(e.target.value));
+  row.querySelector('.image-slice').addEventListener('input', (e) => setImageSlice(Number(e.target.value)));
 }
 
 // ----------------------------------------------------------------------------
-// Yjs Observer: Toggle Reduction
+// Dataset Parsing Worker
 // ----------------------------------------------------------------------------
 
+// Reading picked files, base64 decoding and parsing run in datasetWorker.js, which
+// transfers the resulting typed arrays back. Loading a large file therefore no longer
+// stalls rendering, which the adaptive controller used to take for a slow device.
+// Cancelling a load terminates the worker; the next parse starts a fresh one.
 
-yReduction.observe(event => {
-  // event.transaction.local === true if *this tab* made the change
-  if (event.transaction.local) {
-    logInfo('this is the host tab!');
-    // Don't run toggle here — we already applied it locally
-    return;
-  }
-
-  const state = yReduction.get('state');
+const PARSE_STAGE_LABELS = { reading: 'Reading', parsing: 'Parsing', packing: 'Preparing' };
 
-  logInfo("reduction observed from another tab!");
+const datasetParser = {
+  worker: null,
+  // Job id -> { name, quiet, stage, fraction, resolve, reject }; quiet jobs (LOD levels
+  // and tiles of a dataset already on screen) neither log nor show the progress row
+  jobs: new Map(),
+  nextJobId: 1
+};
 
-  if(!state) return;
+function getDatasetWorker() {
+  if (!datasetParser.worker) {
+    datasetParser.worker = new Worker(new URL('./datasetWorker.js', import.meta.url));
+    datasetParser.worker.onmessage = onDatasetWorkerMessage;
+    datasetParser.worker.onerror = (event) => {
+      logError(`Dataset parser failed: ${event.message}`);
+      stopDatasetWorker(new Error(event.message));
+    };
+  }
+  return datasetParser.worker;
+}
 
+// Resolves to { format, data, originalPoints, bounds, fileData, parseTime }; originalPoints
+// and bounds are only set for polydata, fileData only when a File was given
+function parseDataset(source, name, { quiet = false } = {}) {
+  const id = datasetParser.nextJobId++;
+  return new Promise((resolve, reject) => {
+    datasetParser.jobs.set(id, { name, quiet, stage: null, fraction: null, resolve, reject });
+    // Downloaded bytes are copied, not transferred: the LOD level cache keeps using them
+    getDatasetWorker().postMessage(source instanceof Blob ? { id, name, file: source } : { id, name, fileData: source });
+    updateParseProgress();
+  });
+}
 
-  const applied = state.applied;
-  const method = state.method;
-  const components = state.components;
+function onDatasetWorkerMessage(event) {
+  const message = event.data;
+  const job = datasetParser.jobs.get(message.id);
+  if (!job) return;
 
-  if (applied !== undefined && method && components) {
-    logInfo("if (applied !== undefined && method && components)");
-    if (applied && !reductionApplied) {
-      logInfo("if (applied && !reductionApplied)");
-      reductionMethod = method;
-      reductionComponents = components;
-      toggleDimensionalityReduction(true);
-    } else if (!applied && reductionApplied) {
-      logInfo("else if (!applied && reductionApplied)")
-      toggleDimensionalityReduction(true);
+  if (message.type === 'progress') {
+    if (!job.quiet && message.stage !== job.stage) {
+      logProgress(`${PARSE_STAGE_LABELS[message.stage]} ${job.name}${message.detail ? ` as ${message.detail}` : ''}...`);
     }
-    else{
-      logInfo("none of the above");
-      logInfo(`applied: ${applied} reductionApplied: ${reductionApplied}`)
+    job.stage = message.stage;
+    job.fraction = message.fraction;
+  } else {
+    datasetParser.jobs.delete(message.id);
+    if (message.type === 'result') {
+      if (!job.quiet) {
+        logProgress(`Parsed ${job.name} in ${message.parseTime.toFixed(0)}ms without blocking the view`);
+      }
+      job.resolve({
+        format: message.format,
+        data: unpackDataset(message.dataset),
+        originalPoints: message.originalPoints,
+        bounds: message.bounds,
+        fileData: message.fileData,
+        parseTime: message.parseTime
+      });
+    } else {
+      job.reject(new Error(message.message));
     }
   }
-});
+  updateParseProgress();
+}
 
+function stopDatasetWorker(error) {
+  if (datasetParser.worker) datasetParser.worker.terminate();
+  datasetParser.worker = null;
+  const jobs = [...datasetParser.jobs.values()];
+  datasetParser.jobs.clear();
+  jobs.forEach(job => job.reject(error));
+  updateParseProgress();
+}
 
-// ----------------------------------------------------------------------------
-// Create an Orientation Marker
-// ----------------------------------------------------------------------------
+function cancelDatasetParsing() {
+  const names = [...datasetParser.jobs.values()].filter(job => !job.quiet).map(job => job.name);
+  if (names.length === 0) return;
+  stopDatasetWorker(new DOMException('Dataset loading was cancelled', 'AbortError'));
+  logWarning(`Loading of ${names.join(', ')} cancelled`);
+}
 
-function createOrientationMarker(){
-  // create axes
-  axes = vtkAnnotatedCubeActor.newInstance();
-  axes.setDefaultStyle({
-    text: '+X',
-    fontStyle: 'bold',
-    fontFamily: 'Arial',
-    fontColor: 'black',
-    fontSizeScale: (res) => res / 2,
-    faceColor: '#0000ff',
-    faceRotation: 0,
-    edgeThickness: 0.1,
-    edgeColor: 'black',
-    resolution: 400,
-  });
-  // axes.setXPlusFaceProperty({ text: '+X' });
-  axes.setXMinusFaceProperty({
-    text: '-X',
-    faceColor: '#ffff00',
-    faceRotation: 90,
-    fontStyle: 'italic',
-  });
-  axes.setYPlusFaceProperty({
-    text: '+Y',
-    faceColor: '#00ff00',
-    fontSizeScale: (res) => res / 4,
-  });
-  axes.setYMinusFaceProperty({
-    text: '-Y',
-    faceColor: '#00ffff',
-    fontColor: 'white',
-  });
-  axes.setZPlusFaceProperty({
-    text: '+Z',
-    edgeColor: 'yellow',
-  });
-  axes.setZMinusFaceProperty({ text: '-Z', faceRotation: 45, edgeThickness: 0 });
-  axesPosition = axes.getPosition();
+function isParseCancelled(error) {
+  return error.name === 'AbortError';
+}
 
-  // create orientation widget
-  const orientationWidget = vtkOrientationMarkerWidget.newInstance({
-    actor: axes,
-    interactor: interactor,
-  });
-  orientationWidget.setEnabled(true);
-  orientationWidget.setViewportCorner(
-    vtkOrientationMarkerWidget.Corners.BOTTOM_RIGHT
-  );
-  orientationWidget.setViewportSize(0.10);
-  orientationWidget.setMinPixelSize(100);
-  orientationWidget.setMaxPixelSize(300);
+// Shows the oldest job the user is waiting for, with the cancel button
+function updateParseProgress() {
+  const row = document.querySelector('.parse-row');
+  if (!row) return;
+  const job = [...datasetParser.jobs.values()].find(candidate => !candidate.quiet);
+  if (!job) {
+    row.style.display = 'none';
+    return;
+  }
+  row.style.display = 'table-row';
+  row.querySelector('.parse-label').textContent = `${PARSE_STAGE_LABELS[job.stage] || 'Queued'} ${job.name}`;
+  const progress = row.querySelector('.parse-progress');
+  // Without a value the bar shows as indeterminate, as parsing reports no fraction
+  if (job.fraction === null) {
+    progress.removeAttribute('value');
+  } else {
+    progress.value = job.fraction;
+  }
 }
 
 // ----------------------------------------------------------------------------
 // File Handling
 // ----------------------------------------------------------------------------
-function updateScene(fileData){
+// Takes what parseDataset resolved to
+function updateScene(parsed, name){
   try {
-    logProgress('Parsing VTP file...');
-    vtpReader.parseAsArrayBuffer(fileData);
-
-    const polyData = vtpReader.getOutputData(0);
+    clearDatasetTiles();
+    clearImageScene();
+    const { data } = parsed;
+    const polyData = data.isA('vtkImageData') ? setupImageScene(data) : data;
     
     const points = polyData.getPoints();
     if (points) {
-      originalPointsData = new Float32Array(points.getData());
+      // The worker already copied the points of polydata; image sample points are made here
+      originalPointsData = parsed.originalPoints || new Float32Array(points.getData());
       const numPoints = points.getNumberOfPoints();
-      const bounds = polyData.getBounds();
+      const bounds = parsed.bounds || polyData.getBounds();
       
       logSuccess('File loaded successfully!');
       logInfo('Dataset information:');
@@ -3069,96 +6308,334 @@ function updateScene(fileData){
       
       createOrientationMarker();
     } else {
-      logWarning('No point data found in VTP file');
+      logWarning('No point data found in the file');
     }
     
     mapper.setInputData(polyData);
     renderer.addActor(actor);
-    // Temporary demo: Add 4 test spheres for culling visualization
-// (Remove after testing)
-const testSpheres = [];
-for (let i = 0; i < 4; i++) {
-  const testSource = vtkSphereSource.newInstance();
-  testSource.setCenter(i * 200 - 300, 0, 0); // Spread out along X-axis
-  testSource.setRadius(50);
-  testSource.update();
+    showImageView(true);
+    renderer.resetCamera();
+    renderWindow.render();
+    currentActor = actor;
+    sceneOutline.primaryName = name;
+    // A hidden, moved or recolored primary entry stays so for the next primary dataset
+    applyLayerProps(PRIMARY_LAYER_ID);
+    renderSceneOutline();
+    
+    reductionApplied = false;
+    // Undo entries refer to the previous dataset's orientation, reduction and pins
+    undoManager.clear();
+    renderAnnotations();
+    
+    // Initialize adaptive streaming for new scene
+    if (adaptiveStreaming.enabled) {
+      performViewportCulling();
+      updateLODForAllObjects();
+    }
+    
+    logSuccess('Visualization rendered successfully');
+    logInfo('Use "Toggle Reduction" to apply PCA, t-SNE, or UMAP');
+    logInfo('Adaptive streaming is active for optimal performance');
+    logMemoryUsage('after file loading complete');
+    
+  } catch (error) {
+    logError(`Failed to load ${name || 'the file'}: ${error.message}`);
+    logWarning(`Make sure the file is valid; supported formats are ${getSupportedFormatsLabel()}`);
+    logMemoryUsage('after file loading error');
+  }
+}
+
+function handleFile(e) {
+  preventDefaults(e);
+  const dataTransfer = e.dataTransfer;
+  const files = e.target.files || dataTransfer.files;
+  
+  if (files.length > 0) {
+    if (!requireRole('owner', 'load datasets')) return;
+    const file = files[0];
+    logInfo(`Loading file: ${file.name} (${(file.size / 1024).toFixed(1)} KB)`);
+    logMemoryUsage('before file loading');
+    loadLocalFile(file);
+  }
+}
+
+// The worker reads the file and hands its bytes back along with the dataset
+async function loadLocalFile(file) {
+  let parsed;
+  try {
+    parsed = await parseDataset(file, file.name);
+  } catch (error) {
+    if (!isParseCancelled(error)) {
+      logError(`Failed to load ${file.name}: ${error.message}`);
+    }
+    return;
+  }
+
+  if (isAddingToScene()) {
+    addLayer(parsed, file.name, async () => {
+      const dataset = await uploadDataset(file.name, parsed.fileData);
+      putCachedDataset(dataset, parsed.fileData);
+      return dataset;
+    });
+    return;
+  }
+
+  // Render right away, then share the dataset reference once the bytes are on the server
+  clearSceneLayers();
+  currentDatasetId = null;
+  updateScene(parsed, file.name);
+  shareDataset(file.name, parsed.fileData);
+}
+
+// ----------------------------------------------------------------------------
+// glTF Export (GLB)
+// ----------------------------------------------------------------------------
+
+// Writes what the dataset actors show to a binary glTF file: the current points (so a
+// reduction is exported as reduced coordinates), the representation as the primitive
+// mode, scalar colors or the actor color, and the actor's pose as the node matrix.
+const GLTF_MODES = { POINTS: 0, LINES: 1, TRIANGLES: 4 };
+const GLTF_COMPONENT_TYPES = { UNSIGNED_BYTE: 5121, UNSIGNED_INT: 5125, FLOAT: 5126 };
+const GLTF_TARGETS = { ARRAY_BUFFER: 34962, ELEMENT_ARRAY_BUFFER: 34963 };
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const GLB_CHUNK_JSON = 0x4e4f534a;
+const GLB_CHUNK_BIN = 0x004e4942;
+
+// Calls back with the point ids of each cell in a legacy vtkCellArray
+function forEachLegacyCell(cellArray, callback) {
+  const data = cellArray ? cellArray.getData() : [];
+  for (let i = 0; i < data.length; i += data[i] + 1) {
+    callback(data.subarray(i + 1, i + 1 + data[i]));
+  }
+}
+
+function getSurfaceTriangles(polyData) {
+  const indices = [];
+  forEachLegacyCell(polyData.getPolys(), ids => {
+    for (let i = 2; i < ids.length; i++) indices.push(ids[0], ids[i - 1], ids[i]);
+  });
+  forEachLegacyCell(polyData.getStrips(), ids => {
+    for (let i = 2; i < ids.length; i++) {
+      // Every other triangle of a strip is wound the other way
+      if (i % 2 === 0) indices.push(ids[i - 2], ids[i - 1], ids[i]);
+      else indices.push(ids[i - 1], ids[i - 2], ids[i]);
+    }
+  });
+  return indices;
+}
+
+// Line segments of lines and polylines, plus polygon and strip edges for wireframes
+function getEdgeSegments(polyData, includeSurfaceEdges) {
+  const indices = [];
+  const seen = new Set();
+  const pointCount = polyData.getNumberOfPoints();
+  const addSegment = (a, b) => {
+    const key = Math.min(a, b) * pointCount + Math.max(a, b);
+    if (a === b || seen.has(key)) return;
+    seen.add(key);
+    indices.push(a, b);
+  };
 
-  const testMapper = vtkMapper.newInstance();
-  testMapper.setInputConnection(testSource.getOutputPort());
+  forEachLegacyCell(polyData.getLines(), ids => {
+    for (let i = 1; i < ids.length; i++) addSegment(ids[i - 1], ids[i]);
+  });
+  if (includeSurfaceEdges) {
+    forEachLegacyCell(polyData.getPolys(), ids => {
+      ids.forEach((id, i) => addSegment(id, ids[(i + 1) % ids.length]));
+    });
+    forEachLegacyCell(polyData.getStrips(), ids => {
+      for (let i = 2; i < ids.length; i++) {
+        addSegment(ids[i - 2], ids[i - 1]);
+        addSegment(ids[i - 1], ids[i]);
+        addSegment(ids[i], ids[i - 2]);
+      }
+    });
+  }
+  return indices;
+}
+
+// Collects buffer views and accessors in a single binary buffer
+function createGltfBuilder() {
+  const gltf = {
+    asset: { version: '2.0', generator: 'vtk.js collaborative viewer' },
+    scene: 0,
+    scenes: [{ nodes: [] }],
+    nodes: [],
+    meshes: [],
+    materials: [],
+    buffers: [{ byteLength: 0 }],
+    bufferViews: [],
+    accessors: []
+  };
+  const chunks = [];
+  let byteLength = 0;
+
+  const addAccessor = (typedArray, target, componentType, type, count, extra = {}) => {
+    const padding = (4 - (byteLength % 4)) % 4;
+    if (padding) chunks.push(new Uint8Array(padding));
+    byteLength += padding;
+    const bytes = new Uint8Array(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
+    chunks.push(bytes);
+    gltf.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.byteLength, target });
+    byteLength += bytes.byteLength;
+    gltf.accessors.push({ bufferView: gltf.bufferViews.length - 1, componentType, count, type, ...extra });
+    return gltf.accessors.length - 1;
+  };
 
-  const testActor = vtkActor.newInstance();
-  testActor.setMapper(testMapper);
-  testActor.getProperty().setColor(i % 2 === 0 ? [1, 0, 0] : [0, 0, 1]); // Red/blue alternation
-  testActor.setVisibility(true);
+  const getBinary = () => {
+    const binary = new Uint8Array(byteLength);
+    let offset = 0;
+    chunks.forEach(chunk => {
+      binary.set(chunk, offset);
+      offset += chunk.byteLength;
+    });
+    gltf.buffers[0].byteLength = byteLength;
+    return binary;
+  };
 
-  renderer.addActor(testActor);
-  testSpheres.push(testActor);
+  return { gltf, addAccessor, getBinary };
 }
 
-// Log initial test setup
-logProgress(`Added ${testSpheres.length} test spheres for culling demo (positions: ${testSpheres.map(a => a.getProperty().getColor()).join(', ')})`);
-    renderer.resetCamera();
-    renderWindow.render();
-    currentActor = actor;
-    
-    reductionApplied = false;
-    
-    // Initialize adaptive streaming for new scene
-    if (adaptiveStreaming.enabled) {
-      performViewportCulling();
-      updateLODForAllObjects();
-    }
-    
-    logSuccess('Visualization rendered successfully');
-    logInfo('Use "Toggle Reduction" to apply PCA, t-SNE, or UMAP');
-    logInfo('Adaptive streaming is active for optimal performance');
-    logMemoryUsage('after file loading complete');
-    
-  } catch (error) {
-    logError(`Failed to load VTP file: ${error.message}`);
-    logWarning('Make sure the file is a valid VTP (VTK XML PolyData) format');
-    logMemoryUsage('after file loading error');
+function addActorToGltf(builder, exportActor, name) {
+  const { gltf, addAccessor } = builder;
+  const polyData = exportActor.getMapper().getInputData();
+  if (!polyData || polyData.getNumberOfPoints() === 0) return false;
+
+  const pointCount = polyData.getNumberOfPoints();
+  const positions = Float32Array.from(polyData.getPoints().getData());
+  const bounds = polyData.getBounds();
+  const attributes = {
+    POSITION: addAccessor(positions, GLTF_TARGETS.ARRAY_BUFFER, GLTF_COMPONENT_TYPES.FLOAT, 'VEC3', pointCount, {
+      min: [bounds[0], bounds[2], bounds[4]],
+      max: [bounds[1], bounds[3], bounds[5]]
+    })
+  };
+
+  const property = exportActor.getProperty();
+  const representation = property.getRepresentation();
+  const normals = polyData.getPointData().getNormals();
+  if (representation === 2 && normals && normals.getNumberOfTuples() === pointCount) {
+    attributes.NORMAL = addAccessor(Float32Array.from(normals.getData()), GLTF_TARGETS.ARRAY_BUFFER, GLTF_COMPONENT_TYPES.FLOAT, 'VEC3', pointCount);
   }
-}
+  // Scalar colors as the mapper maps them (RGBA per point)
+  const actorMapper = exportActor.getMapper();
+  let colors = null;
+  if (actorMapper.getScalarVisibility()) {
+    actorMapper.mapScalars(polyData, 1.0);
+    colors = actorMapper.getColorMapColors();
+  }
+  const hasColors = Boolean(colors) && colors.getNumberOfTuples() === pointCount && colors.getNumberOfComponents() === 4;
+  if (hasColors) {
+    attributes.COLOR_0 = addAccessor(Uint8Array.from(colors.getData()), GLTF_TARGETS.ARRAY_BUFFER, GLTF_COMPONENT_TYPES.UNSIGNED_BYTE, 'VEC4', pointCount, { normalized: true });
+  }
+
+  const opacity = property.getOpacity();
+  gltf.materials.push({
+    name,
+    pbrMetallicRoughness: {
+      // COLOR_0 is multiplied by this, so it stays white when scalars color the mesh
+      baseColorFactor: [...(hasColors ? [1, 1, 1] : property.getColor()), opacity],
+      metallicFactor: 0,
+      roughnessFactor: 0.8
+    },
+    alphaMode: opacity < 1 ? 'BLEND' : 'OPAQUE',
+    doubleSided: true
+  });
+  const material = gltf.materials.length - 1;
+
+  const primitives = [];
+  const addPrimitive = (mode, indices) => {
+    if (indices && indices.length === 0) return;
+    const primitive = { attributes, material, mode };
+    if (indices) {
+      primitive.indices = addAccessor(Uint32Array.from(indices), GLTF_TARGETS.ELEMENT_ARRAY_BUFFER, GLTF_COMPONENT_TYPES.UNSIGNED_INT, 'SCALAR', indices.length);
+    }
+    primitives.push(primitive);
+  };
 
-function arrayBufferToBase64(buffer) {
-  let binary = '';
-  const bytes = new Uint8Array(buffer);
-  const len = bytes.byteLength;
-  for (let i = 0; i < len; i++) {
-    binary += String.fromCharCode(bytes[i]);
+  if (representation === 0) {
+    addPrimitive(GLTF_MODES.POINTS, null);
+  } else {
+    if (representation === 2) addPrimitive(GLTF_MODES.TRIANGLES, getSurfaceTriangles(polyData));
+    addPrimitive(GLTF_MODES.LINES, getEdgeSegments(polyData, representation === 1));
+    const vertIds = [];
+    forEachLegacyCell(polyData.getVerts(), ids => vertIds.push(...ids));
+    addPrimitive(GLTF_MODES.POINTS, vertIds);
   }
-  return btoa(binary);
+  if (primitives.length === 0) return false;
+
+  gltf.meshes.push({ name, primitives });
+  gltf.nodes.push({
+    name,
+    mesh: gltf.meshes.length - 1,
+    // vtk.js matrices are row-major; glTF expects column-major
+    matrix: Array.from(mat4.transpose(mat4.create(), exportActor.getMatrix()))
+  });
+  gltf.scenes[0].nodes.push(gltf.nodes.length - 1);
+  return true;
 }
 
-function handleFile(e) {
-  preventDefaults(e);
-  const dataTransfer = e.dataTransfer;
-  const files = e.target.files || dataTransfer.files;
-  
-  if (files.length > 0) {
-    const file = files[0];
-    logInfo(`Loading file: ${file.name} (${(file.size / 1024).toFixed(1)} KB)`);
-    logMemoryUsage('before file loading');
-    
-    const fileReader = new FileReader();
-    fileReader.onload = function onLoad(e) {
-      const fileData = fileReader.result;
-      const b64 = arrayBufferToBase64(fileData);
+function encodeGlb(gltf, binary) {
+  const json = new TextEncoder().encode(JSON.stringify(gltf));
+  // Chunks are 4-byte aligned: JSON is padded with spaces, binary data with zeros
+  const jsonLength = Math.ceil(json.byteLength / 4) * 4;
+  const binaryLength = Math.ceil(binary.byteLength / 4) * 4;
+  const totalLength = 12 + 8 + jsonLength + 8 + binaryLength;
+
+  const glb = new Uint8Array(totalLength);
+  const view = new DataView(glb.buffer);
+  view.setUint32(0, GLB_MAGIC, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, totalLength, true);
+
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, GLB_CHUNK_JSON, true);
+  glb.fill(0x20, 20, 20 + jsonLength);
+  glb.set(json, 20);
+
+  const binaryStart = 20 + jsonLength;
+  view.setUint32(binaryStart, binaryLength, true);
+  view.setUint32(binaryStart + 4, GLB_CHUNK_BIN, true);
+  glb.set(binary, binaryStart + 8);
+  return glb;
+}
 
-      isLocalFileLoad = true; //mark as a local change
-      //overwite the polydata if it already exists
-      yFile.set('polydata', b64);
+function exportSceneToGlb() {
+  const dataset = getSceneMap('fileData').get('dataset');
+  const baseName = dataset && dataset.id === currentDatasetId ? dataset.name.replace(/\.[^.]+$/, '') : 'scene';
+  // Every dataset shown in the scene outline, each as its own mesh
+  const primaryActors = sceneOutline.primaryVisible ? getDatasetSurfaceActors() : [];
+  const exportEntries = [
+    ...primaryActors.map((exportActor, i) => ({
+      actor: exportActor,
+      name: primaryActors.length > 1 ? `${baseName}-${i}` : baseName
+    })),
+    ...getVisibleLayers().map(layer => ({ actor: layer.actor, name: layer.name.replace(/\.[^.]+$/, '') }))
+  ];
+  if (exportEntries.length === 0) {
+    logError('Nothing to export; load a dataset first');
+    return;
+  }
 
-      updateScene(fileData);
-    };
-    
-    fileReader.onerror = function(error) {
-      logError(`File reading failed: ${error.message}`);
-    };
-    
-    fileReader.readAsArrayBuffer(files[0]);
+  const builder = createGltfBuilder();
+  const exported = exportEntries.filter(entry => addActorToGltf(builder, entry.actor, entry.name));
+  if (exported.length === 0) {
+    logError('The dataset has no geometry to export');
+    return;
+  }
+  if (imageScene.shown) {
+    logWarning('Volumes and slices have no glTF equivalent; exporting the image sample points');
   }
+
+  const glb = encodeGlb(builder.gltf, builder.getBinary());
+  const suffix = reductionApplied ? `-${reductionMethod}-${reductionComponents}d` : '';
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([glb], { type: 'model/gltf-binary' }));
+  link.download = `${baseName}${suffix}.glb`;
+  link.click();
+  // The GLB can be large; revoking right away can cancel the download before it starts
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  logSuccess(`Exported ${link.download} (${(glb.byteLength / 1024).toFixed(1)} KB, ${exported.length} mesh${exported.length > 1 ? 'es' : ''})`);
 }
 
 // ----------------------------------------------------------------------------
@@ -3280,6 +6757,7 @@ function setupDimensionalityReductionControls() {
   const componentsSelect = document.createElement('select');
   componentsSelect.style.width = '100%';
   componentsSelect.className = 'components-selector';
+  componentsSelect.dataset.requiresRole = 'editor';
   
   function updateComponentsSelector() {
     componentsSelect.innerHTML = '';
@@ -3361,6 +6839,7 @@ function setupDimensionalityReductionControls() {
   const toggleButton = document.createElement('button');
   toggleButton.textContent = 'Toggle Reduction';
   toggleButton.style.width = '100%';
+  toggleButton.dataset.requiresRole = 'editor';
   toggleButton.addEventListener('click', () => {
     const currentState = reductionApplied ? `${reductionMethod.toUpperCase()} Active` : 'Original Data';
     logInfo(`Reduction Toggle clicked - Current state: ${currentState}`);
@@ -3376,6 +6855,7 @@ function setupDimensionalityReductionControls() {
   const visualButton = document.createElement('button');
   visualButton.textContent = 'Switch to Points View';
   visualButton.style.width = '100%';
+  visualButton.dataset.requiresRole = 'editor';
   visualButton.addEventListener('click', () => {
     const representationSelector = document.querySelector('.representations');
     if (representationSelector.value === '0') {
@@ -3672,6 +7152,761 @@ function setupDimensionalityReductionControls() {
   logProgress('  - Automatic optimization for large datasets');
 }
 
+// ----------------------------------------------------------------------------
+// Collaborative Undo/Redo
+// ----------------------------------------------------------------------------
+
+function describeUndoItem(stackItem) {
+  const changed = [];
+  stackItem.changedParentTypes.forEach((events, type) => {
+    if (type === yActor) changed.push('orientation/representation');
+    if (type === yReduction) changed.push('reduction');
+    if (type === yAnnotations) changed.push('annotations');
+    if (type === yClip) changed.push('clip plane');
+  });
+  return changed.join(', ') || 'change';
+}
+
+function undoLastChange() {
+  if (!requireRole('editor', 'undo changes')) return;
+  if (undoManager.undoStack.length === 0) {
+    logInfo('Nothing to undo');
+    return;
+  }
+  const stackItem = undoManager.undo();
+  logInfo(`Undid ${describeUndoItem(stackItem)}`);
+}
+
+function redoLastChange() {
+  if (!requireRole('editor', 'redo changes')) return;
+  if (undoManager.redoStack.length === 0) {
+    logInfo('Nothing to redo');
+    return;
+  }
+  const stackItem = undoManager.redo();
+  logInfo(`Redid ${describeUndoItem(stackItem)}`);
+}
+
+function updateUndoButtons() {
+  const undoButton = document.getElementById('undo-button');
+  const redoButton = document.getElementById('redo-button');
+  if (!undoButton) return;
+  undoButton.disabled = !canPerform('editor') || undoManager.undoStack.length === 0;
+  redoButton.disabled = !canPerform('editor') || undoManager.redoStack.length === 0;
+}
+
+function setupUndoControls() {
+  const controlTable = document.querySelector('table');
+
+  const undoRow = document.createElement('tr');
+  const undoCell = document.createElement('td');
+  undoCell.style.cssText = 'display: flex; gap: 4px;';
+
+  const undoButton = document.createElement('button');
+  undoButton.id = 'undo-button';
+  undoButton.textContent = 'Undo';
+  undoButton.title = 'Undo your last change (Ctrl+Z)';
+  undoButton.style.cssText = 'flex: 1;';
+  undoButton.addEventListener('click', undoLastChange);
+
+  const redoButton = document.createElement('button');
+  redoButton.id = 'redo-button';
+  redoButton.textContent = 'Redo';
+  redoButton.title = 'Redo your last undone change (Ctrl+Shift+Z)';
+  redoButton.style.cssText = 'flex: 1;';
+  redoButton.addEventListener('click', redoLastChange);
+
+  undoCell.appendChild(undoButton);
+  undoCell.appendChild(redoButton);
+  undoRow.appendChild(undoCell);
+  controlTable.appendChild(undoRow);
+
+  ['stack-item-added', 'stack-item-popped', 'stack-cleared'].forEach(eventName => {
+    undoManager.on(eventName, updateUndoButtons);
+  });
+  updateUndoButtons();
+
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+    // Leave text fields to their own undo
+    if (e.target.closest('input, textarea, select, [contenteditable]')) return;
+
+    e.preventDefault();
+    if (e.shiftKey) {
+      redoLastChange();
+    } else {
+      undoLastChange();
+    }
+  });
+}
+
+// ----------------------------------------------------------------------------
+// Room Roles (viewer / editor / owner, enforced by the server)
+// ----------------------------------------------------------------------------
+
+const ROLE_LEVELS = { viewer: 0, editor: 1, owner: 2 };
+
+function getRoleOf(userId) {
+  return yRoles.get(userId) || 'viewer';
+}
+
+function getLocalRole() {
+  return getRoleOf(localUserId);
+}
+
+function canPerform(required) {
+  // A replayed recording is read-only
+  if (replay.active) return false;
+  return ROLE_LEVELS[getLocalRole()] >= ROLE_LEVELS[required];
+}
+
+function requireRole(required, action) {
+  if (canPerform(required)) return true;
+  if (replay.active) {
+    logWarning(`Exit the replay to ${action}`);
+    return false;
+  }
+  logWarning(`Your role (${getLocalRole()}) cannot ${action}; ${required} required`);
+  return false;
+}
+
+function setUserRole(userId, role) {
+  if (!requireRole('owner', 'change roles')) return;
+  yRoles.set(userId, role);
+  logInfo(`Changed role of ${userId} to ${role}`);
+}
+
+// Owners get a role picker for everyone else; other users just see the role
+function createRoleControl(userId) {
+  const role = userId ? getRoleOf(userId) : 'viewer';
+  if (!userId || userId === localUserId || !canPerform('owner')) {
+    const label = document.createElement('span');
+    label.style.cssText = 'color: #666;';
+    label.textContent = role;
+    return label;
+  }
+
+  const select = document.createElement('select');
+  select.style.cssText = 'font-size: 10px;';
+  Object.keys(ROLE_LEVELS).forEach(value => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = value;
+    select.appendChild(option);
+  });
+  select.value = role;
+  select.addEventListener('change', () => setUserRole(userId, select.value));
+  return select;
+}
+
+function showErrorNotice(message) {
+  let notice = document.getElementById('error-notice');
+  if (!notice) {
+    notice = document.createElement('div');
+    notice.id = 'error-notice';
+    notice.style.cssText = `position: fixed; top: 10px; left: 50%; transform: translateX(-50%);
+      z-index: 2000; padding: 8px 16px; border-radius: 4px; background: #f44336; color: white;
+      font: 13px sans-serif; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);`;
+    document.body.appendChild(notice);
+  }
+  notice.textContent = message;
+  notice.style.display = 'block';
+  clearTimeout(notice.hideTimer);
+  notice.hideTimer = setTimeout(() => {
+    notice.style.display = 'none';
+  }, 6000);
+}
+
+// Codes: forbidden (role), invalid (schema), too-large (size limit), rate-limited
+function handleServerError(encoder, decoder) {
+  const { code, message } = JSON.parse(decoding.readVarString(decoder));
+  if (code === 'rate-limited') {
+    logWarning(message);
+    return;
+  }
+  logError(`Server rejected change (${code}): ${message}`);
+  showErrorNotice(message);
+}
+
+function applyRolePermissions() {
+  document.querySelectorAll('[data-requires-role]').forEach(element => {
+    element.disabled = !canPerform(element.dataset.requiresRole);
+  });
+  if (annotationState.placing && !canPerform('editor')) {
+    setPlacingAnnotation(false);
+  }
+
+  const roleLabel = document.getElementById('role-label');
+  if (roleLabel) {
+    roleLabel.textContent = `Your role: ${getLocalRole()}`;
+  }
+  updateUndoButtons();
+  renderPresenceList();
+}
+
+function initializeRoles() {
+  const presenceList = document.getElementById('presence-list');
+  const roleLabel = document.createElement('div');
+  roleLabel.id = 'role-label';
+  roleLabel.style.cssText = 'font-size: 11px; color: #666; margin-bottom: 4px;';
+  presenceList.parentNode.insertBefore(roleLabel, presenceList);
+
+  let previousRole = getLocalRole();
+  yRoles.observe(() => {
+    const role = getLocalRole();
+    if (role !== previousRole) {
+      logInfo(`Your role in this room is now ${role}`);
+      previousRole = role;
+    }
+    applyRolePermissions();
+  });
+  applyRolePermissions();
+}
+
+// ----------------------------------------------------------------------------
+// Authentication (signed tokens from the collaboration server)
+// ----------------------------------------------------------------------------
+
+// The token is verified by the server; the client only reads its subject
+function getTokenSubject(token) {
+  if (!token) return null;
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return typeof payload.sub === 'string' ? payload.sub : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getConnectionParams() {
+  return authToken ? { user: localUserId, token: authToken } : { key: localUserKey };
+}
+
+// Without authentication the HTTP API knows us by the same secret key as the WebSocket
+function withAuthHeaders(options = {}) {
+  const credentials = authToken ? { Authorization: `Bearer ${authToken}` } : { 'X-User-Key': localUserKey };
+  return { ...options, headers: { ...options.headers, ...credentials } };
+}
+
+async function login(username, password) {
+  const response = await fetch(`${YJS_HTTP_URL}/auth/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.error || `HTTP ${response.status}`);
+  }
+
+  authToken = body.token;
+  localStorage.setItem(AUTH_TOKEN_KEY, authToken);
+  localUserId = body.user;
+  awareness.setLocalStateField('user', { ...awareness.getLocalState().user, id: localUserId });
+  applyRolePermissions();
+
+  provider.params = getConnectionParams();
+  provider.connect();
+  logSuccess(`Logged in as ${body.user} until ${new Date(body.expiresAt).toLocaleString()}`);
+}
+
+function showLoginPrompt(reason) {
+  let overlay = document.getElementById('login-overlay');
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.id = 'login-overlay';
+    overlay.style.cssText = `position: fixed; inset: 0; z-index: 3000; display: flex;
+      align-items: center; justify-content: center; background: rgba(0, 0, 0, 0.6);`;
+
+    const form = document.createElement('form');
+    form.style.cssText = `display: flex; flex-direction: column; gap: 8px; width: 260px; padding: 16px;
+      border-radius: 6px; background: white; font: 13px sans-serif;`;
+    form.innerHTML = `
+      <strong>Log in to the collaboration server</strong>
+      <div class='login-reason' style='color: #666;'></div>
+      <input name='username' placeholder='Username' autocomplete='username' required>
+      <input name='password' type='password' placeholder='Password' autocomplete='current-password' required>
+      <div class='login-error' style='color: #f44336;'></div>
+      <button type='submit'>Log in</button>`;
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const submit = form.querySelector('button');
+      const error = form.querySelector('.login-error');
+      submit.disabled = true;
+      error.textContent = '';
+      try {
+        await login(form.username.value.trim(), form.password.value);
+        form.password.value = '';
+        overlay.style.display = 'none';
+      } catch (err) {
+        error.textContent = err.message;
+        logError(`Login failed: ${err.message}`);
+      } finally {
+        submit.disabled = false;
+      }
+    });
+
+    overlay.appendChild(form);
+    document.body.appendChild(overlay);
+  }
+
+  overlay.querySelector('.login-reason').textContent = reason;
+  overlay.style.display = 'flex';
+  overlay.querySelector('input[name=username]').focus();
+}
+
+// ----------------------------------------------------------------------------
+// Session Recording and Replay
+// ----------------------------------------------------------------------------
+
+// The server records a room as a snapshot of the shared document followed by timestamped
+// document updates and presence changes (see Session Recording in server.js). A replay
+// rebuilds that history in a separate Y.Doc and points the scene observers at it, so
+// dataset loads, orientation, representation, reduction and pins play back through the
+// same code as live edits.
+
+const REPLAY_TICK_MS = 100;
+
+const replay = {
+  active: false,
+  id: null,
+  startedBy: null,
+  // Parsed recording lines, updates decoded to Uint8Array
+  events: [],
+  duration: 0,
+  // Replayed document, null while showing the live room
+  doc: null,
+  // Milliseconds into the recording and the first event not yet applied
+  position: 0,
+  nextIndex: 0,
+  // Recorded awareness states by client id, as of the current position
+  cameras: new Map(),
+  appliedCamera: null,
+  followCamera: true,
+  playing: false,
+  timer: null,
+  lastTick: 0
+};
+
+function getSceneDoc() {
+  return replay.doc || ydoc;
+}
+
+function getSceneMap(name) {
+  return getSceneDoc().getMap(name);
+}
+
+// An observer event that treats the given keys and every key of the map as changed, to
+// bring the scene in line with a document it was not following before
+function createSyncEvent(map, keys) {
+  return {
+    target: map,
+    keysChanged: new Set([...keys, ...map.keys()]),
+    transaction: { local: false, origin: null }
+  };
+}
+
+function syncSceneFrom(doc) {
+  onFileChange(createSyncEvent(doc.getMap('fileData'), ['dataset']));
+  onActorChange(createSyncEvent(doc.getMap('actor'), ['orientation', 'representation']));
+  onReductionChange(createSyncEvent(doc.getMap('reduction'), ['state']));
+  onLayersChange(createSyncEvent(doc.getMap('layers'), []));
+  onLayerPropsChange(createSyncEvent(doc.getMap('layerProps'), [PRIMARY_LAYER_ID, ...sceneOutline.layers.keys()]));
+  onClipChange(createSyncEvent(doc.getMap('clip'), ['plane']));
+  renderAnnotations();
+}
+
+function decodeBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+function formatReplayTime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+async function setRecording(enabled) {
+  if (!requireRole('owner', enabled ? 'start a recording' : 'stop the recording')) return;
+  try {
+    const response = await fetchOrThrow(`${YJS_HTTP_URL}/rooms/${roomName}/recording`, {
+      method: enabled ? 'POST' : 'DELETE'
+    });
+    const recording = await response.json();
+    if (enabled) {
+      logSuccess(`Recording this session as ${recording.id}`);
+    } else {
+      logSuccess(`Saved recording ${recording.id}: ${recording.events} events over ${formatReplayTime(recording.duration)}`);
+      refreshRecordingList();
+    }
+  } catch (error) {
+    logError(`Could not ${enabled ? 'start' : 'stop'} the recording: ${error.message}`);
+  }
+}
+
+async function refreshRecordingList() {
+  const select = document.getElementById('recording-select');
+  try {
+    const response = await fetchOrThrow(`${YJS_HTTP_URL}/rooms/${roomName}/recordings`);
+    const { recordings } = await response.json();
+    select.innerHTML = '';
+    recordings.forEach(recording => {
+      const option = document.createElement('option');
+      option.value = recording.id;
+      option.textContent = `${recording.id}${recording.active ? ' (recording)' : ''} - ${(recording.size / 1024).toFixed(0)} KB`;
+      select.appendChild(option);
+    });
+    document.getElementById('replay-load-button').disabled = recordings.length === 0;
+  } catch (error) {
+    logWarning(`Could not list recordings: ${error.message}`);
+  }
+}
+
+async function loadRecording(id) {
+  try {
+    logInfo(`Loading recording ${id}...`);
+    const response = await fetchOrThrow(`${YJS_HTTP_URL}/rooms/${roomName}/recordings/${id}`);
+    const events = (await response.text())
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .map(event => (event.update ? { ...event, update: decodeBase64(event.update) } : event));
+
+    const start = events.find(event => event.type === 'start');
+    if (!start || !events.some(event => event.type === 'snapshot')) {
+      throw new Error('Recording has no start snapshot');
+    }
+
+    if (replay.active) exitReplay();
+    Object.assign(replay, {
+      active: true,
+      id,
+      startedBy: start.startedBy,
+      events,
+      duration: events[events.length - 1].t,
+      followCamera: true
+    });
+    // Stop any live camera follow animation; the replay drives the camera now
+    if (cameraSharing.animationFrame !== null) {
+      cancelAnimationFrame(cameraSharing.animationFrame);
+      cameraSharing.animationFrame = null;
+    }
+    applyRolePermissions();
+    seekReplay(0);
+    logSuccess(`Replaying ${id} (${formatReplayTime(replay.duration)}, started by ${start.startedBy}); the scene is read-only until you exit`);
+  } catch (error) {
+    logError(`Could not load recording ${id}: ${error.message}`);
+  }
+}
+
+// Rebuilds the replayed document as of the given time, then hands it to the observers
+function seekReplay(position) {
+  replay.position = Math.max(0, Math.min(position, replay.duration));
+
+  const updates = [];
+  replay.cameras = new Map();
+  replay.appliedCamera = null;
+  let index = 0;
+  for (; index < replay.events.length; index++) {
+    const event = replay.events[index];
+    if (event.type !== 'snapshot' && event.t > replay.position) break;
+    if (event.update) updates.push(event.update);
+    if (event.type === 'awareness') trackReplayAwareness(event);
+  }
+  replay.nextIndex = index;
+
+  if (replay.doc) replay.doc.destroy();
+  const doc = new Y.Doc();
+  Y.applyUpdate(doc, Y.mergeUpdates(updates));
+  doc.getMap('fileData').observe(onFileChange);
+  doc.getMap('actor').observe(onActorChange);
+  doc.getMap('reduction').observe(onReductionChange);
+  doc.getMap('annotations').observe(() => renderAnnotations());
+  doc.getMap('layers').observe(onLayersChange);
+  doc.getMap('layerProps').observe(onLayerPropsChange);
+  doc.getMap('clip').observe(onClipChange);
+  replay.doc = doc;
+
+  syncSceneFrom(doc);
+  applyReplayCamera();
+  updateReplayUI();
+}
+
+function trackReplayAwareness(event) {
+  if (event.state) {
+    replay.cameras.set(event.clientId, event.state);
+  } else {
+    replay.cameras.delete(event.clientId);
+  }
+}
+
+// Shows the recorded presenter's camera, or else the camera of whoever started the recording
+function applyReplayCamera() {
+  if (!replay.followCamera) return;
+
+  let source = null;
+  let presentingSince = 0;
+  replay.cameras.forEach(state => {
+    if (state.camera && state.presenting && state.presenting > presentingSince) {
+      source = state;
+      presentingSince = state.presenting;
+    }
+  });
+  if (!source) {
+    source = Array.from(replay.cameras.values())
+      .find(state => state.camera && state.user && state.user.id === replay.startedBy) || null;
+  }
+  if (!source || source.camera === replay.appliedCamera) return;
+
+  replay.appliedCamera = source.camera;
+  camera.setPosition(...source.camera.position);
+  camera.setFocalPoint(...source.camera.focalPoint);
+  camera.setViewUp(...source.camera.viewUp);
+  camera.setViewAngle(source.camera.viewAngle);
+  renderer.resetCameraClippingRange();
+  updateAnnotationMarkers();
+  renderWindow.render();
+}
+
+function setReplayCameraFollow(enabled) {
+  replay.followCamera = enabled;
+  replay.appliedCamera = null;
+  const checkbox = document.getElementById('replay-follow-camera');
+  if (checkbox) checkbox.checked = enabled;
+  applyReplayCamera();
+}
+
+function stepReplay() {
+  const now = performance.now();
+  replay.position = Math.min(replay.position + (now - replay.lastTick), replay.duration);
+  replay.lastTick = now;
+
+  // Updates due in this tick are applied in one remote (non-local) transaction, so the
+  // observers run once and treat it like an update from the server
+  Y.transact(replay.doc, () => {
+    while (replay.nextIndex < replay.events.length && replay.events[replay.nextIndex].t <= replay.position) {
+      const event = replay.events[replay.nextIndex++];
+      if (event.type === 'update') {
+        Y.applyUpdate(replay.doc, event.update);
+      } else if (event.type === 'awareness') {
+        trackReplayAwareness(event);
+      }
+    }
+  }, 'replay', false);
+  applyReplayCamera();
+
+  if (replay.position >= replay.duration) {
+    pauseReplay();
+    logInfo('Reached the end of the recording');
+  }
+  updateReplayUI();
+}
+
+function playReplay() {
+  if (!replay.active || replay.playing) return;
+  if (replay.position >= replay.duration) seekReplay(0);
+  replay.playing = true;
+  replay.lastTick = performance.now();
+  replay.timer = setInterval(stepReplay, REPLAY_TICK_MS);
+  updateReplayUI();
+}
+
+function pauseReplay() {
+  replay.playing = false;
+  clearInterval(replay.timer);
+  replay.timer = null;
+  updateReplayUI();
+}
+
+function exitReplay() {
+  pauseReplay();
+  if (replay.doc) replay.doc.destroy();
+  Object.assign(replay, { active: false, id: null, events: [], doc: null, cameras: new Map(), appliedCamera: null });
+
+  // Back to the live room: whatever changed meanwhile is applied now
+  syncSceneFrom(ydoc);
+  applyRolePermissions();
+  updateReplayUI();
+  scheduleCameraFollow();
+  logInfo('Left the replay; showing the live room again');
+}
+
+function updateRecordingIndicator() {
+  const active = yRecording.get('active');
+  const indicator = document.getElementById('recording-indicator');
+  const recordButton = document.getElementById('record-button');
+  if (!indicator) return;
+
+  indicator.style.display = active ? '' : 'none';
+  indicator.title = active ? `Recording ${active.id}, started by ${active.startedBy}` : '';
+  recordButton.textContent = active ? 'Stop Recording' : 'Record';
+}
+
+function updateReplayUI() {
+  const bar = document.getElementById('replay-bar');
+  if (!bar) return;
+
+  bar.style.display = replay.active ? 'flex' : 'none';
+  if (!replay.active) return;
+  document.getElementById('replay-play-button').textContent = replay.playing ? 'Pause' : 'Play';
+  const seek = document.getElementById('replay-seek');
+  seek.max = String(replay.duration);
+  // Leave the slider alone while it is being dragged
+  if (document.activeElement !== seek) seek.value = String(replay.position);
+  document.getElementById('replay-time').textContent =
+    `${formatReplayTime(replay.position)} / ${formatReplayTime(replay.duration)}`;
+}
+
+function setupRecordingControls() {
+  const controlTable = document.querySelector('table');
+
+  const recordRow = document.createElement('tr');
+  const recordCell = document.createElement('td');
+  recordCell.style.cssText = 'display: flex; gap: 4px; flex-wrap: wrap; align-items: center;';
+
+  const indicator = document.createElement('span');
+  indicator.id = 'recording-indicator';
+  indicator.textContent = '● REC';
+  indicator.style.cssText = 'color: #f44336; font-weight: bold; font-size: 11px;';
+
+  const recordButton = document.createElement('button');
+  recordButton.id = 'record-button';
+  recordButton.dataset.requiresRole = 'owner';
+  recordButton.addEventListener('click', () => setRecording(!yRecording.get('active')));
+
+  const recordingSelect = document.createElement('select');
+  recordingSelect.id = 'recording-select';
+  recordingSelect.style.cssText = 'flex: 1; min-width: 0;';
+  recordingSelect.addEventListener('focus', refreshRecordingList);
+
+  const loadButton = document.createElement('button');
+  loadButton.id = 'replay-load-button';
+  loadButton.textContent = 'Replay';
+  loadButton.disabled = true;
+  loadButton.addEventListener('click', () => {
+    if (recordingSelect.value) loadRecording(recordingSelect.value);
+  });
+
+  recordCell.appendChild(indicator);
+  recordCell.appendChild(recordButton);
+  recordCell.appendChild(recordingSelect);
+  recordCell.appendChild(loadButton);
+  recordRow.appendChild(recordCell);
+  controlTable.appendChild(recordRow);
+
+  const replayRow = document.createElement('tr');
+  const replayCell = document.createElement('td');
+  const bar = document.createElement('div');
+  bar.id = 'replay-bar';
+  bar.style.cssText = 'display: none; gap: 4px; flex-wrap: wrap; align-items: center;';
+
+  const playButton = document.createElement('button');
+  playButton.id = 'replay-play-button';
+  playButton.addEventListener('click', () => (replay.playing ? pauseReplay() : playReplay()));
+
+  const seek = document.createElement('input');
+  seek.id = 'replay-seek';
+  seek.type = 'range';
+  seek.min = '0';
+  seek.style.cssText = 'flex: 1;';
+  seek.addEventListener('input', () => {
+    document.getElementById('replay-time').textContent =
+      `${formatReplayTime(Number(seek.value))} / ${formatReplayTime(replay.duration)}`;
+  });
+  seek.addEventListener('change', () => {
+    seekReplay(Number(seek.value));
+    seek.blur();
+  });
+
+  const time = document.createElement('span');
+  time.id = 'replay-time';
+  time.style.cssText = 'font-size: 11px; font-family: monospace;';
+
+  const followLabel = document.createElement('label');
+  followLabel.style.cssText = 'font-size: 11px;';
+  const followCheckbox = document.createElement('input');
+  followCheckbox.id = 'replay-follow-camera';
+  followCheckbox.type = 'checkbox';
+  followCheckbox.checked = true;
+  followCheckbox.addEventListener('change', () => setReplayCameraFollow(followCheckbox.checked));
+  followLabel.appendChild(followCheckbox);
+  followLabel.appendChild(document.createTextNode(' Recorded camera'));
+
+  const exitButton = document.createElement('button');
+  exitButton.textContent = 'Exit Replay';
+  exitButton.addEventListener('click', exitReplay);
+
+  bar.appendChild(playButton);
+  bar.appendChild(seek);
+  bar.appendChild(time);
+  bar.appendChild(followLabel);
+  bar.appendChild(exitButton);
+  replayCell.appendChild(bar);
+  replayRow.appendChild(replayCell);
+  controlTable.appendChild(replayRow);
+
+  yRecording.observe(updateRecordingIndicator);
+  updateRecordingIndicator();
+  updateReplayUI();
+  refreshRecordingList();
+}
+
+// ----------------------------------------------------------------------------
+// Room Selection
+// ----------------------------------------------------------------------------
+
+function joinRoom(name) {
+  const trimmed = name.trim();
+  if (!ROOM_NAME_PATTERN.test(trimmed)) {
+    logError('Room names may only contain letters, digits, "-" and "_" (max 64 characters)');
+    return;
+  }
+  if (trimmed === roomName) {
+    logInfo(`Already in room "${roomName}"`);
+    return;
+  }
+
+  // Each room is a separate Yjs document, so reload the app against the new one
+  const params = new URLSearchParams(window.location.search);
+  params.set('room', trimmed);
+  window.location.search = params.toString();
+}
+
+async function refreshRoomList() {
+  try {
+    const response = await fetch(`${YJS_HTTP_URL}/rooms`, withAuthHeaders());
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const { rooms } = await response.json();
+
+    const roomList = document.getElementById('room-list');
+    roomList.innerHTML = '';
+    rooms.forEach((room) => {
+      const option = document.createElement('option');
+      option.value = room.name;
+      option.textContent = `${room.clients} connected`;
+      roomList.appendChild(option);
+    });
+  } catch (error) {
+    logWarning(`Could not fetch active rooms: ${error.message}`);
+  }
+}
+
+function setupRoomPicker() {
+  const roomInput = document.querySelector('.room-name');
+  const joinButton = document.querySelector('.join-room');
+
+  roomInput.value = roomName;
+  roomInput.addEventListener('focus', refreshRoomList);
+  roomInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') joinRoom(roomInput.value);
+  });
+  joinButton.addEventListener('click', () => joinRoom(roomInput.value));
+
+  refreshRoomList();
+}
+
 // ----------------------------------------------------------------------------
 // UI Control Handling
 // ----------------------------------------------------------------------------
@@ -3679,17 +7914,32 @@ function setupDimensionalityReductionControls() {
 fullScreenRenderer.addController(controlPanel);
 const representationSelector = document.querySelector('.representations');
 const vrbutton = document.querySelector('.vrbutton');
+const glbExportButton = document.querySelector('.export-button');
+const parseCancelButton = document.querySelector('.parse-cancel');
 const fileInput = document.getElementById('fileInput');
+const progressiveCheckbox = document.querySelector('.progressive-loading');
 
 fileInput.addEventListener('change', handleFile);
 
+progressiveCheckbox.addEventListener('change', (e) => {
+  progressiveLoading.enabled = e.target.checked;
+  logInfo(`Progressive loading ${progressiveLoading.enabled ? 'enabled' : 'disabled'} for shared datasets`);
+});
+
 representationSelector.addEventListener('change', (e) => {
+  if (!requireRole('editor', 'change the representation')) {
+    e.target.value = String(actor.getProperty().getRepresentation());
+    return;
+  }
   const newRepValue = Number(e.target.value);
   actor.getProperty().setRepresentation(newRepValue);
   yActor.set('representation', newRepValue);
   renderWindow.render();
 });
 
+glbExportButton.addEventListener('click', exportSceneToGlb);
+parseCancelButton.addEventListener('click', cancelDatasetParsing);
+
 vrbutton.addEventListener('click', (e) => {
   if (vrbutton.textContent === 'Send To VR') {
     XRHelper.startXR(XrSessionTypes.InlineVr);
@@ -3728,11 +7978,25 @@ async function initializeApplication() {
   });
   
   // Setup UI controls
+  setupRoomPicker();
+  initializePresence();
+  setupPresencePanel();
+  initializeCameraModes();
+  setupCameraModeControls();
+  initializeAnnotations();
+  setupUndoControls();
+  setupRecordingControls();
+  setupImageViewControls();
+  setupDatasetBrowser();
+  setupSceneOutline();
+  setupClipPlane();
   setupDimensionalityReductionControls();
+  // Last, so every control above is enabled or disabled for the local role from the start
+  initializeRoles();
   
   logSuccess('Application initialized successfully');
   logInfo('Features available:');
-  logProgress('  - VTP file loading and visualization');
+  logProgress('  - VTP, VTU, VTI, STL, OBJ and PLY loading and visualization');
   logProgress('  - WebXR/VR support');
   logProgress('  - Adaptive streaming with ML prediction');
   logProgress('  - Network-aware quality adjustment');
@@ -3742,7 +8006,7 @@ async function initializeApplication() {
   logProgress('  - t-SNE and UMAP (pure JavaScript implementations)');
   logProgress('  - Advanced logging and performance monitoring');
   logProgress('  - Automatic optimization for datasets from 100 to 1,000,000+ points');
-  logInfo('Load a VTP file to get started!');
+  logInfo('Load a VTP, VTU, VTI, STL, OBJ or PLY file, a sample dataset or a URL to get started!');
   logMemoryUsage('on startup');
 }
 
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { loadServer, makeUserKey, connect, closed, waitFor, uploadDataset } = require('./harness');
+
+const { server, listen, authConfigPath, dataDir } = loadServer();
+const { rooms, getUserIdForKey, hashPassword, configureAuth, signToken } = server;
+
+const OWNER_KEY = makeUserKey('8');
+const EDITOR_KEY = makeUserKey('9');
+
+let baseUrl;
+test.before(async () => {
+  baseUrl = await listen();
+});
+
+function request(method, url, { key, token, body } = {}) {
+  const headers = {};
+  if (key) headers['X-User-Key'] = key;
+  if (token) headers.Authorization = `Bearer ${token}`;
+  return fetch(`${baseUrl}${url}`, { method, headers, body: body && JSON.stringify(body) });
+}
+
+// The first key to join owns the room, the second edits it
+async function joinAsOwnerAndEditor(roomName) {
+  const owner = await connect(baseUrl, `${roomName}?key=${OWNER_KEY}`);
+  await waitFor(() => rooms.has(roomName) && rooms.get(roomName).conns.size === 1);
+  const editor = await connect(baseUrl, `${roomName}?key=${EDITOR_KEY}`);
+  await waitFor(() => rooms.get(roomName).conns.size === 2);
+  return { owner, editor };
+}
+
+test('health is public and reports rooms and traffic', async () => {
+  const response = await fetch(`${baseUrl}/health`);
+  assert.equal(response.status, 200);
+  const health = await response.json();
+  assert.equal(health.status, 'ok');
+  ['uptimeSeconds', 'rooms', 'clients', 'recordings'].forEach((key) => assert.equal(typeof health[key], 'number', key));
+  assert.equal(typeof health.totals.messagesReceived, 'number');
+});
+
+test('rooms are listed with their client count', async () => {
+  const { owner, editor } = await joinAsOwnerAndEditor('listed');
+  const { rooms: listed } = await (await request('GET', '/rooms')).json();
+  const room = listed.find((entry) => entry.name === 'listed');
+  assert.equal(room.clients, 2);
+  assert.equal(room.dataset, null);
+  owner.close();
+  editor.close();
+});
+
+test('only the owner lists clients and their addresses', async () => {
+  const { owner, editor } = await joinAsOwnerAndEditor('clients');
+  assert.equal((await request('GET', '/rooms/clients/clients')).status, 401);
+  assert.equal((await request('GET', '/rooms/clients/clients', { key: EDITOR_KEY })).status, 403);
+
+  const response = await request('GET', '/rooms/clients/clients', { key: OWNER_KEY });
+  assert.equal(response.status, 200);
+  const { clients } = await response.json();
+  assert.deepEqual(clients.map((client) => [client.userId, client.role]), [
+    [getUserIdForKey(OWNER_KEY), 'owner'],
+    [getUserIdForKey(EDITOR_KEY), 'editor']
+  ]);
+  clients.forEach((client) => assert.match(client.id, /^[0-9a-f]{12}$/));
+  assert.ok(clients[0].address);
+  assert.equal((await request('GET', '/rooms/nobody-here/clients', { key: OWNER_KEY })).status, 404);
+  owner.close();
+  editor.close();
+});
+
+test('the owner can remove a client, who is closed with 4403', async () => {
+  const { owner, editor } = await joinAsOwnerAndEditor('kick');
+  const { clients } = await (await request('GET', '/rooms/kick/clients', { key: OWNER_KEY })).json();
+  const editorId = clients.find((client) => client.role === 'editor').id;
+
+  assert.equal((await request('DELETE', `/rooms/kick/clients/${clients[0].id}`, { key: EDITOR_KEY })).status, 403);
+  assert.equal((await request('DELETE', '/rooms/kick/clients/000000000000', { key: OWNER_KEY })).status, 404);
+
+  const code = closed(editor);
+  const response = await request('DELETE', `/rooms/kick/clients/${editorId}`, { key: OWNER_KEY });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).kicked.userId, getUserIdForKey(EDITOR_KEY));
+  assert.equal(await code, 4403);
+  owner.close();
+});
+
+test('the owner can point the room at an uploaded dataset', async () => {
+  const { owner, editor } = await joinAsOwnerAndEditor('dataset');
+  const id = await uploadDataset(baseUrl, 'shared.bin', crypto.randomBytes(1500));
+
+  assert.equal((await request('PUT', '/rooms/dataset/dataset', { key: EDITOR_KEY, body: { id } })).status, 403);
+  assert.equal((await request('PUT', '/rooms/dataset/dataset', { key: OWNER_KEY, body: { id: 'nope' } })).status, 400);
+  const unknown = crypto.createHash('sha256').update('unknown').digest('hex');
+  assert.equal((await request('PUT', '/rooms/dataset/dataset', { key: OWNER_KEY, body: { id: unknown } })).status, 404);
+
+  const response = await request('PUT', '/rooms/dataset/dataset', { key: OWNER_KEY, body: { id } });
+  assert.equal(response.status, 200);
+  const expected = { id, name: 'shared.bin', size: 1500, chunkCount: 2 };
+  assert.deepEqual(rooms.get('dataset').doc.getMap('fileData').get('dataset'), expected);
+  assert.deepEqual(await (await request('GET', '/rooms/dataset/dataset')).json(), { room: 'dataset', dataset: expected });
+  owner.close();
+  editor.close();
+});
+
+test('without authentication nobody can create a room over HTTP', async () => {
+  const id = await uploadDataset(baseUrl, 'new.bin', crypto.randomBytes(500));
+  assert.equal((await request('PUT', '/rooms/brand-new/dataset', { key: OWNER_KEY, body: { id } })).status, 403);
+  assert.equal(rooms.has('brand-new'), false);
+  assert.equal(fs.existsSync(path.join(dataDir, 'rooms', 'brand-new.ylog')), false);
+});
+
+test('with authentication, admins may create rooms and everyone else needs a token', async () => {
+  const id = await uploadDataset(baseUrl, 'admin.bin', crypto.randomBytes(500));
+  fs.writeFileSync(authConfigPath, JSON.stringify({
+    signingKey: 'k1',
+    keys: { k1: crypto.randomBytes(32).toString('hex') },
+    users: { root: { passwordHash: hashPassword('pw') }, alice: { passwordHash: hashPassword('pw') } },
+    admins: ['root']
+  }));
+  configureAuth();
+
+  assert.equal((await request('GET', '/rooms')).status, 401);
+  assert.equal((await request('PUT', '/rooms/by-admin/dataset', { key: OWNER_KEY, body: { id } })).status, 401);
+  assert.equal((await request('PUT', '/rooms/by-admin/dataset', { token: signToken('alice'), body: { id } })).status, 403);
+  assert.equal((await request('PUT', '/rooms/by-admin/dataset', { token: signToken('root'), body: { id } })).status, 200);
+  assert.equal(rooms.get('by-admin').doc.getMap('fileData').get('dataset').id, id);
+});
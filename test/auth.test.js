@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const { loadServer } = require('./harness');
+
+const { server, authConfigPath } = loadServer();
+const { configureAuth, signToken, verifyToken, hashPassword, checkPassword } = server;
+
+const SIGNING_KEY = crypto.randomBytes(32).toString('hex');
+
+function writeAuthConfig(overrides = {}) {
+  fs.writeFileSync(authConfigPath, JSON.stringify({
+    signingKey: 'k1',
+    keys: { k1: SIGNING_KEY },
+    tokenTtlSeconds: 60,
+    users: { alice: { passwordHash: hashPassword('secret1') } },
+    admins: [],
+    ...overrides
+  }));
+}
+
+function base64urlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+test('checkPassword accepts the hashed password and nothing else', () => {
+  const stored = hashPassword('correct horse');
+  assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{64}$/);
+  assert.equal(checkPassword('correct horse', stored), true);
+  assert.equal(checkPassword('correct horse ', stored), false);
+  assert.equal(checkPassword('', stored), false);
+});
+
+test('checkPassword refuses every password for a malformed hash', () => {
+  ['', 'scrypt$$', 'scrypt$zz$', 'scrypt$00$abcd', `scrypt$xyz$${'0'.repeat(64)}`, `plain$00$${'0'.repeat(64)}`, null, undefined]
+    .forEach((stored) => {
+      assert.equal(checkPassword('', stored), false, `${stored} accepted an empty password`);
+      assert.equal(checkPassword('anything', stored), false, `${stored} accepted a password`);
+    });
+});
+
+test('configureAuth refuses example, short and missing signing keys', () => {
+  writeAuthConfig({ keys: { k1: 'replace-with-a-long-random-secret' } });
+  assert.throws(configureAuth, /key k1 must be a random secret/);
+  writeAuthConfig({ keys: { k1: 'too-short' } });
+  assert.throws(configureAuth, /key k1 must be a random secret/);
+  writeAuthConfig({ keys: { k1: SIGNING_KEY, old: 'short' } });
+  assert.throws(configureAuth, /key old must be a random secret/);
+  writeAuthConfig({ signingKey: 'k2' });
+  assert.throws(configureAuth, /signingKey must name an entry of keys/);
+});
+
+test('configureAuth refuses users without a valid password hash', () => {
+  writeAuthConfig({ users: { bob: { passwordHash: 'scrypt$00$abcd' } } });
+  assert.throws(configureAuth, /user bob needs a passwordHash/);
+  writeAuthConfig({ users: { 'bad id': { passwordHash: hashPassword('x') } } });
+  assert.throws(configureAuth, /needs a passwordHash/);
+});
+
+test('verifyToken accepts tokens from signToken', () => {
+  writeAuthConfig();
+  configureAuth();
+  const before = Date.now();
+  const { userId, expiresAt } = verifyToken(signToken('alice'));
+  assert.equal(userId, 'alice');
+  assert.ok(expiresAt >= before + 59 * 1000 && expiresAt <= Date.now() + 60 * 1000);
+});
+
+test('verifyToken rejects malformed, forged and unsigned tokens', () => {
+  writeAuthConfig();
+  configureAuth();
+  const [header, payload, signature] = signToken('alice').split('.');
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const invalid = (token, message) => assert.throws(() => verifyToken(token), { code: 'invalid', message });
+
+  invalid(undefined, /Malformed token/);
+  invalid('not-a-token', /Malformed token/);
+  invalid(`${header}.!!!.${signature}`, /Malformed token/);
+  invalid(`${header}.${base64urlJson({ ...claims, sub: 'mallory' })}.${signature}`, /Bad token signature/);
+  invalid(`${header}.${payload}.${signature.slice(0, -4)}`, /Bad token signature/);
+  invalid(`${base64urlJson({ alg: 'none', kid: 'k1' })}.${payload}.`, /Unknown signing key/);
+  invalid(`${base64urlJson({ alg: 'HS256', kid: 'k9' })}.${payload}.${signature}`, /Unknown signing key/);
+});
+
+test('verifyToken reports expired tokens separately', (t) => {
+  writeAuthConfig();
+  configureAuth();
+  const token = signToken('alice');
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 61 * 1000);
+  assert.throws(() => verifyToken(token), { code: 'expired' });
+});
+
+test('verifyToken still accepts tokens signed with a rotated-out key', () => {
+  writeAuthConfig();
+  configureAuth();
+  const token = signToken('alice');
+  writeAuthConfig({ signingKey: 'k2', keys: { k1: SIGNING_KEY, k2: crypto.randomBytes(32).toString('hex') } });
+  configureAuth();
+  assert.equal(verifyToken(token).userId, 'alice');
+  writeAuthConfig({ signingKey: 'k2', keys: { k2: crypto.randomBytes(32).toString('hex') } });
+  configureAuth();
+  assert.throws(() => verifyToken(token), { code: 'invalid' });
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadServer, sha256Hex, chunkDataset, uploadDataset } = require('./harness');
+
+const { listen } = loadServer();
+
+let baseUrl;
+test.before(async () => {
+  baseUrl = await listen();
+});
+
+test('datasets are served with their hash as a strong ETag', async () => {
+  const bytes = crypto.randomBytes(1800);
+  const id = await uploadDataset(baseUrl, 'etag.bin', bytes);
+
+  const response = await fetch(`${baseUrl}/datasets/${id}`);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('etag'), `"${id}"`);
+  assert.match(response.headers.get('cache-control'), /immutable/);
+  assert.equal(Number(response.headers.get('content-length')), bytes.length);
+  await response.arrayBuffer();
+
+  const head = await fetch(`${baseUrl}/datasets/${id}`, { method: 'HEAD' });
+  assert.equal(head.status, 200);
+  assert.equal(Number(head.headers.get('content-length')), bytes.length);
+
+  const revalidated = await fetch(`${baseUrl}/datasets/${id}`, { headers: { 'If-None-Match': `"other", "${id}"` } });
+  assert.equal(revalidated.status, 304);
+});
+
+test('uploading a known dataset again is deduplicated', async () => {
+  const bytes = crypto.randomBytes(1500);
+  const id = await uploadDataset(baseUrl, 'first.bin', bytes);
+  await (await fetch(`${baseUrl}/datasets/${id}`)).arrayBuffer();
+
+  const { manifest } = chunkDataset('second.bin', bytes, 500);
+  const response = await fetch(`${baseUrl}/datasets/${id}/manifest`, { method: 'PUT', body: JSON.stringify(manifest) });
+  assert.deepEqual(await response.json(), { id, missing: [] });
+  // The verified manifest is kept, not replaced by the new claim
+  const stored = await (await fetch(`${baseUrl}/datasets/${id}/manifest`)).json();
+  assert.equal(stored.name, 'first.bin');
+  assert.equal(stored.chunks.length, 2);
+});
+
+test('datasets share the chunks they have in common', async () => {
+  const common = crypto.randomBytes(1000);
+  await uploadDataset(baseUrl, 'a.bin', Buffer.concat([common, crypto.randomBytes(1000)]));
+
+  const { id, manifest } = chunkDataset('b.bin', Buffer.concat([common, crypto.randomBytes(1000)]), 1000);
+  const response = await fetch(`${baseUrl}/datasets/${id}/manifest`, { method: 'PUT', body: JSON.stringify(manifest) });
+  assert.deepEqual((await response.json()).missing, [manifest.chunks[1].hash]);
+
+  const again = await fetch(`${baseUrl}/chunks/${sha256Hex(common)}`, { method: 'PUT', body: common });
+  assert.deepEqual(await again.json(), { hash: sha256Hex(common), stored: false });
+});
+
+test('unknown datasets are not found', async () => {
+  const id = sha256Hex('never uploaded');
+  assert.equal((await fetch(`${baseUrl}/datasets/${id}`)).status, 404);
+  assert.equal((await fetch(`${baseUrl}/datasets/${id}/manifest`)).status, 404);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseVtp,
+  writeVtp,
+  getBounds,
+  forEachCell,
+  countCells,
+  decimatePolyData,
+  buildPyramid
+} = require('../decimation');
+const { makeGrid } = require('./mesh');
+
+const ASCII_VTP = `<?xml version="1.0"?>
+<VTKFile type="PolyData" version="0.1" byte_order="LittleEndian">
+  <PolyData>
+    <Piece NumberOfPoints="4" NumberOfPolys="2">
+      <PointData>
+        <DataArray type="Float32" Name="temperature" format="ascii">1 2 3 4</DataArray>
+      </PointData>
+      <Points>
+        <DataArray type="Float32" NumberOfComponents="3" format="ascii">0 0 0 1 0 0 1 1 0 0 1 0</DataArray>
+      </Points>
+      <Polys>
+        <DataArray type="Int32" Name="connectivity" format="ascii">0 1 2 0 2 3</DataArray>
+        <DataArray type="Int32" Name="offsets" format="ascii">3 6</DataArray>
+      </Polys>
+    </Piece>
+  </PolyData>
+</VTKFile>
+`;
+
+test('parseVtp reads ascii points, cells and point data', () => {
+  const polyData = parseVtp(Buffer.from(ASCII_VTP));
+  assert.deepEqual(Array.from(polyData.points), [0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0]);
+  assert.deepEqual(Array.from(polyData.Polys.connectivity), [0, 1, 2, 0, 2, 3]);
+  assert.deepEqual(Array.from(polyData.Polys.offsets), [3, 6]);
+  assert.equal(polyData.Verts.offsets.length, 0);
+  assert.equal(polyData.pointData[0].name, 'temperature');
+  assert.deepEqual(Array.from(polyData.pointData[0].values), [1, 2, 3, 4]);
+  assert.equal(countCells(polyData), 2);
+});
+
+test('parseVtp rejects files that are not VTK PolyData', () => {
+  assert.throws(() => parseVtp(Buffer.from('solid cube\nendsolid cube\n')), /Not a VTK XML file/);
+  assert.throws(() => parseVtp(Buffer.from('<VTKFile type="ImageData"></VTKFile>')), /Expected PolyData/);
+  assert.throws(
+    () => parseVtp(Buffer.from('<VTKFile type="PolyData" byte_order="BigEndian"></VTKFile>')),
+    /little-endian/
+  );
+});
+
+test('writeVtp output parses back to the same mesh', () => {
+  const grid = makeGrid(5);
+  const parsed = parseVtp(writeVtp(grid));
+  assert.deepEqual(Array.from(parsed.points), Array.from(grid.points));
+  assert.deepEqual(Array.from(parsed.Polys.connectivity), Array.from(grid.Polys.connectivity));
+  assert.deepEqual(Array.from(parsed.Polys.offsets), Array.from(grid.Polys.offsets));
+  assert.deepEqual(Array.from(parsed.pointData[0].values), Array.from(grid.pointData[0].values));
+  assert.deepEqual(Array.from(parsed.cellData[0].values), Array.from(grid.cellData[0].values));
+});
+
+test('getBounds returns the extent along each axis', () => {
+  assert.deepEqual(getBounds(makeGrid(3).points), [0, 1, 0, 1, 0, 0]);
+});
+
+test('decimatePolyData clusters points towards the requested ratio', () => {
+  const grid = makeGrid(41);
+  const decimated = decimatePolyData(grid, 0.25);
+  const pointCount = decimated.points.length / 3;
+  assert.ok(pointCount < grid.points.length / 3 / 2, `${pointCount} points left`);
+  assert.ok(pointCount > grid.points.length / 3 / 8, `${pointCount} points left`);
+
+  // Clustering never moves points outside the original extent
+  getBounds(decimated.points).forEach((value, i) => {
+    assert.ok(Math.abs(value - [0, 1, 0, 1, 0, 0][i]) <= 0.05, `bound ${i} is ${value}`);
+  });
+});
+
+test('decimatePolyData drops degenerate and duplicate triangles', () => {
+  const decimated = decimatePolyData(makeGrid(21), 0.1);
+  const pointCount = decimated.points.length / 3;
+  const seen = new Set();
+  forEachCell(decimated.Polys, (ids) => {
+    assert.equal(ids.length, 3);
+    assert.equal(new Set(ids).size, 3);
+    ids.forEach((id) => assert.ok(id >= 0 && id < pointCount));
+    const key = Array.from(ids).sort((a, b) => a - b).join(',');
+    assert.ok(!seen.has(key), `triangle ${key} appears twice`);
+    seen.add(key);
+  });
+});
+
+test('decimatePolyData carries point and cell data over to the clusters', () => {
+  const grid = makeGrid(21);
+  const decimated = decimatePolyData(grid, 0.2);
+  const pointCount = decimated.points.length / 3;
+
+  const [height] = decimated.pointData;
+  assert.equal(height.name, 'height');
+  assert.equal(height.values.length, pointCount);
+  // height is x, and each cluster averages its points
+  for (let p = 0; p < pointCount; p++) {
+    assert.ok(Math.abs(height.values[p] - decimated.points[p * 3]) < 1e-5);
+  }
+
+  const [cellId] = decimated.cellData;
+  assert.equal(cellId.values.length, countCells(decimated));
+  cellId.values.forEach((id) => assert.ok(id >= 0 && id < countCells(grid)));
+});
+
+test('buildPyramid writes one parseable level per percentage', () => {
+  const grid = makeGrid(31);
+  const pyramid = buildPyramid(writeVtp(grid), [10, 50]);
+  assert.equal(pyramid.points, grid.points.length / 3);
+  assert.equal(pyramid.cells, countCells(grid));
+  assert.deepEqual(pyramid.levels.map((level) => level.percent), [10, 50]);
+  assert.ok(pyramid.levels[0].points < pyramid.levels[1].points);
+  assert.ok(pyramid.levels[1].points < pyramid.points);
+
+  pyramid.levels.forEach((level) => {
+    const parsed = parseVtp(level.data);
+    assert.equal(parsed.points.length / 3, level.points);
+    assert.equal(countCells(parsed), level.cells);
+  });
+});
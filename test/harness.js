@@ -0,0 +1,147 @@
+// Loads server.js against a throwaway data directory and serves its HTTP routes and
+// WebSocket rooms on a free port. server.js reads its paths when it is required, so test files call
+// loadServer before anything else requires it.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const WebSocket = require('ws');
+const Y = require('yjs');
+
+function loadServer(env = {}) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+  Object.assign(process.env, {
+    AUTH_CONFIG: path.join(tmpDir, 'auth.json'),
+    DATA_DIR: path.join(tmpDir, 'data'),
+    ...env
+  });
+  const server = require('../server');
+  server.createDataDirs();
+
+  let httpServer = null;
+  let wss = null;
+  test.after(async () => {
+    if (wss) {
+      wss.clients.forEach((client) => client.terminate());
+      await new Promise((resolve) => wss.close(resolve));
+    }
+    if (httpServer) await new Promise((resolve) => httpServer.close(resolve));
+    // Rooms keep timers (GC, awareness renewal) that would hold the process open
+    await Promise.all(Array.from(server.rooms.values()).map(async (room) => {
+      clearTimeout(room.gcTimer);
+      if (room.recording) room.recording.stream.end();
+      await room.persistence.queue;
+      room.awareness.destroy();
+      room.doc.destroy();
+    }));
+    server.rooms.clear();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  return {
+    server,
+    tmpDir,
+    authConfigPath: process.env.AUTH_CONFIG,
+    dataDir: process.env.DATA_DIR,
+    // Resolves to the base URL, e.g. http://127.0.0.1:43210
+    async listen() {
+      httpServer = http.createServer(server.handleHttpRequest);
+      wss = new WebSocket.Server({ server: httpServer });
+      wss.on('connection', server.setupConnection);
+      await new Promise((resolve) => httpServer.listen(0, '127.0.0.1', resolve));
+      return `http://127.0.0.1:${httpServer.address().port}`;
+    }
+  };
+}
+
+// A browser's secret key as sent in X-User-Key, from one hex digit
+function makeUserKey(seed) {
+  return seed.repeat(64).slice(0, 64);
+}
+
+// Opens a WebSocket to ws://host/<path> and resolves once it is open
+function connect(baseUrl, urlPath) {
+  const socket = new WebSocket(`${baseUrl.replace(/^http/, 'ws')}/${urlPath}`);
+  socket.binaryType = 'arraybuffer';
+  return new Promise((resolve, reject) => {
+    socket.once('open', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+// Resolves to the close code once the server closes the socket
+function closed(socket) {
+  return new Promise((resolve) => socket.once('close', (code) => resolve(code)));
+}
+
+// Polls until the server got there, e.g. after a socket message or a timer
+function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (condition()) return resolve();
+      if (Date.now() > deadline) return reject(new Error('Timed out'));
+      setTimeout(check, 10);
+    };
+    check();
+  });
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Splits bytes into chunks the way the browser does, with their manifest
+function chunkDataset(name, bytes, chunkSize) {
+  const chunks = [];
+  for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+    chunks.push(bytes.subarray(offset, offset + chunkSize));
+  }
+  return {
+    id: sha256Hex(bytes),
+    chunks,
+    manifest: { name, size: bytes.length, chunks: chunks.map((chunk) => ({ hash: sha256Hex(chunk), size: chunk.length })) }
+  };
+}
+
+// Uploads a dataset through the HTTP API like the browser does; resolves to its id
+async function uploadDataset(baseUrl, name, bytes, chunkSize = 1000) {
+  const { id, chunks, manifest } = chunkDataset(name, bytes, chunkSize);
+  const response = await fetch(`${baseUrl}/datasets/${id}/manifest`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(manifest)
+  });
+  const { missing } = await response.json();
+  for (let i = 0; i < chunks.length; i++) {
+    if (missing.includes(manifest.chunks[i].hash)) {
+      await fetch(`${baseUrl}/chunks/${manifest.chunks[i].hash}`, { method: 'PUT', body: chunks[i] });
+    }
+  }
+  return id;
+}
+
+// The update that brings `doc` up to date with `source`
+function diffUpdate(source, doc) {
+  return Y.encodeStateAsUpdate(source, Y.encodeStateVector(doc));
+}
+
+// A client that starts from the room's current state
+function joinRoom(roomDoc) {
+  const clientDoc = new Y.Doc();
+  Y.applyUpdate(clientDoc, Y.encodeStateAsUpdate(roomDoc));
+  return clientDoc;
+}
+
+// Just enough of a room for applyClientUpdate, owned by owner-1
+function createTestRoom(roles) {
+  const doc = new Y.Doc();
+  doc.getMap('roles').set('owner-1', 'owner');
+  Object.entries(roles).forEach(([userId, role]) => doc.getMap('roles').set(userId, role));
+  return { name: 'test', doc, users: new Map(), conns: new Map(), heldUpdates: null, recording: null };
+}
+
+module.exports = { loadServer, makeUserKey, connect, closed, waitFor, sha256Hex, chunkDataset, uploadDataset, diffUpdate, joinRoom, createTestRoom };
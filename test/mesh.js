@@ -0,0 +1,42 @@
+// Small in-memory meshes for the decimation and tiling tests, in the polydata layout
+// decimation.js reads and writes (points are Float32, as writeVtp expects)
+
+const EMPTY_CELLS = { connectivity: new Int32Array(0), offsets: new Int32Array(0) };
+
+// A flat n x n grid of points in the unit square, split into 2 (n - 1)^2 triangles,
+// with a scalar per point (its x) and an id per cell
+function makeGrid(n) {
+  const points = new Float32Array(n * n * 3);
+  const height = new Float32Array(n * n);
+  for (let j = 0; j < n; j++) {
+    for (let i = 0; i < n; i++) {
+      const p = j * n + i;
+      points.set([i / (n - 1), j / (n - 1), 0], p * 3);
+      height[p] = i / (n - 1);
+    }
+  }
+
+  const connectivity = [];
+  const offsets = [];
+  for (let j = 0; j < n - 1; j++) {
+    for (let i = 0; i < n - 1; i++) {
+      const p = j * n + i;
+      connectivity.push(p, p + 1, p + n + 1);
+      offsets.push(connectivity.length);
+      connectivity.push(p, p + n + 1, p + n);
+      offsets.push(connectivity.length);
+    }
+  }
+
+  return {
+    points,
+    pointData: [{ name: 'height', type: 'Float32', components: 1, values: height }],
+    cellData: [{ name: 'cellId', type: 'Int32', components: 1, values: Int32Array.from(offsets, (_, c) => c) }],
+    Verts: EMPTY_CELLS,
+    Lines: EMPTY_CELLS,
+    Polys: { connectivity: Int32Array.from(connectivity), offsets: Int32Array.from(offsets) },
+    Strips: EMPTY_CELLS
+  };
+}
+
+module.exports = { makeGrid };
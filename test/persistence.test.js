@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadServer } = require('./harness');
+
+const { server, dataDir } = loadServer();
+const { rooms, getRoom } = server;
+
+function logPath(name) {
+  return path.join(dataDir, 'rooms', `${name}.ylog`);
+}
+
+// Number of length-prefixed records in a room's update log
+function countRecords(name) {
+  const buffer = fs.readFileSync(logPath(name));
+  let count = 0;
+  for (let offset = 0; offset + 4 <= buffer.length; offset += 4 + buffer.readUInt32LE(offset)) count++;
+  return count;
+}
+
+// What a server restart does to a room: its in-memory copy is gone
+async function unloadRoom(name) {
+  const room = rooms.get(name);
+  await room.persistence.queue;
+  rooms.delete(name);
+  room.awareness.destroy();
+  room.doc.destroy();
+}
+
+test('room documents survive a restart', async () => {
+  const room = getRoom('persisted');
+  room.doc.getMap('actor').set('orientation', [0, 45, 0]);
+  room.doc.getMap('roles').set('alice', 'owner');
+  await unloadRoom('persisted');
+
+  const restored = getRoom('persisted');
+  assert.notEqual(restored, room);
+  assert.deepEqual(restored.doc.getMap('actor').get('orientation'), [0, 45, 0]);
+  assert.equal(restored.doc.getMap('roles').get('alice'), 'owner');
+});
+
+test('every update is appended to the log', async () => {
+  const room = getRoom('appended');
+  room.doc.getMap('actor').set('representation', 0);
+  room.doc.getMap('actor').set('representation', 1);
+  room.doc.getMap('actor').set('representation', 2);
+  await room.persistence.queue;
+  assert.equal(countRecords('appended'), 3);
+});
+
+test('long logs are compacted into a single snapshot', async () => {
+  const room = getRoom('compacted');
+  for (let i = 0; i < 600; i++) {
+    room.doc.getMap('actor').set('orientation', [i, 0, 0]);
+  }
+  await room.persistence.queue;
+  // Compacted once past 500 updates, then appended to again
+  assert.ok(countRecords('compacted') <= 600 - 500, `${countRecords('compacted')} records left`);
+
+  await unloadRoom('compacted');
+  assert.deepEqual(getRoom('compacted').doc.getMap('actor').get('orientation'), [599, 0, 0]);
+});
+
+test('a truncated last record is ignored and the log rewritten', async () => {
+  const room = getRoom('truncated');
+  room.doc.getMap('actor').set('representation', 2);
+  await unloadRoom('truncated');
+  // A crash in the middle of an append: a length prefix with only part of its record
+  fs.appendFileSync(logPath('truncated'), Buffer.from([200, 0, 0, 0, 1, 2, 3]));
+
+  const restored = getRoom('truncated');
+  assert.equal(restored.doc.getMap('actor').get('representation'), 2);
+  await restored.persistence.queue;
+  assert.equal(countRecords('truncated'), 1);
+  await unloadRoom('truncated');
+  assert.equal(getRoom('truncated').doc.getMap('actor').get('representation'), 2);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Y = require('yjs');
+const { loadServer, makeUserKey } = require('./harness');
+
+const { server, listen } = loadServer();
+const { getRoom, getUserIdForKey } = server;
+
+const OWNER_KEY = makeUserKey('1');
+const VIEWER_KEY = makeUserKey('2');
+const STRANGER_KEY = makeUserKey('3');
+
+let baseUrl;
+test.before(async () => {
+  baseUrl = await listen();
+});
+
+function createRoom(name) {
+  const room = getRoom(name);
+  const roles = room.doc.getMap('roles');
+  roles.set(getUserIdForKey(OWNER_KEY), 'owner');
+  roles.set(getUserIdForKey(VIEWER_KEY), 'viewer');
+  return room;
+}
+
+function request(method, url, key) {
+  return fetch(`${baseUrl}${url}`, { method, headers: key ? { 'X-User-Key': key } : {} });
+}
+
+test('recordings can only be listed and read by room members', async () => {
+  createRoom('reads');
+  const started = await request('POST', '/rooms/reads/recording', OWNER_KEY);
+  assert.equal(started.status, 201);
+  const { id } = await started.json();
+  assert.equal((await request('DELETE', '/rooms/reads/recording', OWNER_KEY)).status, 200);
+
+  assert.equal((await request('GET', '/rooms/reads/recordings')).status, 401);
+  assert.equal((await request('GET', '/rooms/reads/recordings', STRANGER_KEY)).status, 403);
+  assert.equal((await request('GET', `/rooms/reads/recordings/${id}`)).status, 401);
+  assert.equal((await request('GET', `/rooms/reads/recordings/${id}`, STRANGER_KEY)).status, 403);
+
+  const list = await request('GET', '/rooms/reads/recordings', VIEWER_KEY);
+  assert.equal(list.status, 200);
+  assert.deepEqual((await list.json()).recordings.map((recording) => recording.id), [id]);
+  const recording = await request('GET', `/rooms/reads/recordings/${id}`, VIEWER_KEY);
+  assert.equal(recording.status, 200);
+  assert.match(await recording.text(), /"type":"start"/);
+});
+
+test('recordings of unknown rooms are not found', async () => {
+  assert.equal((await request('GET', '/rooms/nowhere/recordings', VIEWER_KEY)).status, 404);
+});
+
+test('recordings are started by the owner the key identifies, whatever the body says', async () => {
+  createRoom('starts');
+  assert.equal((await request('POST', '/rooms/starts/recording')).status, 401);
+  assert.equal((await request('POST', '/rooms/starts/recording', VIEWER_KEY)).status, 403);
+
+  const response = await fetch(`${baseUrl}/rooms/starts/recording`, {
+    method: 'POST',
+    headers: { 'X-User-Key': OWNER_KEY, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ user: 'mallory' })
+  });
+  assert.equal(response.status, 201);
+  assert.equal((await response.json()).startedBy, getUserIdForKey(OWNER_KEY));
+  assert.equal((await request('DELETE', '/rooms/starts/recording', OWNER_KEY)).status, 200);
+});
+
+test('a recording is a JSON-lines snapshot followed by timestamped updates', async () => {
+  const room = createRoom('format');
+  room.doc.getMap('actor').set('representation', 1);
+
+  const started = await (await request('POST', '/rooms/format/recording', OWNER_KEY)).json();
+  assert.deepEqual(room.doc.getMap('recording').get('active'), started);
+  assert.equal((await request('POST', '/rooms/format/recording', OWNER_KEY)).status, 409);
+
+  room.doc.getMap('actor').set('orientation', [0, 30, 0]);
+  room.doc.getMap('annotations').set('pin-1', { id: 'pin-1', text: 'look here' });
+  const summary = await (await request('DELETE', '/rooms/format/recording', OWNER_KEY)).json();
+  assert.equal(summary.id, started.id);
+  assert.equal(room.doc.getMap('recording').has('active'), false);
+  assert.equal((await request('DELETE', '/rooms/format/recording', OWNER_KEY)).status, 409);
+
+  const text = await (await request('GET', `/rooms/format/recordings/${started.id}`, OWNER_KEY)).text();
+  const events = text.trim().split('\n').map((line) => JSON.parse(line));
+  assert.equal(events.length, summary.events);
+  const { t, ...start } = events[0];
+  assert.ok(Number.isInteger(t) && t >= 0);
+  assert.deepEqual(start, {
+    type: 'start',
+    room: 'format',
+    startedBy: getUserIdForKey(OWNER_KEY),
+    startedAt: new Date(started.startedAt).toISOString()
+  });
+  assert.equal(events[1].type, 'snapshot');
+  assert.equal(events[events.length - 1].type, 'stop');
+  events.forEach((event, i) => assert.ok(i === 0 || event.t >= events[i - 1].t));
+
+  // Replaying the snapshot and the updates rebuilds the room as it was at the stop
+  const replayed = new Y.Doc();
+  events
+    .filter((event) => event.type === 'snapshot' || event.type === 'update')
+    .forEach((event) => Y.applyUpdate(replayed, Buffer.from(event.update, 'base64')));
+  assert.equal(replayed.getMap('actor').get('representation'), 1);
+  assert.deepEqual(replayed.getMap('actor').get('orientation'), [0, 30, 0]);
+  assert.equal(replayed.getMap('annotations').get('pin-1').text, 'look here');
+});
+
+test('only live rooms can be recorded', async () => {
+  assert.equal((await request('POST', '/rooms/not-live/recording', OWNER_KEY)).status, 404);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Y = require('yjs');
+const { loadServer, createTestRoom, joinRoom, diffUpdate } = require('./harness');
+
+const { server } = loadServer();
+const { getUserIdForKey, describeUpdateWrites, applyClientUpdate } = server;
+
+test('getUserIdForKey derives a stable id that does not reveal the key', () => {
+  const key = 'f'.repeat(64);
+  assert.equal(getUserIdForKey(key), getUserIdForKey(key));
+  assert.match(getUserIdForKey(key), /^guest-[0-9a-f]{40}$/);
+  assert.notEqual(getUserIdForKey(key), getUserIdForKey('e'.repeat(64)));
+  assert.ok(!getUserIdForKey(key).includes(key.slice(0, 16)));
+});
+
+test('describeUpdateWrites lists the map keys an update sets', () => {
+  const roomDoc = new Y.Doc();
+  const clientDoc = joinRoom(roomDoc);
+  clientDoc.getMap('actor').set('orientation', [0, 90, 0]);
+  clientDoc.getMap('clip').set('plane', { enabled: false });
+
+  const writes = describeUpdateWrites(roomDoc, diffUpdate(clientDoc, roomDoc));
+  assert.deepEqual(writes.map(({ root, key, deleted }) => ({ root, key, deleted })).sort((a, b) => a.root.localeCompare(b.root)), [
+    { root: 'actor', key: 'orientation', deleted: false },
+    { root: 'clip', key: 'plane', deleted: false }
+  ]);
+  assert.deepEqual(writes.find((write) => write.root === 'actor').value, [0, 90, 0]);
+});
+
+test('describeUpdateWrites ignores state the room already has', () => {
+  const roomDoc = new Y.Doc();
+  const clientDoc = joinRoom(roomDoc);
+  clientDoc.getMap('actor').set('representation', 1);
+  const update = Y.encodeStateAsUpdate(clientDoc);
+  Y.applyUpdate(roomDoc, update);
+  assert.deepEqual(describeUpdateWrites(roomDoc, update), []);
+});
+
+test('describeUpdateWrites reports deletions of existing keys', () => {
+  const roomDoc = new Y.Doc();
+  roomDoc.getMap('annotations').set('pin-1', { id: 'pin-1' });
+  const clientDoc = joinRoom(roomDoc);
+  clientDoc.getMap('annotations').delete('pin-1');
+
+  const writes = describeUpdateWrites(roomDoc, diffUpdate(clientDoc, roomDoc));
+  assert.deepEqual(writes, [{ root: 'annotations', key: 'pin-1', value: undefined, deleted: true }]);
+});
+
+test('describeUpdateWrites attributes nested and unknown types to their root', () => {
+  const roomDoc = new Y.Doc();
+  const clientDoc = joinRoom(roomDoc);
+  const nested = new Y.Map();
+  clientDoc.getMap('layers').set('layer-1', nested);
+  nested.set('name', 'sneaky');
+  clientDoc.getArray('elsewhere').push(['x']);
+
+  const roots = describeUpdateWrites(roomDoc, diffUpdate(clientDoc, roomDoc)).map((write) => write.root);
+  assert.ok(roots.length >= 3);
+  assert.deepEqual(new Set(roots), new Set(['layers', 'elsewhere']));
+});
+
+test('applyClientUpdate applies writes the role and schema allow', () => {
+  const room = createTestRoom({ 'editor-1': 'editor' });
+  const conn = {};
+  room.users.set(conn, 'editor-1');
+  const clientDoc = joinRoom(room.doc);
+  clientDoc.getMap('actor').set('orientation', [10, 20, 30]);
+
+  assert.equal(applyClientUpdate(room, conn, diffUpdate(clientDoc, room.doc)), null);
+  assert.deepEqual(room.doc.getMap('actor').get('orientation'), [10, 20, 30]);
+});
+
+test('applyClientUpdate undoes writes above the sender role', () => {
+  const room = createTestRoom({ 'viewer-1': 'viewer', 'editor-1': 'editor' });
+  const viewer = {};
+  const editor = {};
+  room.users.set(viewer, 'viewer-1');
+  room.users.set(editor, 'editor-1');
+
+  const viewerDoc = joinRoom(room.doc);
+  viewerDoc.getMap('actor').set('orientation', [1, 2, 3]);
+  assert.equal(applyClientUpdate(room, viewer, diffUpdate(viewerDoc, room.doc)).code, 'forbidden');
+  assert.equal(room.doc.getMap('actor').has('orientation'), false);
+
+  // Editors cannot promote themselves
+  const editorDoc = joinRoom(room.doc);
+  editorDoc.getMap('roles').set('editor-1', 'owner');
+  const result = applyClientUpdate(room, editor, diffUpdate(editorDoc, room.doc));
+  assert.equal(result.code, 'forbidden');
+  assert.match(result.reason, /cannot modify roles; owner required/);
+  assert.equal(room.doc.getMap('roles').get('editor-1'), 'editor');
+});
+
+test('applyClientUpdate drops updates to unknown shared types', () => {
+  const room = createTestRoom({});
+  const conn = {};
+  room.users.set(conn, 'owner-1');
+  const clientDoc = joinRoom(room.doc);
+  clientDoc.getArray('elsewhere').push(['x']);
+
+  assert.equal(applyClientUpdate(room, conn, diffUpdate(clientDoc, room.doc)).code, 'invalid');
+  assert.equal(room.doc.share.has('elsewhere'), false);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadServer, makeUserKey, connect, closed, waitFor } = require('./harness');
+
+const { server, listen, dataDir } = loadServer({ ROOM_GC_TIMEOUT_MS: '100' });
+const { rooms, getUserIdForKey } = server;
+
+const KEY = makeUserKey('4');
+
+let baseUrl;
+test.before(async () => {
+  baseUrl = await listen();
+});
+
+test('connections join the room named by the path, each with its own document', async () => {
+  const first = await connect(baseUrl, `gc-a?key=${KEY}`);
+  const second = await connect(baseUrl, `gc-b?key=${KEY}`);
+  await waitFor(() => rooms.has('gc-a') && rooms.has('gc-b'));
+  assert.notEqual(rooms.get('gc-a').doc, rooms.get('gc-b').doc);
+  // The first user of each room owns it
+  assert.equal(rooms.get('gc-a').doc.getMap('roles').get(getUserIdForKey(KEY)), 'owner');
+  first.close();
+  second.close();
+});
+
+test('invalid room names are refused', async () => {
+  for (const name of ['bad.name', '%E0', 'a'.repeat(65)]) {
+    const socket = await connect(baseUrl, name);
+    assert.equal(await closed(socket), 4400, name);
+  }
+});
+
+test('empty rooms are compacted to disk and dropped after ROOM_GC_TIMEOUT_MS', async () => {
+  const socket = await connect(baseUrl, `gc-c?key=${KEY}`);
+  await waitFor(() => rooms.has('gc-c'));
+  rooms.get('gc-c').doc.getMap('actor').set('representation', 1);
+  socket.close();
+
+  await waitFor(() => !rooms.has('gc-c'));
+  assert.ok(fs.existsSync(path.join(dataDir, 'rooms', 'gc-c.ylog')));
+});
+
+test('a client that rejoins in time keeps the room alive', async () => {
+  const first = await connect(baseUrl, `gc-d?key=${KEY}`);
+  await waitFor(() => rooms.has('gc-d'));
+  const room = rooms.get('gc-d');
+  first.close();
+  await waitFor(() => room.conns.size === 0);
+  const second = await connect(baseUrl, `gc-d?key=${KEY}`);
+  await new Promise((resolve) => setTimeout(resolve, 250));
+  assert.equal(rooms.get('gc-d'), room);
+  second.close();
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadServer, uploadDataset } = require('./harness');
+const { buildTiles } = require('../tiling');
+const { parseVtp, writeVtp, countCells } = require('../decimation');
+const { makeGrid } = require('./mesh');
+
+const OPTIONS = { maxCells: 200, maxDepth: 6, coarsePercent: 25 };
+
+const { listen, dataDir } = loadServer({ TILE_MAX_CELLS: '200' });
+
+let baseUrl;
+test.before(async () => {
+  baseUrl = await listen();
+});
+
+test('buildTiles leaves meshes within maxCells untiled', () => {
+  const grid = makeGrid(5);
+  assert.deepEqual(buildTiles(writeVtp(grid), OPTIONS), { cells: countCells(grid), tiles: [] });
+});
+
+test('buildTiles splits every cell into exactly one tile', () => {
+  const grid = makeGrid(31);
+  const { cells, tiles } = buildTiles(writeVtp(grid), OPTIONS);
+  assert.equal(cells, countCells(grid));
+  assert.ok(tiles.length > 1);
+  assert.equal(tiles.reduce((sum, tile) => sum + tile.cells, 0), cells);
+
+  // The cellId array tells which source cells each tile holds
+  const owners = new Array(cells).fill(null);
+  tiles.forEach((tile) => {
+    assert.ok(tile.cells <= OPTIONS.maxCells, `tile ${tile.id} holds ${tile.cells} cells`);
+    const full = parseVtp(tile.full);
+    assert.equal(full.points.length / 3, tile.points);
+    assert.equal(countCells(full), tile.cells);
+    full.cellData[0].values.forEach((cell) => {
+      assert.equal(owners[cell], null, `cell ${cell} is in tiles ${owners[cell]} and ${tile.id}`);
+      owners[cell] = tile.id;
+    });
+  });
+  assert.ok(owners.every((owner) => owner !== null));
+});
+
+test('buildTiles names tiles by their octant path', () => {
+  const { tiles } = buildTiles(writeVtp(makeGrid(31)), OPTIONS);
+  const ids = tiles.map((tile) => tile.id);
+  assert.equal(new Set(ids).size, ids.length);
+  ids.forEach((id) => assert.match(id, /^[0-7]{1,6}$/));
+  // A flat grid at z = 0 only ever falls in the upper z octants
+  ids.forEach((id) => Array.from(id).forEach((octant) => assert.ok(Number(octant) & 4)));
+  // No tile is the ancestor of another
+  ids.forEach((id) => ids.forEach((other) => assert.ok(other === id || !other.startsWith(id))));
+});
+
+test('buildTiles stops splitting at maxDepth', () => {
+  const { tiles } = buildTiles(writeVtp(makeGrid(31)), { ...OPTIONS, maxCells: 1, maxDepth: 2 });
+  tiles.forEach((tile) => assert.ok(tile.id.length <= 2));
+  assert.ok(tiles.some((tile) => tile.cells > 1));
+});
+
+test('buildTiles writes a coarse copy of each tile within its bounds', () => {
+  const { tiles } = buildTiles(writeVtp(makeGrid(41)), OPTIONS);
+  tiles.forEach((tile) => {
+    const coarse = parseVtp(tile.coarse);
+    assert.ok(coarse.points.length / 3 <= tile.points);
+    assert.ok(countCells(coarse) <= tile.cells);
+    for (let p = 0; p < coarse.points.length / 3; p++) {
+      for (let axis = 0; axis < 3; axis++) {
+        const value = coarse.points[p * 3 + axis];
+        assert.ok(value >= tile.bounds[axis * 2] - 1e-6 && value <= tile.bounds[axis * 2 + 1] + 1e-6);
+      }
+    }
+  });
+});
+
+test('tiles are served by id and resolution, and a missing tile file is not found', async () => {
+  const id = await uploadDataset(baseUrl, 'grid.vtp', Buffer.from(writeVtp(makeGrid(31))), 64 * 1024);
+  const index = await (await fetch(`${baseUrl}/datasets/${id}/tiles`)).json();
+  assert.ok(index.tiles.length > 1);
+
+  const [tile] = index.tiles;
+  const response = await fetch(`${baseUrl}/datasets/${id}/tiles/${tile.id}/coarse`);
+  assert.equal(response.status, 200);
+  assert.equal((await response.arrayBuffer()).byteLength, tile.sizes.coarse);
+
+  fs.unlinkSync(path.join(dataDir, 'tiles', id, `${tile.id}-full.vtp`));
+  const missing = await fetch(`${baseUrl}/datasets/${id}/tiles/${tile.id}/full`);
+  assert.equal(missing.status, 404);
+  assert.match((await missing.json()).error, /missing/);
+});
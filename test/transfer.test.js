@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadServer, sha256Hex, chunkDataset } = require('./harness');
+
+const { listen } = loadServer();
+
+let baseUrl;
+test.before(async () => {
+  baseUrl = await listen();
+});
+
+function put(url, body, contentType = 'application/octet-stream') {
+  return fetch(`${baseUrl}${url}`, { method: 'PUT', headers: { 'Content-Type': contentType }, body });
+}
+
+function putManifest(id, manifest) {
+  return put(`/datasets/${id}/manifest`, JSON.stringify(manifest), 'application/json');
+}
+
+test('a dataset uploaded in chunks is served whole once every chunk arrived', async () => {
+  const bytes = crypto.randomBytes(2500);
+  const { id, chunks, manifest } = chunkDataset('random.bin', bytes, 1000);
+
+  const registered = await putManifest(id, manifest);
+  assert.equal(registered.status, 200);
+  assert.deepEqual((await registered.json()).missing, manifest.chunks.map((chunk) => chunk.hash));
+
+  assert.equal((await put(`/chunks/${manifest.chunks[0].hash}`, chunks[0])).status, 201);
+  assert.equal((await fetch(`${baseUrl}/datasets/${id}`)).status, 409);
+  // Resuming only sends what is still missing
+  const resumed = await (await fetch(`${baseUrl}/datasets/${id}/manifest`)).json();
+  assert.deepEqual(resumed.missing, manifest.chunks.slice(1).map((chunk) => chunk.hash));
+
+  for (let i = 1; i < chunks.length; i++) {
+    assert.equal((await put(`/chunks/${manifest.chunks[i].hash}`, chunks[i])).status, 201);
+  }
+  const response = await fetch(`${baseUrl}/datasets/${id}`);
+  assert.equal(response.status, 200);
+  assert.deepEqual(Buffer.from(await response.arrayBuffer()), bytes);
+  assert.equal((await (await fetch(`${baseUrl}/datasets/${id}/manifest`)).json()).verified, true);
+});
+
+test('chunks must hash to the address they are stored under', async () => {
+  const response = await put(`/chunks/${sha256Hex('something else')}`, Buffer.from('chunk'));
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /hashes to/);
+  assert.equal((await fetch(`${baseUrl}/chunks/${sha256Hex('something else')}`)).status, 404);
+});
+
+test('malformed manifests are refused', async () => {
+  const id = sha256Hex('malformed');
+  const chunk = { hash: sha256Hex('x'), size: 1 };
+  for (const manifest of [
+    { size: 1, chunks: [chunk] },
+    { name: 'a', size: 1, chunks: [] },
+    { name: 'a', size: 2, chunks: [chunk] },
+    { name: 'a', size: 1, chunks: [{ hash: 'nope', size: 1 }] },
+    { name: 'a', size: 0, chunks: [{ ...chunk, size: 0 }] }
+  ]) {
+    assert.equal((await putManifest(id, manifest)).status, 400, JSON.stringify(manifest));
+  }
+  assert.equal((await put(`/datasets/${id}/manifest`, '{', 'application/json')).status, 400);
+});
+
+test('a manifest whose chunks do not hash to the dataset id is dropped for the real one', async () => {
+  const real = chunkDataset('real.bin', crypto.randomBytes(1500), 1000);
+  const bogus = chunkDataset('bogus.bin', crypto.randomBytes(1500), 1000);
+
+  // Someone claims the real id with chunks of other bytes
+  assert.equal((await putManifest(real.id, bogus.manifest)).status, 200);
+  for (let i = 0; i < bogus.chunks.length; i++) {
+    await put(`/chunks/${bogus.manifest.chunks[i].hash}`, bogus.chunks[i]);
+  }
+  const refused = await fetch(`${baseUrl}/datasets/${real.id}`);
+  assert.equal(refused.status, 409);
+  assert.match((await refused.json()).error, /not the dataset id/);
+  assert.equal((await fetch(`${baseUrl}/datasets/${real.id}/manifest`)).status, 404);
+
+  // The real uploader is not blocked by the claim
+  assert.equal((await putManifest(real.id, real.manifest)).status, 200);
+  for (let i = 0; i < real.chunks.length; i++) {
+    await put(`/chunks/${real.manifest.chunks[i].hash}`, real.chunks[i]);
+  }
+  const served = await fetch(`${baseUrl}/datasets/${real.id}`);
+  assert.equal(served.status, 200);
+  assert.equal(sha256Hex(Buffer.from(await served.arrayBuffer())), real.id);
+});
+
+test('an unverified manifest can be replaced before its chunks arrive', async () => {
+  const real = chunkDataset('real.bin', crypto.randomBytes(1200), 1000);
+  const bogus = chunkDataset('bogus.bin', crypto.randomBytes(1200), 1000);
+  await putManifest(real.id, bogus.manifest);
+  const replaced = await putManifest(real.id, real.manifest);
+  assert.deepEqual((await replaced.json()).missing, real.manifest.chunks.map((chunk) => chunk.hash));
+  assert.equal((await (await fetch(`${baseUrl}/datasets/${real.id}/manifest`)).json()).name, 'real.bin');
+});
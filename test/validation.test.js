@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Y = require('yjs');
+const awarenessProtocol = require('y-protocols/awareness');
+const encoding = require('lib0/encoding');
+const decoding = require('lib0/decoding');
+const { loadServer, makeUserKey, connect, closed, createTestRoom, joinRoom, diffUpdate } = require('./harness');
+
+const { server, listen } = loadServer();
+const { ROOT_PERMISSIONS, VALUE_SCHEMAS, rooms, applyClientUpdate, validateValue, validateAwarenessUpdate } = server;
+
+let baseUrl;
+test.before(async () => {
+  baseUrl = await listen();
+});
+
+// y-websocket framing: message type, then the payload
+function syncUpdateMessage(update) {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, 0);
+  encoding.writeVarUint(encoder, 2);
+  encoding.writeVarUint8Array(encoder, update);
+  return encoding.toUint8Array(encoder);
+}
+
+function awarenessMessage(payload) {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, 1);
+  encoding.writeVarUint8Array(encoder, payload);
+  return encoding.toUint8Array(encoder);
+}
+
+// An encoded awareness update carrying one client's state
+function encodeAwareness(state) {
+  const awareness = new awarenessProtocol.Awareness(new Y.Doc());
+  awareness.setLocalState(state);
+  const update = awarenessProtocol.encodeAwarenessUpdate(awareness, [awareness.clientID]);
+  awareness.destroy();
+  return update;
+}
+
+const PRESENCE = {
+  user: { id: 'guest-1', name: 'Ada', color: '#4363d8' },
+  camera: { position: [0, 0, 10], focalPoint: [0, 0, 0], viewUp: [0, 1, 0], viewAngle: 30 },
+  activity: 'idle',
+  following: null,
+  presenting: null
+};
+
+// Resolves to the next error the server reports ({ code, message })
+function nextError(socket) {
+  return new Promise((resolve) => {
+    const onMessage = (data) => {
+      const decoder = decoding.createDecoder(new Uint8Array(data));
+      if (decoding.readVarUint(decoder) !== 4) return;
+      socket.off('message', onMessage);
+      resolve(JSON.parse(decoding.readVarString(decoder)));
+    };
+    socket.on('message', onMessage);
+  });
+}
+
+const DATASET_ID = 'a'.repeat(64);
+
+test('every shared map with a permission has a schema', () => {
+  assert.deepEqual(Object.keys(ROOT_PERMISSIONS).sort(), Object.keys(VALUE_SCHEMAS).sort());
+});
+
+test('validateValue checks values against the schema of their key', () => {
+  assert.equal(validateValue('actor', 'orientation', [0, 45, 90]), null);
+  assert.match(validateValue('actor', 'orientation', [0, 45]), /Invalid value for actor.orientation/);
+  assert.match(validateValue('actor', 'orientation', [0, 45, NaN]), /Invalid value/);
+  assert.match(validateValue('actor', 'camera', [0, 0, 0]), /Unknown key actor.camera/);
+  assert.match(validateValue('nowhere', 'x', 1), /Unknown key/);
+
+  assert.equal(validateValue('roles', 'bob', 'editor'), null);
+  assert.match(validateValue('roles', 'bob', 'admin'), /Invalid value/);
+  assert.match(validateValue('roles', 'bad id', 'viewer'), /Invalid value/);
+  assert.match(validateValue('roles', 'bob', undefined), /Invalid value/);
+
+  assert.equal(validateValue('layerProps', 'primary', { opacity: 0.5, visible: true }), null);
+  assert.match(validateValue('layerProps', 'primary', { opacity: 2 }), /Invalid value/);
+  assert.match(validateValue('layerProps', 'primary', { constructor: 1 }), /Invalid value/);
+});
+
+test('dataset references must be uploaded or point to a sample or http(s) URL', () => {
+  const uploaded = { id: DATASET_ID, name: 'earth.vtp', size: 10, chunkCount: 1 };
+  assert.equal(validateValue('fileData', 'dataset', uploaded), null);
+  assert.equal(validateValue('fileData', 'dataset', { id: DATASET_ID, name: 'a', size: 1, url: '/samples/earth.vtp' }), null);
+  assert.equal(validateValue('fileData', 'dataset', { id: DATASET_ID, name: 'a', size: 1, url: 'https://example.org/a.vtp' }), null);
+  ['javascript:alert(1)', 'file:///etc/passwd', '/samples/../server.js', '/chunks/x'].forEach((url) => {
+    assert.match(validateValue('fileData', 'dataset', { id: DATASET_ID, name: 'a', size: 1, url }), /Invalid value/, url);
+  });
+  assert.match(validateValue('fileData', 'dataset', { ...uploaded, id: 'not-a-hash' }), /Invalid value/);
+});
+
+test('applyClientUpdate undoes values that do not match the schema', () => {
+  const room = createTestRoom({});
+  const conn = {};
+  room.users.set(conn, 'owner-1');
+  room.doc.getMap('actor').set('representation', 2);
+
+  const clientDoc = joinRoom(room.doc);
+  clientDoc.getMap('actor').set('representation', 7);
+  const result = applyClientUpdate(room, conn, diffUpdate(clientDoc, room.doc));
+  assert.equal(result.code, 'invalid');
+  assert.equal(room.doc.getMap('actor').get('representation'), 2);
+});
+
+test('oversized messages are answered with an error instead of reaching the room', async () => {
+  const socket = await connect(baseUrl, `limits?key=${makeUserKey('5')}`);
+  const error = nextError(socket);
+  socket.send(awarenessMessage(new Uint8Array(65 * 1024)));
+  assert.equal((await error).code, 'too-large');
+  socket.close();
+});
+
+test('unknown message types are refused', async () => {
+  const socket = await connect(baseUrl, `limits?key=${makeUserKey('5')}`);
+  const error = nextError(socket);
+  socket.send(Uint8Array.of(9));
+  assert.equal((await error).code, 'invalid');
+  socket.close();
+});
+
+test('a client flooding document updates is disconnected with 4429', async () => {
+  const socket = await connect(baseUrl, `flood?key=${makeUserKey('6')}`);
+  const code = closed(socket);
+  const message = syncUpdateMessage(Y.encodeStateAsUpdate(new Y.Doc()));
+  // The burst allows 300 updates at once
+  for (let i = 0; i < 400; i++) socket.send(message);
+  assert.equal(await code, 4429);
+});
+
+test('presence floods are dropped without disconnecting', async () => {
+  const socket = await connect(baseUrl, `presence?key=${makeUserKey('7')}`);
+  const error = nextError(socket);
+  for (let i = 0; i < 100; i++) socket.send(awarenessMessage(Uint8Array.of(0)));
+  assert.equal((await error).code, 'rate-limited');
+  assert.equal(socket.readyState, socket.OPEN);
+  socket.close();
+});
+
+test('validateAwarenessUpdate accepts the presence state the app publishes', () => {
+  assert.equal(validateAwarenessUpdate(encodeAwareness(PRESENCE)), null);
+  assert.equal(validateAwarenessUpdate(encodeAwareness({ ...PRESENCE, following: 12, presenting: Date.now() })), null);
+  assert.equal(validateAwarenessUpdate(encodeAwareness({ user: PRESENCE.user })), null);
+  // Leaving the room
+  assert.equal(validateAwarenessUpdate(encodeAwareness(null)), null);
+});
+
+test('validateAwarenessUpdate refuses colors, names and cameras peers cannot use safely', () => {
+  const invalid = (state) => assert.notEqual(validateAwarenessUpdate(encodeAwareness(state)), null, JSON.stringify(state));
+  invalid({ ...PRESENCE, user: { ...PRESENCE.user, color: 'red; background-image: url(https://evil.example/)' } });
+  invalid({ ...PRESENCE, user: { ...PRESENCE.user, color: '#12345' } });
+  invalid({ ...PRESENCE, user: { ...PRESENCE.user, name: 'x'.repeat(65) } });
+  invalid({ ...PRESENCE, user: { ...PRESENCE.user, name: 42 } });
+  invalid({ ...PRESENCE, user: { ...PRESENCE.user, admin: true } });
+  invalid({ ...PRESENCE, camera: { ...PRESENCE.camera, position: [0, 0] } });
+  invalid({ ...PRESENCE, camera: { ...PRESENCE.camera, focalPoint: [0, 'x', 0] } });
+  invalid({ ...PRESENCE, camera: { ...PRESENCE.camera, viewAngle: 0 } });
+  invalid({ ...PRESENCE, activity: 'sleeping' });
+  invalid({ ...PRESENCE, following: 'everyone' });
+  invalid({ ...PRESENCE, script: 'alert(1)' });
+  invalid(['not', 'an', 'object']);
+  assert.equal(validateAwarenessUpdate(Uint8Array.of(1, 1, 1, 3, 123, 125)), 'Malformed awareness update');
+});
+
+test('invalid presence states never reach the room', async () => {
+  const socket = await connect(baseUrl, `awareness?key=${makeUserKey('a')}`);
+  const error = nextError(socket);
+  const injected = { ...PRESENCE, user: { ...PRESENCE.user, color: 'red; position: fixed' } };
+  socket.send(awarenessMessage(encodeAwareness(injected)));
+  assert.equal((await error).code, 'invalid');
+  assert.equal(rooms.get('awareness').awareness.getStates().size, 0);
+  socket.close();
+});
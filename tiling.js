@@ -0,0 +1,154 @@
+// Octree tiling for frustum-dependent streaming, served by server.js. Splits a mesh
+// into spatial tiles by cell centroid until every tile holds at most `maxCells` cells,
+// and writes each tile at full resolution and as a coarse decimated copy. The browser
+// loads the coarse copies as placeholders and fetches full tiles only where it looks.
+// server.js runs this file as a worker thread, like decimation.js.
+
+const fs = require('fs');
+const { isMainThread, parentPort, workerData } = require('worker_threads');
+const {
+  TYPED_ARRAYS,
+  CELL_TYPES,
+  parseVtp,
+  writeVtp,
+  getBounds,
+  forEachCell,
+  countCells,
+  decimatePolyData
+} = require('./decimation');
+
+// ----------------------------------------------------------------------------
+// Octree
+// ----------------------------------------------------------------------------
+
+// Centroid of every cell, numbered in VTK cell order (which is also the cell data order)
+function getCellCentroids(polyData) {
+  const centroids = new Float64Array(countCells(polyData) * 3);
+  let cell = 0;
+  CELL_TYPES.forEach((cellType) => {
+    forEachCell(polyData[cellType], (ids) => {
+      for (let i = 0; i < ids.length; i++) {
+        for (let axis = 0; axis < 3; axis++) {
+          centroids[cell * 3 + axis] += polyData.points[ids[i] * 3 + axis] / ids.length;
+        }
+      }
+      cell++;
+    });
+  });
+  return centroids;
+}
+
+// Returns the leaves as { id, cells } where id is the path of octant digits from the root
+function splitOctree(centroids, cells, bounds, options, id = '') {
+  if (cells.length <= options.maxCells || id.length >= options.maxDepth) {
+    return [{ id, cells }];
+  }
+
+  const middle = [0, 1, 2].map((axis) => (bounds[axis * 2] + bounds[axis * 2 + 1]) / 2);
+  const octants = Array.from({ length: 8 }, () => []);
+  cells.forEach((cell) => {
+    let octant = 0;
+    for (let axis = 0; axis < 3; axis++) {
+      if (centroids[cell * 3 + axis] >= middle[axis]) octant |= 1 << axis;
+    }
+    octants[octant].push(cell);
+  });
+
+  return octants.flatMap((octantCells, octant) => {
+    if (octantCells.length === 0) return [];
+    const octantBounds = [0, 1, 2].flatMap((axis) => (octant & (1 << axis)
+      ? [middle[axis], bounds[axis * 2 + 1]]
+      : [bounds[axis * 2], middle[axis]]));
+    return splitOctree(centroids, octantCells, octantBounds, options, `${id}${octant}`);
+  });
+}
+
+// ----------------------------------------------------------------------------
+// Tile Extraction
+// ----------------------------------------------------------------------------
+
+// Copies the given cells (VTK cell numbers, ascending) and the points they use
+function extractCells(polyData, cells) {
+  const pointCount = polyData.points.length / 3;
+  const pointMap = new Int32Array(pointCount).fill(-1);
+  const sourcePoints = [];
+  const mapPoint = (id) => {
+    if (pointMap[id] === -1) {
+      pointMap[id] = sourcePoints.length;
+      sourcePoints.push(id);
+    }
+    return pointMap[id];
+  };
+
+  const selected = new Set(cells);
+  const tile = {};
+  let cellBase = 0;
+  CELL_TYPES.forEach((cellType) => {
+    const connectivity = [];
+    const offsets = [];
+    forEachCell(polyData[cellType], (ids, c) => {
+      if (!selected.has(cellBase + c)) return;
+      ids.forEach((id) => connectivity.push(mapPoint(id)));
+      offsets.push(connectivity.length);
+    });
+    cellBase += polyData[cellType].offsets.length;
+    tile[cellType] = { connectivity: Int32Array.from(connectivity), offsets: Int32Array.from(offsets) };
+  });
+
+  const copyRows = (array, rows) => {
+    const ArrayType = TYPED_ARRAYS[array.type] || Float64Array;
+    const values = new ArrayType(rows.length * array.components);
+    rows.forEach((row, i) => {
+      for (let k = 0; k < array.components; k++) {
+        values[i * array.components + k] = array.values[row * array.components + k];
+      }
+    });
+    return { ...array, values };
+  };
+
+  tile.points = Float32Array.from(
+    copyRows({ type: 'Float64', components: 3, values: polyData.points }, sourcePoints).values
+  );
+  tile.pointData = polyData.pointData
+    .filter((array) => array.values.length === pointCount * array.components)
+    .map((array) => copyRows(array, sourcePoints));
+  tile.cellData = polyData.cellData
+    .filter((array) => array.values.length === cellBase * array.components)
+    .map((array) => copyRows(array, cells));
+  return tile;
+}
+
+// Returns { cells, tiles } where each tile is { id, bounds, points, cells, full, coarse }.
+// Meshes with at most maxCells cells come back without tiles; they gain nothing from it.
+function buildTiles(buffer, options) {
+  const source = parseVtp(buffer);
+  const cellCount = countCells(source);
+  if (cellCount <= options.maxCells) return { cells: cellCount, tiles: [] };
+
+  const centroids = getCellCentroids(source);
+  const allCells = Array.from({ length: cellCount }, (_, cell) => cell);
+  const leaves = splitOctree(centroids, allCells, getBounds(source.points), options);
+
+  const tiles = leaves.map((leaf) => {
+    const tile = extractCells(source, leaf.cells);
+    return {
+      id: leaf.id,
+      bounds: getBounds(tile.points),
+      points: tile.points.length / 3,
+      cells: leaf.cells.length,
+      full: writeVtp(tile),
+      coarse: writeVtp(decimatePolyData(tile, options.coarsePercent / 100))
+    };
+  });
+  return { cells: cellCount, tiles };
+}
+
+if (!isMainThread && require.main === module) {
+  try {
+    parentPort.postMessage(buildTiles(fs.readFileSync(workerData.file), workerData.options));
+  } catch (err) {
+    parentPort.postMessage({ error: err.message });
+  }
+}
+
+module.exports = { buildTiles };